@@ -2,7 +2,7 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
 import dayjs from 'dayjs';
 import {
-  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer
+  LineChart, Line, BarChart, Bar, Legend, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer
 } from 'recharts';
 
 /* ================= Theme ================= */
@@ -57,11 +57,40 @@ const api = (path, opts = {}, timeout = Number(import.meta.env.VITE_HTTP_TIMEOUT
     .finally(() => clearTimeout(id));
 };
 
-/* ========== days 컷팅 유틸 ========== */
-const filterRowsByDays = (rows, days) => {
-  if (!Array.isArray(rows)) return [];
-  const cutoff = dayjs().subtract(days, 'day').startOf('day');
-  return rows.filter(v => dayjs(v.publishedAt).isAfter(cutoff));
+/* ========== 백그라운드 작업 추적 (SSE, 실패 시 폴링) ========== */
+const followJob = (jobId, onUpdate) => new Promise((resolve) => {
+  const finished = (j) => ['done', 'error', 'cancelled'].includes(j?.status);
+  let pollTimer = null;
+
+  const poll = async () => {
+    try {
+      const j = await api(`/api/yt/jobs/${jobId}`);
+      onUpdate(j);
+      if (finished(j)) return resolve(j);
+    } catch {
+      // 일시적 오류는 다음 폴링에서 재시도
+    }
+    pollTimer = setTimeout(poll, 2000);
+  };
+
+  if (typeof EventSource === 'undefined') return poll();
+  const es = new EventSource(`${apiBase}/api/yt/jobs/${jobId}/events`);
+  es.addEventListener('progress', (ev) => onUpdate(JSON.parse(ev.data)));
+  es.addEventListener('done', (ev) => {
+    const j = JSON.parse(ev.data);
+    es.close();
+    onUpdate(j);
+    resolve(j);
+  });
+  es.onerror = () => {
+    es.close();
+    if (!pollTimer) poll();
+  };
+});
+
+const JOB_PHASE_LABEL = {
+  queued: '대기 중', resolve: '채널 확인', listing: '업로드 목록 스캔', details: '상세 정보 수집',
+  refresh: '기존 영상 통계 갱신', comments: '댓글 수집', analyze: '댓글 분석(LLM)', transcripts: '자막 가져오기', done: '완료',
 };
 
 /* ========== Tiny UI bits ========== */
@@ -177,62 +206,1455 @@ const Card = ({ title, actions, children, style }) => (
   </div>
 );
 
-/* ========== Insight Parser ========== */
-/** 마크다운 제거하고 볼드체만 유지 */
-function cleanMarkdown(text) {
-  if (!text) return '';
-  return text
-    // **볼드** -> <strong>볼드</strong>로 변환 (나중에 렌더링)
-    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-    .replace(/__([^_]+)__/g, '<strong>$1</strong>')
-    // 나머지 마크다운 제거
-    .replace(/#{1,6}\s+/g, '')  // 헤더 제거
-    .replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1')  // 링크 제거
-    .replace(/`([^`]+)`/g, '$1')  // 인라인 코드 제거
-    .replace(/\*([^*<]+)\*/g, '$1')  // 이탤릭 제거 (이미 변환된 <strong>은 제외)
-    .replace(/~~([^~]+)~~/g, '$1')  // 취소선 제거
-    .trim();
+const Select = ({ children, ...props }) => (
+  <select {...props}
+    style={{
+      width:'100%', padding:'10px 12px',
+      borderRadius:8, border:`1px solid ${theme.border}`,
+      outline:'none', background:'#ffffff',
+      fontSize:14, color: theme.text,
+      ...props.style
+    }}
+  >
+    {children}
+  </select>
+);
+
+/* ========== YouTube 쿼터 위젯 ========== */
+function QuotaWidget({ refreshKey }) {
+  const [q, setQ] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    const load = () => api('/api/yt/quota').then(r => { if (alive) setQ(r); }).catch(() => {});
+    load();
+    const t = setInterval(load, 60_000);
+    return () => { alive = false; clearInterval(t); };
+  }, [refreshKey]);
+
+  if (!q) return null;
+  const pct = Math.min(100, Math.round(q.used / q.budget * 100));
+  const color = q.remaining <= q.reserve ? theme.danger : pct >= 70 ? '#f59e0b' : theme.primary;
+  const title = [
+    `쿼터 일자(PT): ${q.day}`,
+    `리셋: ${dayjs(q.resetAt).format('MM.DD HH:mm')}`,
+    ...Object.entries(q.byMethod || {}).map(([m, v]) => `${m}: ${v.units}유닛 / ${v.calls}회`),
+    ...(q.keys || []).map(k => `${k.label}: ${k.usedToday}유닛${k.cooldownUntil ? ` · ${k.cooldownReason} (~${dayjs(k.cooldownUntil).format('MM.DD HH:mm')})` : ''}`),
+  ].join('\n');
+  const keys = q.keys || [];
+  const healthyKeys = keys.filter(k => k.healthy).length;
+
+  return (
+    <div title={title} style={{ display:'grid', gap:4, minWidth:160 }}>
+      <div style={{ fontSize:12, color: theme.sub, fontWeight:500, display:'flex', justifyContent:'space-between', gap:8 }}>
+        <span>
+          YouTube 쿼터
+          {keys.length > 1 && (
+            <span style={{ marginLeft:6, color: healthyKeys ? theme.sub : theme.danger }}>· 키 {healthyKeys}/{keys.length}</span>
+          )}
+        </span>
+        <span style={{ color }}>{Number(q.used).toLocaleString()} / {Number(q.budget).toLocaleString()}</span>
+      </div>
+      <div style={{ height:6, borderRadius:3, background: theme.chipBg, overflow:'hidden' }}>
+        <div style={{ width:`${pct}%`, height:'100%', background: color }} />
+      </div>
+    </div>
+  );
 }
 
-/** LLM 텍스트 → [{title, bullets[]}] */
-function parseInsightText(text = '') {
-  const out = [];
-  if (!text.trim()) return out;
-
-  // 섹션(## 제목 … 다음 ## 또는 끝까지)
-  const re = /(^|\n)##\s*([^\n]+)\n+([\s\S]*?)(?=\n##\s|$)/g;
-  let m;
-  while ((m = re.exec(text)) !== null) {
-    const title = cleanMarkdown(m[2].trim());
-    const body = m[3] || '';
-    const bullets = [];
-
-    body.split('\n').forEach((line) => {
-      const cleaned = line
-        .replace(/^\s*[-*•]+(\s*|\s*\+\+)?\s*/,'')   // - / * / • / -++ 등 접두 제거
-        .replace(/^\s*—+\s*/,'')                    // em dash 변형
-        .trim();
-      if (!cleaned) return;
-      // 번호 접두(1), 2) …) 제거
-      const normalized = cleaned.replace(/^\d+\)?\s*[.)-]\s*/,'').trim();
-      if (normalized) bullets.push(cleanMarkdown(normalized));
-    });
+/* ========== 수집 작업 진행 바 ========== */
+function IngestProgress({ job, onCancel, onClose }) {
+  const p = job.progress || {};
+  const active = ['queued', 'running'].includes(job.status);
+  // 상세 수집 단계만 분모를 알 수 있음 → 그 전에는 목록 스캔 중 표시
+  const pct = p.detailsTotal
+    ? Math.round((p.detailsFetched || 0) / p.detailsTotal * 100)
+    : (job.status === 'done' ? 100 : 0);
+  const statusText = {
+    queued: '대기 중', running: JOB_PHASE_LABEL[p.phase] || '실행 중',
+    done: '완료', error: '실패', cancelled: '취소됨',
+  }[job.status];
+  const barColor = job.status === 'error' ? theme.danger : job.status === 'cancelled' ? theme.sub : theme.primary;
 
-    if (bullets.length) out.push({ title, bullets });
-  }
+  return (
+    <Card
+      title={<span>수집 작업 · {statusText}</span>}
+      actions={active
+        ? <Button variant="secondary" onClick={onCancel}>취소</Button>
+        : <Button variant="secondary" onClick={onClose}>닫기</Button>}
+    >
+      <div style={{ height:8, borderRadius:4, background: theme.chipBg, overflow:'hidden' }}>
+        <div style={{
+          width: `${active && !p.detailsTotal ? 100 : pct}%`, height:'100%', background: barColor,
+          opacity: active && !p.detailsTotal ? 0.35 : 1, transition:'width .3s ease',
+        }} />
+      </div>
+      <div style={{ display:'flex', flexWrap:'wrap', gap:8, marginTop:10, alignItems:'center' }}>
+        <Chip>스캔한 페이지 {Number(p.pagesScanned || 0).toLocaleString()}</Chip>
+        <Chip>신규 ID {Number(p.idsFound || 0).toLocaleString()}</Chip>
+        <Chip>상세 {Number(p.detailsFetched || 0).toLocaleString()} / {Number(p.detailsTotal || 0).toLocaleString()}</Chip>
+        {p.refreshed != null && <Chip>통계 갱신 {Number(p.refreshed).toLocaleString()}</Chip>}
+        {p.removed > 0 && <Chip>삭제/비공개 감지 {Number(p.removed).toLocaleString()}</Chip>}
+        {!!p.errors?.length && <Chip>오류 {p.errors.length}</Chip>}
+      </div>
+      {(job.error || p.errors?.length > 0) && (
+        <div style={{ marginTop:8, fontSize:12, color: theme.danger, whiteSpace:'pre-wrap' }}>
+          {[job.error, ...(p.errors || [])].filter(Boolean).join('\n')}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+/* ========== 자동 수집(워치리스트) 패널 ========== */
+const fmtTime = (iso) => (iso ? dayjs(iso).format('YY.MM.DD HH:mm') : '—');
+const runStatusColor = { ok: '#10b981', error: theme.danger, running: theme.primary };
+const WATCH_KIND_LABEL = { channel: '채널', query: '키워드', playlist: '재생목록' };
+
+function WatchlistPanel({ defaultTarget }) {
+  const [items, setItems] = useState([]);
+  const [enabled, setEnabled] = useState(true);
+  const [kind, setKind] = useState('channel');
+  const [target, setTarget] = useState('');
+  const [schedule, setSchedule] = useState('0 6 * * *');
+  const [busyId, setBusyId] = useState(null);
+  const [err, setErr] = useState('');
+
+  const reload = async () => {
+    try {
+      const r = await api('/api/yt/watchlist');
+      setItems(r.items || []);
+      setEnabled(r.schedulerEnabled !== false);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+  useEffect(() => { reload(); }, []);
+
+  const add = async () => {
+    setErr('');
+    try {
+      await api('/api/yt/watchlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ kind, target: target || defaultTarget, schedule }),
+      });
+      setTarget('');
+      await reload();
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const act = async (id, path, opts) => {
+    setErr(''); setBusyId(id);
+    try {
+      await api(`/api/yt/watchlist/${id}${path}`, opts);
+      await reload();
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setBusyId(null);
+    }
+  };
+  // 실행은 서버 작업 큐에 등록됨 → 끝날 때까지 따라가서 마지막 실행 결과 갱신
+  const run = async (id) => {
+    setErr(''); setBusyId(id);
+    try {
+      const r = await api(`/api/yt/watchlist/${id}/run`, { method: 'POST' });
+      const j = await followJob(r.jobId, () => {});
+      if (j.status === 'error') setErr(j.error || '실행 실패');
+      await reload();
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setBusyId(null);
+    }
+  };
+  const toggle = (it) => act(it.id, '', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ enabled: !it.enabled }),
+  });
+
+  return (
+    <Card title="⏱ 자동 수집 스케줄" actions={<Button variant="secondary" onClick={reload}>새로고침</Button>}>
+      {!enabled && (
+        <div style={{ fontSize:12, color: theme.danger, marginBottom:8 }}>서버 스케줄러가 꺼져 있습니다(SCHEDULER_ENABLED=0).</div>
+      )}
+      <div style={{ display:'flex', flexWrap:'wrap', gap:12, alignItems:'flex-end', marginBottom:12 }}>
+        <div style={{ flex:'0 0 120px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>종류</div>
+          <Select value={kind} onChange={e=>setKind(e.target.value)}>
+            <option value="channel">채널</option>
+            <option value="query">키워드</option>
+            <option value="playlist">재생목록</option>
+          </Select>
+        </div>
+        <div style={{ flex:'1 1 240px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>대상</div>
+          <Input value={target} onChange={e=>setTarget(e.target.value)}
+                 placeholder={kind === 'channel' ? (defaultTarget || '@brand')
+                   : kind === 'playlist' ? 'https://www.youtube.com/playlist?list=PL…' : 'LG, air conditioner'} />
+        </div>
+        <div style={{ flex:'0 0 180px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>일정(cron: 분 시 일 월 요일)</div>
+          <Input value={schedule} onChange={e=>setSchedule(e.target.value)} placeholder="0 6 * * *" />
+        </div>
+        <Button onClick={add} disabled={!(target || (kind === 'channel' && defaultTarget))}>추가</Button>
+      </div>
+
+      <div style={{ borderRadius:12, border:`1px solid ${theme.border}`, overflow:'auto' }}>
+        <table style={{ width:'100%', borderCollapse:'collapse' }}>
+          <thead style={{ background: theme.tableHead }}>
+            <tr>
+              <th style={th}>대상</th>
+              <th style={thSmall}>일정</th>
+              <th style={thSmall}>마지막 실행</th>
+              <th style={thSmall}>다음 실행</th>
+              <th style={{ ...thSmall, width:180 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((it, idx) => (
+              <tr key={it.id} style={{ background: idx % 2 ? theme.tableStripe : '#fff', opacity: it.enabled ? 1 : 0.55 }}>
+                <td style={td}>
+                  <Chip>{WATCH_KIND_LABEL[it.kind] || it.kind}</Chip>{' '}
+                  <span style={{ fontWeight:600 }}>{it.label || it.target}</span>
+                </td>
+                <td style={{ ...tdSmall, fontFamily:'monospace' }}>{it.schedule}</td>
+                <td style={tdSmall} title={it.lastRun?.error || ''}>
+                  {it.lastRun ? (
+                    <>
+                      <span style={{ color: runStatusColor[it.lastRun.status] || theme.sub, fontWeight:600 }}>
+                        {it.lastRun.status === 'ok' ? `+${it.lastRun.added ?? 0}` : it.lastRun.status}
+                      </span>{' '}
+                      {fmtTime(it.lastRun.startedAt)}
+                    </>
+                  ) : '—'}
+                </td>
+                <td style={tdSmall}>{it.enabled ? fmtTime(it.nextRunAt) : '꺼짐'}</td>
+                <td style={{ ...tdSmall, display:'flex', gap:6, justifyContent:'flex-end' }}>
+                  <Button variant="secondary" disabled={busyId === it.id} onClick={() => run(it.id)}>
+                    {busyId === it.id ? <Spinner size={12}/> : null} 실행
+                  </Button>
+                  <Button variant="secondary" onClick={() => toggle(it)}>{it.enabled ? '끄기' : '켜기'}</Button>
+                  <Button variant="secondary" onClick={() => act(it.id, '', { method: 'DELETE' })}>삭제</Button>
+                </td>
+              </tr>
+            ))}
+            {items.length === 0 && (
+              <tr><td colSpan={5} style={{ ...td, color: theme.sub }}>등록된 자동 수집 대상이 없습니다.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </Card>
+  );
+}
+
+/* ========== 채널 일괄 등록(목록/CSV) ========== */
+const BULK_STATUS_META = {
+  resolved: { label: '확인', color: '#10b981' },
+  ambiguous: { label: '후보 여럿', color: '#f59e0b' },
+  failed: { label: '실패', color: theme.danger },
+};
+const jobStatusColor = { done: '#10b981', error: theme.danger, running: theme.primary, cancelled: theme.sub };
+
+function BulkOnboardPanel({ onSearched }) {
+  const [text, setText] = useState('');
+  const [since, setSince] = useState(dayjs().subtract(90, 'day').format('YYYY-MM-DD'));
+  const [results, setResults] = useState([]);
+  const [picks, setPicks] = useState({}); // ambiguous 행 index → 고른 channelId
+  const [jobs, setJobs] = useState({}); // jobId → status
+  const [busy, setBusy] = useState(false);
+  const [checked, setChecked] = useState(null); // 확인 작업 진행 { done, total }
+  const [err, setErr] = useState('');
+
+  // 등록한 수집 작업 상태(끝날 때까지 3초마다)
+  const jobIds = [...new Set(results.map(r => r.jobId).filter(Boolean))];
+  const pending = jobIds.some(id => !['done', 'error', 'cancelled'].includes(jobs[id]));
+  useEffect(() => {
+    if (!pending) return undefined;
+    const t = setInterval(async () => {
+      try {
+        const r = await api('/api/yt/jobs?limit=100');
+        setJobs(Object.fromEntries((r.items || []).map(j => [j.id, j.status])));
+      } catch {
+        // 다음 주기에 다시 시도
+      }
+    }, 3000);
+    return () => clearInterval(t);
+  }, [pending]);
+
+  const readFile = (e) => {
+    const f = e.target.files?.[0];
+    if (f) f.text().then(setText);
+    e.target.value = '';
+  };
+
+  // 확인을 거친 뒤에는 채널 ID로만 보냄(검색 쿼터 재사용 없음)
+  const confirmedItems = () => results.flatMap((r, i) => (
+    r.status === 'resolved' ? [r.channelId] : r.status === 'ambiguous' && picks[i] ? [picks[i]] : []
+  ));
+
+  const submit = async (dryRun) => {
+    setErr(''); setBusy(true);
+    try {
+      const body = !dryRun && results.length
+        ? { items: confirmedItems(), since }
+        : { text, since, dryRun };
+      const r = await api('/api/yt/channels/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (dryRun) setPicks({});
+      setJobs({});
+
+      // 확인은 서버 작업(항목당 검색 100유닛·수 초) → 확인된 항목부터 표에 채움
+      const job = await followJob(r.jobId, (j) => {
+        setChecked({ done: j.progress?.done ?? 0, total: j.progress?.total ?? 0 });
+        if (j.progress?.results) setResults(j.progress.results);
+      });
+      if (job.status === 'error') throw new Error(job.error || '채널 확인 실패');
+      if (job.status === 'cancelled') throw new Error('채널 확인 작업이 취소되었습니다.');
+      setResults(job.result?.results || []);
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setBusy(false);
+      setChecked(null);
+      onSearched?.(); // 채널 검색에 쓴 쿼터 반영
+    }
+  };
+
+  const queueCount = results.length ? confirmedItems().length : 0;
+  return (
+    <Card title="📥 채널 일괄 등록">
+      <div style={{ display:'flex', flexWrap:'wrap', gap:12, alignItems:'flex-end', marginBottom:12 }}>
+        <div style={{ flex:'1 1 360px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>
+            핸들 · URL · 채널 ID (줄마다 하나, CSV 붙여넣기/파일 가능 — 이름/핸들은 항목당 검색 100유닛)
+          </div>
+          <textarea value={text} onChange={e => { setText(e.target.value); setResults([]); }} rows={5}
+                    placeholder={'@LGGlobal\nhttps://www.youtube.com/@competitor\nUCxxxxxxxxxxxxxxxxxxxxxx'}
+                    style={{ width:'100%', padding:'10px 12px', borderRadius:8, border:`1px solid ${theme.border}`,
+                             fontSize:13, fontFamily:'monospace', resize:'vertical', boxSizing:'border-box' }} />
+        </div>
+        <div style={{ flex:'0 0 160px', display:'grid', gap:8 }}>
+          <div style={{ fontSize:12, color: theme.sub }}>수집 시작일(공통)</div>
+          <Input type="date" value={since} onChange={e => setSince(e.target.value)} />
+          <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={readFile} style={{ fontSize:12 }} />
+        </div>
+        <div style={{ display:'flex', gap:8 }}>
+          <Button variant="secondary" onClick={() => submit(true)} disabled={busy || !text.trim()}>
+            {busy ? <Spinner size={12}/> : null} 확인{checked ? ` ${checked.done}/${checked.total}` : ''}
+          </Button>
+          <Button onClick={() => submit(false)} disabled={busy || !since || (results.length ? !queueCount : !text.trim())}>
+            수집 등록{results.length ? ` (${queueCount})` : ''}
+          </Button>
+        </div>
+      </div>
+
+      {results.length > 0 && (
+        <div style={{ borderRadius:12, border:`1px solid ${theme.border}`, overflow:'auto', maxHeight:360 }}>
+          <table style={{ width:'100%', borderCollapse:'collapse' }}>
+            <thead style={{ position:'sticky', top:0, zIndex:1, background: theme.tableHead }}>
+              <tr>
+                <th style={th}>입력</th>
+                <th style={thSmall}>상태</th>
+                <th style={th}>채널</th>
+                <th style={thSmall}>수집</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((r, idx) => (
+                <tr key={`${r.input}-${idx}`} style={{ background: idx % 2 ? theme.tableStripe : '#fff' }}>
+                  <td style={{ ...td, fontFamily:'monospace', fontSize:12 }}>{r.input}</td>
+                  <td style={tdSmall}>
+                    <span style={{ color: BULK_STATUS_META[r.status]?.color, fontWeight:600 }}>
+                      {BULK_STATUS_META[r.status]?.label || r.status}
+                    </span>
+                  </td>
+                  <td style={td}>
+                    {r.status === 'resolved' && <>{r.title || r.channelId} <span style={{ fontSize:11, color: theme.sub }}>{r.channelId}</span></>}
+                    {r.status === 'ambiguous' && (
+                      <Select value={picks[idx] || ''} onChange={e => setPicks(p => ({ ...p, [idx]: e.target.value }))}
+                              style={{ padding:'6px 10px', fontSize:13 }}>
+                        <option value="">후보 선택…</option>
+                        {r.candidates.map(c => <option key={c.channelId} value={c.channelId}>{c.title} ({c.channelId})</option>)}
+                      </Select>
+                    )}
+                    {r.status === 'failed' && <span style={{ fontSize:12, color: theme.danger }}>{r.error}</span>}
+                  </td>
+                  <td style={tdSmall}>
+                    {r.jobId ? (
+                      <span style={{ color: jobStatusColor[jobs[r.jobId]] || theme.sub, fontWeight:600 }}>
+                        {jobs[r.jobId] || 'queued'}
+                      </span>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </Card>
+  );
+}
+
+/* ========== 재생목록(추적 소스) ========== */
+// 재생목록 메트릭은 게시일과 무관하게 현재 구성 전체(YouTube 시작 이후)
+const PLAYLIST_METRICS_FROM = '2005-01-01';
+
+function PlaylistsPanel({ channelId, onSearched }) {
+  const [items, setItems] = useState([]);
+  const [input, setInput] = useState('');
+  const [jobs, setJobs] = useState({}); // playlistId → 진행 중/마지막 작업
+  const [selected, setSelected] = useState(null);
+  const [detail, setDetail] = useState(null); // { changes, totals, top }
+  const [channelLists, setChannelLists] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState('');
+
+  const reload = async () => {
+    try {
+      const r = await api('/api/yt/playlists');
+      setItems(r.items || []);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+  useEffect(() => { reload(); }, []);
+
+  const open = async (playlistId) => {
+    setSelected(playlistId); setDetail(null);
+    try {
+      const qs = new URLSearchParams({
+        playlistId,
+        from: PLAYLIST_METRICS_FROM,
+        granularity: 'month',
+        metrics: 'uploads,views,likes,comments,engagementPer1k',
+        top: '5',
+      });
+      const [changes, metrics] = await Promise.all([
+        api(`/api/yt/playlists/${encodeURIComponent(playlistId)}/changes?days=30`),
+        api(`/api/yt/metrics?${qs.toString()}`),
+      ]);
+      setDetail({ changes: changes.items || [], totals: metrics.totals, top: metrics.top || [] });
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  // 작업이 끝나면 목록/상세 다시 읽기
+  const follow = async (playlistId, jobId) => {
+    const j = await followJob(jobId, (x) => setJobs(m => ({ ...m, [playlistId]: x })));
+    await reload();
+    onSearched?.(); // 수집에 쓴 쿼터 반영
+    if (j.status === 'error') setErr(j.error || '재생목록 수집 실패');
+    if (selected === playlistId) open(playlistId);
+  };
 
-  // 혹시 섹션 패턴이 전혀 없으면 통으로 하나의 섹션으로
-  if (!out.length) {
-    const bullets = text
-      .split('\n')
-      .map(s => s.replace(/^\s*[-*•]+(\s*|\s*\+\+)?\s*/,'').trim())
-      .filter(Boolean)
-      .map(cleanMarkdown);
-    if (bullets.length) out.push({ title: '요약', bullets });
+  const track = async (playlist) => {
+    setErr('');
+    try {
+      const r = await api('/api/yt/playlists', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ playlist }),
+      });
+      setInput('');
+      setChannelLists(ls => ls?.map(p => (p.playlistId === r.playlistId ? { ...p, tracked: true } : p)));
+      follow(r.playlistId, r.jobId);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const ingest = async (playlistId) => {
+    setErr('');
+    try {
+      const r = await api(`/api/yt/playlists/${encodeURIComponent(playlistId)}/ingest`, { method: 'POST' });
+      follow(playlistId, r.jobId);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const remove = async (playlistId) => {
+    setErr('');
+    try {
+      await api(`/api/yt/playlists/${encodeURIComponent(playlistId)}`, { method: 'DELETE' });
+      if (selected === playlistId) { setSelected(null); setDetail(null); }
+      await reload();
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const loadChannelLists = async () => {
+    setErr(''); setBusy(true);
+    try {
+      const r = await api(`/api/yt/channel-playlists?channelId=${encodeURIComponent(channelId)}`);
+      setChannelLists(r.items || []);
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setBusy(false);
+      onSearched?.();
+    }
+  };
+
+  const jobLabel = (playlistId) => {
+    const j = jobs[playlistId];
+    if (!j) return null;
+    if (j.status === 'done') return `+${j.result?.added ?? 0} / −${j.result?.removed ?? 0}`;
+    if (j.status !== 'running' && j.status !== 'queued') return j.status;
+    return JOB_PHASE_LABEL[j.progress?.phase] || j.status;
+  };
+
+  return (
+    <Card title="🎞 재생목록 추적" actions={<Button variant="secondary" onClick={reload}>새로고침</Button>}>
+      <div style={{ display:'flex', flexWrap:'wrap', gap:12, alignItems:'flex-end', marginBottom:12 }}>
+        <div style={{ flex:'1 1 320px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>재생목록 URL 또는 ID(PL…)</div>
+          <Input value={input} onChange={e => setInput(e.target.value)}
+                 placeholder="https://www.youtube.com/playlist?list=PL…" />
+        </div>
+        <Button onClick={() => track(input.trim())} disabled={!input.trim()}>추적 추가</Button>
+        {channelId && (
+          <Button variant="secondary" onClick={loadChannelLists} disabled={busy}>
+            {busy ? <Spinner size={12}/> : null} 채널 재생목록 보기
+          </Button>
+        )}
+      </div>
+
+      {channelLists && (
+        <div style={{ borderRadius:12, border:`1px solid ${theme.border}`, overflow:'auto', maxHeight:240, marginBottom:12 }}>
+          <table style={{ width:'100%', borderCollapse:'collapse' }}>
+            <tbody>
+              {channelLists.map((p, idx) => (
+                <tr key={p.playlistId} style={{ background: idx % 2 ? theme.tableStripe : '#fff' }}>
+                  <td style={td}>{p.title} <span style={{ fontSize:11, color: theme.sub }}>{p.playlistId}</span></td>
+                  <td style={tdSmall}>{p.itemCount != null ? `${fmtNum(p.itemCount)}개` : '—'}</td>
+                  <td style={{ ...tdSmall, width:80 }}>
+                    {p.tracked ? <span style={{ color: theme.sub }}>추적 중</span>
+                      : <Button variant="secondary" onClick={() => track(p.playlistId)}>추적</Button>}
+                  </td>
+                </tr>
+              ))}
+              {channelLists.length === 0 && (
+                <tr><td style={{ ...td, color: theme.sub }}>공개 재생목록이 없습니다.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ borderRadius:12, border:`1px solid ${theme.border}`, overflow:'auto' }}>
+        <table style={{ width:'100%', borderCollapse:'collapse' }}>
+          <thead style={{ background: theme.tableHead }}>
+            <tr>
+              <th style={th}>재생목록</th>
+              <th style={thSmall}>영상</th>
+              <th style={thSmall}>마지막 수집</th>
+              <th style={{ ...thSmall, width:150 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((p, idx) => (
+              <tr key={p.playlistId}
+                  style={{ background: selected === p.playlistId ? theme.tableHead : idx % 2 ? theme.tableStripe : '#fff', cursor:'pointer' }}
+                  onClick={() => open(p.playlistId)}>
+                <td style={td}>
+                  <span style={{ fontWeight:600 }}>{p.title || p.playlistId}</span>{' '}
+                  <span style={{ fontSize:11, color: theme.sub }}>{p.channelTitle}</span>
+                </td>
+                <td style={tdSmall}>{fmtNum(p.videoCount ?? 0)}</td>
+                <td style={tdSmall}>{jobLabel(p.playlistId) || fmtTime(p.lastIngestAt)}</td>
+                <td style={{ ...tdSmall, display:'flex', gap:6, justifyContent:'flex-end' }} onClick={e => e.stopPropagation()}>
+                  <Button variant="secondary" onClick={() => ingest(p.playlistId)}>수집</Button>
+                  <Button variant="secondary" onClick={() => remove(p.playlistId)}>삭제</Button>
+                </td>
+              </tr>
+            ))}
+            {items.length === 0 && (
+              <tr><td colSpan={4} style={{ ...td, color: theme.sub }}>추적 중인 재생목록이 없습니다.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {selected && (
+        <div style={{ marginTop:12 }}>
+          {!detail ? <Spinner /> : (
+            <>
+              <div style={{ display:'flex', flexWrap:'wrap', gap:8, marginBottom:10 }}>
+                <Chip>영상 {fmtNum(detail.totals?.uploads ?? 0)}</Chip>
+                <Chip>조회 {fmtNum(detail.totals?.views ?? 0)}</Chip>
+                <Chip>좋아요 {fmtNum(detail.totals?.likes ?? 0)}</Chip>
+                <Chip>댓글 {fmtNum(detail.totals?.comments ?? 0)}</Chip>
+                {detail.totals?.engagementPer1k != null && <Chip>1천 조회당 참여 {detail.totals.engagementPer1k.toFixed(1)}</Chip>}
+              </div>
+              <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(280px, 1fr))', gap:12 }}>
+                <div>
+                  <div style={{ fontSize:12, color: theme.sub, marginBottom:6 }}>최근 30일 구성 변화</div>
+                  {detail.changes.length ? detail.changes.map(c => (
+                    <div key={`${c.change}-${c.videoId}`} style={{ fontSize:13, padding:'3px 0' }}>
+                      <span style={{ color: c.change === 'added' ? '#10b981' : theme.danger, fontWeight:600 }}>
+                        {c.change === 'added' ? '추가' : '빠짐'}
+                      </span>{' '}
+                      {c.title || c.videoId} <span style={{ fontSize:11, color: theme.sub }}>{fmtTime(c.at)}</span>
+                    </div>
+                  )) : <div style={{ fontSize:13, color: theme.sub }}>변화 없음</div>}
+                </div>
+                <div>
+                  <div style={{ fontSize:12, color: theme.sub, marginBottom:6 }}>조회 상위</div>
+                  {detail.top.map(v => (
+                    <div key={v.videoId} style={{ fontSize:13, padding:'3px 0' }}>
+                      {v.title} <span style={{ fontSize:11, color: theme.sub }}>{fmtNum(v.views)}회</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </Card>
+  );
+}
+
+/* ========== 댓글(수집 + 검색) ========== */
+const COMMENT_PAGE = 50;
+const COMMENT_ORDER_OPTIONS = [['recent', '최신순'], ['likes', '좋아요순'], ['replies', '답글순']];
+
+function CommentsPanel({ channelId, onSearched }) {
+  const [videoId, setVideoId] = useState('');
+  const [q, setQ] = useState('');
+  const [order, setOrder] = useState('recent');
+  const [offset, setOffset] = useState(0);
+  const [data, setData] = useState(null); // { items, total }
+  const [job, setJob] = useState(null);
+  const [err, setErr] = useState('');
+
+  const scope = videoId.trim() ? { videoId: videoId.trim() } : { channelId };
+  const load = async (nextOffset = 0) => {
+    setErr('');
+    try {
+      const qs = new URLSearchParams({ ...scope, order, limit: String(COMMENT_PAGE), offset: String(nextOffset) });
+      if (q.trim()) qs.set('q', q.trim());
+      setData(await api(`/api/yt/comments?${qs.toString()}`));
+      setOffset(nextOffset);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+  // 처음에는 채널 전체 최신순 첫 페이지
+  useEffect(() => {
+    api(`/api/yt/comments?channelId=${encodeURIComponent(channelId)}&limit=${COMMENT_PAGE}`)
+      .then(setData)
+      .catch((e) => setErr(String(e)));
+  }, [channelId]);
+
+  const collect = async () => {
+    setErr('');
+    try {
+      const r = await api('/api/yt/comments/ingest', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(scope),
+      });
+      setJob(r.job);
+      const j = await followJob(r.jobId, setJob);
+      if (j.status === 'error') setErr(j.error || '댓글 수집 실패');
+      onSearched?.(); // 수집에 쓴 쿼터 반영
+      await load(0);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const running = job && !['done', 'error', 'cancelled'].includes(job.status);
+  const p = job?.progress || {};
+  return (
+    <Card title="💬 댓글">
+      <div style={{ display:'flex', flexWrap:'wrap', gap:12, alignItems:'flex-end', marginBottom:12 }}>
+        <div style={{ flex:'0 0 180px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>영상 ID(비우면 채널 전체)</div>
+          <Input value={videoId} onChange={e => setVideoId(e.target.value)} placeholder="dQw4w9WgXcQ" />
+        </div>
+        <div style={{ flex:'1 1 220px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>검색(본문·작성자)</div>
+          <Input value={q} onChange={e => setQ(e.target.value)} onKeyDown={e => e.key === 'Enter' && load(0)} placeholder="배송, 소음 …" />
+        </div>
+        <div style={{ flex:'0 0 120px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>정렬</div>
+          <Select value={order} onChange={e => setOrder(e.target.value)}>
+            {COMMENT_ORDER_OPTIONS.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+          </Select>
+        </div>
+        <Button variant="secondary" onClick={() => load(0)} disabled={!channelId && !videoId.trim()}>조회</Button>
+        <Button onClick={collect} disabled={running || (!channelId && !videoId.trim())}>
+          {running ? <Spinner size={12}/> : null} 새 댓글 수집
+        </Button>
+      </div>
+
+      {job && (
+        <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>
+          {JOB_PHASE_LABEL[p.phase] || job.status} · 영상 {p.videosDone ?? 0}/{p.videosTotal ?? 0} · 새 댓글 {fmtNum(p.commentsAdded ?? 0)}
+          {p.errors?.length ? <span style={{ color: theme.danger }}> · 실패 {p.errors.length}</span> : null}
+        </div>
+      )}
+
+      {data && (
+        <>
+          <div style={{ borderRadius:12, border:`1px solid ${theme.border}`, overflow:'auto', maxHeight:480 }}>
+            <table style={{ width:'100%', borderCollapse:'collapse' }}>
+              <thead style={{ position:'sticky', top:0, zIndex:1, background: theme.tableHead }}>
+                <tr>
+                  <th style={th}>댓글</th>
+                  <th style={thSmall}>좋아요</th>
+                  <th style={thSmall}>답글</th>
+                  <th style={thSmall}>작성</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.items.map((c, idx) => (
+                  <tr key={c.commentId} style={{ background: idx % 2 ? theme.tableStripe : '#fff' }}>
+                    <td style={td}>
+                      <div style={{ fontSize:12, color: theme.sub, marginBottom:2 }}>
+                        <span style={{ fontWeight:600, color: theme.text }}>{c.author || '—'}</span>
+                        {!scope.videoId && <> · {c.videoTitle || c.videoId}</>}
+                      </div>
+                      <div style={{ fontSize:13, whiteSpace:'pre-wrap' }}>{c.text}</div>
+                    </td>
+                    <td style={tdSmall}>{fmtNum(c.likeCount)}</td>
+                    <td style={tdSmall}>{fmtNum(c.replyCount)}</td>
+                    <td style={tdSmall}>{fmtTime(c.publishedAt)}</td>
+                  </tr>
+                ))}
+                {data.items.length === 0 && (
+                  <tr><td colSpan={4} style={{ ...td, color: theme.sub }}>저장된 댓글이 없습니다. 새 댓글 수집을 눌러 주세요.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display:'flex', gap:8, alignItems:'center', justifyContent:'flex-end', marginTop:8, fontSize:12, color: theme.sub }}>
+            {data.total ? `${offset + 1}–${offset + data.items.length} / ${fmtNum(data.total)}` : '0건'}
+            <Button variant="secondary" disabled={offset === 0} onClick={() => load(Math.max(0, offset - COMMENT_PAGE))}>이전</Button>
+            <Button variant="secondary" disabled={offset + COMMENT_PAGE >= data.total} onClick={() => load(offset + COMMENT_PAGE)}>다음</Button>
+          </div>
+        </>
+      )}
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </Card>
+  );
+}
+
+/* ========== 자막(가져오기 + 검색, 서버: transcripts.js) ========== */
+const TRANSCRIPT_PAGE = 20;
+
+function TranscriptsPanel({ channelId }) {
+  const [q, setQ] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [data, setData] = useState(null); // { fetcher, items, total }
+  const [imported, setImported] = useState(null); // 마지막 파일 가져오기 결과
+  const [job, setJob] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState('');
+
+  const load = async (nextOffset = 0) => {
+    setErr('');
+    try {
+      const qs = new URLSearchParams({ channelId, limit: String(TRANSCRIPT_PAGE), offset: String(nextOffset) });
+      if (q.trim()) qs.set('q', q.trim());
+      setData(await api(`/api/yt/transcripts?${qs.toString()}`));
+      setOffset(nextOffset);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+  useEffect(() => {
+    api(`/api/yt/transcripts?channelId=${encodeURIComponent(channelId)}&limit=${TRANSCRIPT_PAGE}`)
+      .then(setData)
+      .catch((e) => setErr(String(e)));
+  }, [channelId]);
+
+  // 파일 이름에 영상 ID가 있어야 함(yt-dlp 기본 이름 "제목 [ID].ko.vtt" 또는 "ID.vtt")
+  const importFiles = async (fileList) => {
+    const files = [...(fileList || [])];
+    if (!files.length) return;
+    setErr(''); setBusy(true);
+    try {
+      const payload = await Promise.all(files.map(async (f) => ({ name: f.name, content: await f.text() })));
+      setImported(await api('/api/yt/transcripts/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ files: payload }),
+      }));
+      await load(0);
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fetchMissing = async () => {
+    setErr('');
+    try {
+      const r = await api('/api/yt/transcripts/fetch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channelId }),
+      });
+      setJob(r.job);
+      const j = await followJob(r.jobId, setJob);
+      if (j.status === 'error') setErr(j.error || '자막 가져오기 실패');
+      await load(0);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const remove = async (videoId) => {
+    setErr('');
+    try {
+      await api(`/api/yt/transcripts/${encodeURIComponent(videoId)}`, { method: 'DELETE' });
+      await load(offset);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const running = job && !['done', 'error', 'cancelled'].includes(job.status);
+  const p = job?.progress || {};
+  const failed = imported?.results.filter((r) => !r.ok) || [];
+  return (
+    <Card title="📝 자막">
+      <div style={{ display:'flex', flexWrap:'wrap', gap:12, alignItems:'flex-end', marginBottom:12 }}>
+        <div style={{ flex:'1 1 220px' }}>
+          <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>자막 검색</div>
+          <Input value={q} onChange={e => setQ(e.target.value)} onKeyDown={e => e.key === 'Enter' && load(0)} placeholder="소음, 필터 …" />
+        </div>
+        <Button variant="secondary" onClick={() => load(0)}>조회</Button>
+        <label style={{ fontSize:13, color: theme.sub, display:'flex', alignItems:'center', gap:6 }}>
+          {busy ? <Spinner size={12}/> : null} .vtt/.srt 가져오기
+          <input type="file" accept=".vtt,.srt" multiple disabled={busy} onChange={e => { importFiles(e.target.files); e.target.value = ''; }} />
+        </label>
+        {data?.fetcher && data.fetcher !== 'none' && (
+          <Button onClick={fetchMissing} disabled={running}>
+            {running ? <Spinner size={12}/> : null} 없는 자막 가져오기({data.fetcher})
+          </Button>
+        )}
+      </div>
+
+      {imported && (
+        <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>
+          파일 {imported.results.length}개 중 {imported.saved}개 저장
+          {failed.map((r) => <div key={r.name} style={{ color: theme.danger }}>· {r.error}</div>)}
+        </div>
+      )}
+      {job && (
+        <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>
+          {JOB_PHASE_LABEL[p.phase] || job.status} · 영상 {p.videosDone ?? 0}/{p.videosTotal ?? 0} · 저장 {p.saved ?? 0}
+          {p.errors?.length ? <span style={{ color: theme.danger }}> · 실패 {p.errors.length}</span> : null}
+        </div>
+      )}
+
+      {data && (
+        <>
+          <div style={{ display:'grid', gap:8 }}>
+            {data.items.map((t) => (
+              <div key={t.videoId} style={{ border:`1px solid ${theme.border}`, borderRadius:12, padding:'8px 12px' }}>
+                <div style={{ display:'flex', gap:8, alignItems:'center', fontSize:12, color: theme.sub, marginBottom:4 }}>
+                  <a href={`https://www.youtube.com/watch?v=${t.videoId}`} target="_blank" rel="noreferrer" style={{ fontWeight:600, color: theme.text }}>
+                    {t.title || t.videoId}
+                  </a>
+                  <span>· {t.language || '언어 미상'} · {fmtNum(t.words)}단어 · {t.source}</span>
+                  <span style={{ flex:1 }} />
+                  <Button variant="secondary" onClick={() => remove(t.videoId)}>삭제</Button>
+                </div>
+                {t.excerpts.map((x) => <div key={x.at} style={{ fontSize:13, marginTop:2 }}>{x.text}</div>)}
+              </div>
+            ))}
+            {data.items.length === 0 && (
+              <div style={{ fontSize:13, color: theme.sub }}>저장된 자막이 없습니다. 자막 파일을 가져와 주세요.</div>
+            )}
+          </div>
+          <div style={{ display:'flex', gap:8, alignItems:'center', justifyContent:'flex-end', marginTop:8, fontSize:12, color: theme.sub }}>
+            {data.total ? `${offset + 1}–${offset + data.items.length} / ${fmtNum(data.total)}` : '0건'}
+            <Button variant="secondary" disabled={offset === 0} onClick={() => load(Math.max(0, offset - TRANSCRIPT_PAGE))}>이전</Button>
+            <Button variant="secondary" disabled={offset + TRANSCRIPT_PAGE >= data.total} onClick={() => load(offset + TRANSCRIPT_PAGE)}>다음</Button>
+          </div>
+        </>
+      )}
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </Card>
+  );
+}
+
+/* ========== 댓글 반응 분석(LLM, 서버: sentiment.js) ========== */
+const SENTIMENT_META = {
+  positive: { label: '긍정', color: '#10b981' },
+  neutral: { label: '중립', color: '#9ca3af' },
+  negative: { label: '부정', color: '#ef4444' },
+  mixed: { label: '엇갈림', color: '#f59e0b' },
+};
+
+/** 감성 분포 막대(댓글 수 비율) */
+function SentimentBar({ sentiment, height = 10 }) {
+  const total = ['positive', 'neutral', 'negative'].reduce((n, k) => n + (sentiment?.[k] || 0), 0);
+  if (!total) return <div style={{ fontSize:12, color: theme.sub }}>—</div>;
+  return (
+    <div style={{ display:'flex', height, borderRadius:999, overflow:'hidden', background: theme.border }}>
+      {['positive', 'neutral', 'negative'].map(k => (sentiment[k] ? (
+        <div key={k} title={`${SENTIMENT_META[k].label} ${sentiment[k]}`}
+             style={{ width: `${(sentiment[k] / total) * 100}%`, background: SENTIMENT_META[k].color }} />
+      ) : null))}
+    </div>
+  );
+}
+
+function ThemeList({ title, items, color }) {
+  return (
+    <div>
+      <div style={{ fontSize:12, color: theme.sub, marginBottom:6 }}>{title}</div>
+      {items.length ? items.map(t => (
+        <div key={t.theme} style={{ fontSize:13, padding:'3px 0' }}>
+          <span style={{ fontWeight:600, color }}>{t.theme}</span>{' '}
+          <span style={{ fontSize:11, color: theme.sub }}>{t.count}건</span>
+          {t.quote && <div style={{ fontSize:12, color: theme.sub }}>“{t.quote}”</div>}
+        </div>
+      )) : <div style={{ fontSize:13, color: theme.sub }}>없음</div>}
+    </div>
+  );
+}
+
+function CommentAnalysisPanel({ channelId }) {
+  const [data, setData] = useState(null); // { items, rollup }
+  const [job, setJob] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    api(`/api/yt/comments/analysis?channelId=${encodeURIComponent(channelId)}`)
+      .then(setData)
+      .catch((e) => setErr(String(e)));
+  }, [channelId]);
+
+  const analyze = async (force = false) => {
+    setErr('');
+    try {
+      const r = await api('/api/yt/comments/analyze', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channelId, force }),
+      });
+      setJob(r.job);
+      const j = await followJob(r.jobId, setJob);
+      if (j.status === 'error') setErr(j.error || '댓글 분석 실패');
+      setData(await api(`/api/yt/comments/analysis?channelId=${encodeURIComponent(channelId)}`));
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const running = job && !['done', 'error', 'cancelled'].includes(job.status);
+  const p = job?.progress || {};
+  const rollup = data?.rollup;
+  return (
+    <Card title="🗣 댓글 반응 분석" actions={
+      <div style={{ display:'flex', gap:8 }}>
+        <Button variant="secondary" onClick={() => analyze(true)} disabled={running}>전체 다시 분석</Button>
+        <Button onClick={() => analyze(false)} disabled={running}>
+          {running ? <Spinner size={12}/> : null} 새 댓글 분석
+        </Button>
+      </div>
+    }>
+      {job && (
+        <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>
+          {JOB_PHASE_LABEL[p.phase] || job.status} · 영상 {p.videosDone ?? 0}/{p.videosTotal ?? 0}
+          {p.errors?.length ? <span style={{ color: theme.danger }} title={p.errors.join('\n')}> · 실패 {p.errors.length}</span> : null}
+        </div>
+      )}
+
+      {!rollup ? (
+        <div style={{ color: theme.sub, fontSize:13 }}>
+          분석 결과가 없습니다. 댓글을 먼저 수집한 뒤 새 댓글 분석을 눌러 주세요(영상마다 LLM 호출 1회).
+        </div>
+      ) : (
+        <>
+          <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:8 }}>
+            <Chip>영상 {fmtNum(rollup.videos)}</Chip>
+            <Chip>댓글 {fmtNum(rollup.comments)}</Chip>
+            {['positive', 'neutral', 'negative'].map(k => (
+              <span key={k} style={{ fontSize:12, color: SENTIMENT_META[k].color, fontWeight:600 }}>
+                {SENTIMENT_META[k].label} {fmtNum(rollup.sentiment[k])}
+              </span>
+            ))}
+          </div>
+          <SentimentBar sentiment={rollup.sentiment} height={14} />
+
+          <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(240px, 1fr))', gap:16, marginTop:16 }}>
+            <ThemeList title="반복되는 불만" items={rollup.complaints} color={theme.danger} />
+            <ThemeList title="반복되는 칭찬" items={rollup.praise} color="#10b981" />
+            <div>
+              <div style={{ fontSize:12, color: theme.sub, marginBottom:6 }}>제품 언급</div>
+              {rollup.products.length ? rollup.products.map(pr => (
+                <div key={pr.name} style={{ fontSize:13, padding:'3px 0' }}>
+                  {pr.name}{' '}
+                  <span style={{ fontSize:11, color: SENTIMENT_META[pr.sentiment]?.color || theme.sub, fontWeight:600 }}>
+                    {SENTIMENT_META[pr.sentiment]?.label || pr.sentiment}
+                  </span>{' '}
+                  <span style={{ fontSize:11, color: theme.sub }}>{pr.mentions}건</span>
+                </div>
+              )) : <div style={{ fontSize:13, color: theme.sub }}>없음</div>}
+            </div>
+          </div>
+
+          {rollup.quotes.length > 0 && (
+            <div style={{ marginTop:16 }}>
+              <div style={{ fontSize:12, color: theme.sub, marginBottom:6 }}>대표 댓글</div>
+              {rollup.quotes.map((qt, i) => (
+                <div key={`${qt.videoId}-${i}`} style={{ fontSize:13, padding:'4px 0 4px 10px', marginBottom:4,
+                                                        borderLeft:`3px solid ${SENTIMENT_META[qt.sentiment]?.color || theme.border}` }}>
+                  {qt.text}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div style={{ borderRadius:12, border:`1px solid ${theme.border}`, overflow:'auto', maxHeight:360, marginTop:16 }}>
+            <table style={{ width:'100%', borderCollapse:'collapse' }}>
+              <thead style={{ position:'sticky', top:0, zIndex:1, background: theme.tableHead }}>
+                <tr>
+                  <th style={th}>영상</th>
+                  <th style={{ ...thSmall, width:160 }}>감성</th>
+                  <th style={thSmall}>댓글</th>
+                  <th style={thSmall}>분석</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.items.map((a, idx) => (
+                  <tr key={a.videoId} style={{ background: idx % 2 ? theme.tableStripe : '#fff', cursor:'pointer' }}
+                      onClick={() => setOpenId(openId === a.videoId ? null : a.videoId)}>
+                    <td style={td}>
+                      <div style={{ fontWeight:600 }}>{a.title || a.videoId}</div>
+                      {openId === a.videoId && a.result.summary && (
+                        <div style={{ fontSize:12, color: theme.sub, marginTop:4 }}>{a.result.summary}</div>
+                      )}
+                    </td>
+                    <td style={tdSmall}><SentimentBar sentiment={a.result.sentiment} /></td>
+                    <td style={tdSmall}>{fmtNum(a.commentsUsed)}</td>
+                    <td style={tdSmall} title={a.provider}>{fmtTime(a.analyzedAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </Card>
+  );
+}
+
+/* ========== 영상 포맷(서버 분류: formats.js) ========== */
+const FORMAT_META = {
+  shorts: { label: '쇼츠(≤180초)', color: '#ef4444' },
+  short: { label: '180초–4분', color: '#f59e0b' },
+  mid: { label: '4–20분', color: '#10b981' },
+  long: { label: '20분 초과', color: '#6366f1' },
+  live: { label: '라이브/프리미어', color: '#8b5cf6' },
+  unknown: { label: '미분류', color: '#9ca3af' },
+};
+
+/** 표/인사이트용 영상 행 수(최근 게시순 — 서버가 기간으로 잘라서 보냄) */
+const UPLOAD_ROWS = 1000;
+
+/** 채널 지표(일별 업로드, TOP10, 기간 안 영상 행) — 메트릭 API 응답을 화면용 모양으로 */
+const loadChannelMetrics = async (scope, days) => {
+  const qs = new URLSearchParams({
+    ...scope,
+    from: dayjs().subtract(days, 'day').format('YYYY-MM-DD'),
+    metrics: 'uploads',
+    rows: String(UPLOAD_ROWS),
+    tzOffsetMinutes: String(-new Date().getTimezoneOffset()),
+  });
+  const r = await api(`/api/yt/metrics?${qs.toString()}`);
+  return {
+    byDay: Object.fromEntries(r.series.map(p => [p.bucket, p.uploads])),
+    rows: r.rows || [],
+    top: r.top,
+    topChannels: r.topChannels,
+    total: r.rowsTotal || 0,
+  };
+};
+
+/** 주별 포맷 구성(groupBy=format 집계) */
+const loadFormatMix = (scope, days) => {
+  const qs = new URLSearchParams({
+    ...scope,
+    days: String(days),
+    granularity: 'week',
+    groupBy: 'format',
+    metrics: 'uploads,views',
+    tzOffsetMinutes: String(-new Date().getTimezoneOffset()),
+  });
+  return api(`/api/yt/metrics?${qs.toString()}`);
+};
+
+/** 태그별 업로드/조회(groupBy=tag, 서버가 상위 30개만) */
+const loadTagStats = (scope, days) => {
+  const qs = new URLSearchParams({
+    ...scope,
+    days: String(days),
+    granularity: 'month',
+    groupBy: 'tag',
+    metrics: 'uploads,views,viewsPerDay',
+    top: '1',
+    tzOffsetMinutes: String(-new Date().getTimezoneOffset()),
+  });
+  return api(`/api/yt/metrics?${qs.toString()}`);
+};
+
+/** 저장된 썸네일(snippet.thumbnails) — 없으면 영상 ID로 추정한 주소 */
+const thumbnailOf = (v) =>
+  v.thumbnails?.medium?.url || v.thumbnails?.high?.url || v.thumbnails?.default?.url
+  || `https://i.ytimg.com/vi/${v.videoId}/hqdefault.jpg`;
+
+/* ========== 영상 공개 상태(서버: 갱신 때 videos.list에서 사라지면 removed) ========== */
+const AVAILABILITY_META = {
+  public: { label: '공개' },
+  unlisted: { label: '일부 공개', color: '#f59e0b' },
+  private: { label: '비공개', color: theme.danger },
+  removed: { label: '삭제/비공개', color: theme.danger },
+};
+// 최근 업로드 표 필터
+const AVAILABILITY_FILTERS = [
+  ['all', '전체'],
+  ['active', '게시 중'],
+  ['gone', '삭제/비공개만'],
+];
+const matchesAvailability = (v, filter) => {
+  if (filter === 'all') return true;
+  const gone = v.availability === 'removed' || v.availability === 'private';
+  return filter === 'gone' ? gone : !gone;
+};
+
+/* ========== 최근 업로드 표 컬럼(정렬 가능) ========== */
+const fmtNum = (x) => Number(x).toLocaleString();
+const fmtPct = (x) => `${(x * 100).toFixed(2)}%`;
+const UPLOAD_COLUMNS = [
+  { key: 'publishedAt', label: '업로드', fmt: (x) => dayjs(x).format('YY.MM.DD HH:mm') },
+  { key: 'format', label: '포맷', fmt: (x) => FORMAT_META[x]?.label || x },
+  { key: 'views', label: '조회', fmt: fmtNum },
+  { key: 'likes', label: '좋아요', fmt: fmtNum },
+  { key: 'comments', label: '댓글', fmt: fmtNum },
+  { key: 'likeRate', label: '좋아요율', fmt: fmtPct },
+  { key: 'commentRate', label: '댓글율', fmt: fmtPct },
+  { key: 'engagementPer1k', label: '참여/1천', fmt: (x) => x.toFixed(1), hint: '조회 1천 회당 좋아요+댓글' },
+  { key: 'viewsPerDay', label: '일평균 조회', fmt: (x) => fmtNum(Math.round(x)), hint: '게시 후 하루 평균 조회' },
+  { key: 'relativeViews', label: '중앙값 대비', fmt: (x) => `×${x.toFixed(2)}`, hint: '같은 채널·같은 나이대 영상 조회 중앙값 대비' },
+];
+
+// 값 없는 행(null)은 방향과 상관없이 맨 뒤
+const sortRows = (rows, { key, dir }) => rows.slice().sort((a, b) => {
+  const x = a[key], y = b[key];
+  if (x == null && y == null) return 0;
+  if (x == null) return 1;
+  if (y == null) return -1;
+  const c = typeof x === 'string' ? x.localeCompare(y) : x - y;
+  return dir === 'asc' ? c : -c;
+});
+
+/* ========== 키워드 검색 필터 ========== */
+const EMPTY_KW_FILTERS = { regionCode:'', relevanceLanguage:'', videoDuration:'', videoCategoryId:'', channelId:'', publishedBefore:'' };
+const REGION_OPTIONS = [['', '전체'], ['KR', '한국'], ['US', '미국'], ['JP', '일본'], ['IN', '인도'], ['VN', '베트남'], ['ID', '인도네시아'], ['DE', '독일'], ['GB', '영국'], ['BR', '브라질']];
+const LANGUAGE_OPTIONS = [['', '전체'], ['ko', '한국어'], ['en', '영어'], ['ja', '일본어'], ['hi', '힌디어'], ['vi', '베트남어'], ['id', '인도네시아어'], ['de', '독일어'], ['pt', '포르투갈어'], ['es', '스페인어']];
+const DURATION_OPTIONS = [['', '전체'], ['short', '4분 미만(쇼츠 포함)'], ['medium', '4–20분'], ['long', '20분 초과']];
+// YouTube 표준 카테고리(videoCategories.list 기준, 지역별로 일부 없음)
+const CATEGORY_OPTIONS = [
+  ['', '전체'], ['1', '영화/애니메이션'], ['2', '자동차'], ['10', '음악'], ['15', '애완동물/동물'], ['17', '스포츠'],
+  ['19', '여행/이벤트'], ['20', '게임'], ['22', '인물/블로그'], ['23', '코미디'], ['24', '엔터테인먼트'],
+  ['25', '뉴스/정치'], ['26', '노하우/스타일'], ['27', '교육'], ['28', '과학기술'], ['29', '비영리/사회운동'],
+];
+const optionLabel = (opts, v) => opts.find(([k]) => k === v)?.[1] || v;
+
+/** 저장된 쿼리 필터 → 짧은 설명 칩 */
+const filterChips = (f = {}) => [
+  f.regionCode && optionLabel(REGION_OPTIONS, f.regionCode),
+  f.relevanceLanguage && optionLabel(LANGUAGE_OPTIONS, f.relevanceLanguage),
+  f.videoDuration && optionLabel(DURATION_OPTIONS, f.videoDuration),
+  f.videoCategoryId && optionLabel(CATEGORY_OPTIONS, f.videoCategoryId),
+  f.channelId && `채널 ${f.channelId.slice(0, 8)}…`,
+  f.publishedBefore && `~${dayjs(f.publishedBefore).format('YYYY-MM-DD')}`,
+].filter(Boolean);
+
+/* ========== 쿼리 구문 트리 ========== */
+// 서버가 키워드 쿼리를 어떻게 해석했는지(AND/OR/NOT/구절) 그대로 보여 줌
+const QUERY_OP_COLOR = { and: theme.primary, or: '#10b981', not: theme.danger };
+
+function QueryTree({ node }) {
+  if (!node) return null;
+  if (node.type === 'term' || node.type === 'phrase') {
+    return <Chip>{node.type === 'phrase' ? `“${node.value}”` : node.value}</Chip>;
   }
-  return out;
+  const children = node.type === 'not' ? [node.child] : node.children;
+  const color = QUERY_OP_COLOR[node.type];
+  return (
+    <div style={{ display:'inline-flex', flexWrap:'wrap', alignItems:'center', gap:6,
+      padding:'4px 8px', borderRadius:8, border:`1px dashed ${color}` }}>
+      <span style={{ fontSize:11, fontWeight:700, color }}>{node.type.toUpperCase()}</span>
+      {children.map((c, i) => <QueryTree key={i} node={c} />)}
+    </div>
+  );
+}
+
+/* ========== 저장된 키워드 ========== */
+// 키워드 검색은 서버에 저장되고 다음 검색부터는 지난 검색 이후만 새로 찾음
+function SavedQueriesPanel({ refreshKey, activeId, onLoad }) {
+  const [items, setItems] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [err, setErr] = useState('');
+
+  const reload = async () => {
+    try {
+      const r = await api('/api/yt/queries');
+      setItems(r.items || []);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+  useEffect(() => { reload(); }, [refreshKey]);
+
+  const open = async (it) => {
+    setErr(''); setBusyId(it.id);
+    try {
+      await onLoad(it);
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const remove = async (id) => {
+    setErr('');
+    try {
+      await api(`/api/yt/queries/${id}`, { method: 'DELETE' });
+      await reload();
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  return (
+    <Card title="🔖 저장된 키워드" actions={<Button variant="secondary" onClick={reload}>새로고침</Button>}>
+      <div style={{ borderRadius:12, border:`1px solid ${theme.border}`, overflow:'auto' }}>
+        <table style={{ width:'100%', borderCollapse:'collapse' }}>
+          <thead style={{ background: theme.tableHead }}>
+            <tr>
+              <th style={th}>키워드</th>
+              <th style={thSmall}>영상</th>
+              <th style={thSmall}>마지막 검색</th>
+              <th style={{ ...thSmall, width:140 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((it, idx) => (
+              <tr key={it.id} style={{ background: it.id === activeId ? '#eef2ff' : (idx % 2 ? theme.tableStripe : '#fff') }}>
+                <td style={td}>
+                  <span style={{ fontWeight:600 }}>{it.query}</span>
+                  {filterChips(it.filters).map(c => <span key={c} style={{ marginLeft:6 }}><Chip>{c}</Chip></span>)}
+                </td>
+                <td style={tdSmall}>{Number(it.videoCount || 0).toLocaleString()}</td>
+                <td style={tdSmall}>{fmtTime(it.lastSearchAt)}</td>
+                <td style={{ ...tdSmall, display:'flex', gap:6, justifyContent:'flex-end' }}>
+                  <Button variant="secondary" disabled={busyId === it.id} onClick={() => open(it)}>
+                    {busyId === it.id ? <Spinner size={12}/> : null} 불러오기
+                  </Button>
+                  <Button variant="secondary" onClick={() => remove(it.id)}>삭제</Button>
+                </td>
+              </tr>
+            ))}
+            {items.length === 0 && (
+              <tr><td colSpan={4} style={{ ...td, color: theme.sub }}>검색한 키워드가 여기에 저장됩니다.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </Card>
+  );
+}
+
+/* ========== 인사이트 프롬프트 템플릿(선택 + 편집, 서버: prompts.js) ========== */
+const EMPTY_TEMPLATE_FORM = { id: '', name: '', description: '', brand: '', productTaxonomy: '', system: '', body: '' };
+const templateToForm = (t) => ({
+  id: t.id,
+  name: t.name || '',
+  description: t.description || '',
+  brand: t.variables?.brand || '',
+  productTaxonomy: [].concat(t.variables?.productTaxonomy || []).join(', '),
+  system: t.system || '',
+  body: t.body || '',
+});
+
+function PromptTemplatePicker({ value, onChange }) {
+  const [items, setItems] = useState([]);
+  const [editing, setEditing] = useState(null); // { isNew, form }
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState('');
+
+  const reload = async () => {
+    const r = await api('/api/yt/prompt-templates');
+    setItems(r.items || []);
+    return r.items || [];
+  };
+  useEffect(() => {
+    api('/api/yt/prompt-templates')
+      .then((r) => setItems(r.items || []))
+      .catch((e) => setErr(String(e)));
+  }, []);
+
+  const current = items.find((t) => t.id === value);
+  const setField = (k) => (e) => setEditing((ed) => ({ ...ed, form: { ...ed.form, [k]: e.target.value } }));
+
+  const save = async () => {
+    const f = editing.form;
+    setErr(''); setBusy(true);
+    try {
+      const payload = {
+        name: f.name,
+        description: f.description,
+        system: f.system,
+        body: f.body,
+        variables: {
+          brand: f.brand,
+          productTaxonomy: f.productTaxonomy.split(',').map(s => s.trim()).filter(Boolean),
+        },
+      };
+      const saved = editing.isNew
+        ? await api('/api/yt/prompt-templates', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...payload, ...(f.id.trim() ? { id: f.id.trim() } : {}) }),
+          })
+        : await api(`/api/yt/prompt-templates/${encodeURIComponent(f.id)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+          });
+      await reload();
+      onChange(saved.id);
+      setEditing(null);
+    } catch (e) {
+      setErr(String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    setErr('');
+    try {
+      await api(`/api/yt/prompt-templates/${encodeURIComponent(value)}`, { method: 'DELETE' });
+      await reload();
+      onChange('default');
+      setEditing(null);
+    } catch (e) {
+      setErr(String(e));
+    }
+  };
+
+  const label = { fontSize:12, color: theme.sub, marginBottom:4 };
+  const area = { width:'100%', padding:'10px 12px', borderRadius:8, border:`1px solid ${theme.border}`,
+                 fontSize:12, lineHeight:1.5, fontFamily:'monospace', resize:'vertical', boxSizing:'border-box' };
+  return (
+    <div style={{ marginBottom:12 }}>
+      <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center' }}>
+        <span style={{ fontSize:12, color: theme.sub }}>프롬프트 템플릿</span>
+        <div style={{ flex:'0 1 260px' }}>
+          <Select value={value} onChange={e => { onChange(e.target.value); setEditing(null); }}>
+            {items.map((t) => <option key={t.id} value={t.id}>{t.name} (v{t.version})</option>)}
+          </Select>
+        </div>
+        {current?.description && <span style={{ fontSize:12, color: theme.sub }}>{current.description}</span>}
+        <span style={{ flex:1 }} />
+        <Button variant="secondary" disabled={!current} onClick={() => setEditing(editing ? null : { isNew: false, form: templateToForm(current) })}>
+          {editing ? '편집 닫기' : '편집'}
+        </Button>
+        <Button variant="secondary" onClick={() => setEditing({ isNew: true, form: { ...(current ? templateToForm(current) : EMPTY_TEMPLATE_FORM), id: '', name: '' } })}>
+          새 템플릿
+        </Button>
+      </div>
+
+      {editing && (
+        <div style={{ display:'grid', gap:8, marginTop:12, padding:12, border:`1px solid ${theme.border}`, borderRadius:12 }}>
+          <div style={{ display:'flex', flexWrap:'wrap', gap:8 }}>
+            {editing.isNew && (
+              <div style={{ flex:'0 0 160px' }}>
+                <div style={label}>ID(선택, 영문 소문자)</div>
+                <Input value={editing.form.id} onChange={setField('id')} placeholder="beauty" />
+              </div>
+            )}
+            <div style={{ flex:'1 1 180px' }}>
+              <div style={label}>이름</div>
+              <Input value={editing.form.name} onChange={setField('name')} placeholder="뷰티 제품 리포트" />
+            </div>
+            <div style={{ flex:'1 1 160px' }}>
+              <div style={label}>브랜드 {'{{brand}}'}</div>
+              <Input value={editing.form.brand} onChange={setField('brand')} placeholder="비우면 채널 기준" />
+            </div>
+            <div style={{ flex:'2 1 240px' }}>
+              <div style={label}>제품 분류 {'{{productTaxonomy}}'}(쉼표로 구분)</div>
+              <Input value={editing.form.productTaxonomy} onChange={setField('productTaxonomy')} placeholder="에어컨, 공기청정기, HVAC" />
+            </div>
+          </div>
+          <div>
+            <div style={label}>설명</div>
+            <Input value={editing.form.description} onChange={setField('description')} />
+          </div>
+          <div>
+            <div style={label}>시스템 지시</div>
+            <textarea rows={3} style={area} value={editing.form.system} onChange={setField('system')} />
+          </div>
+          <div>
+            <div style={label}>본문 — 자리표시자 {'{{period}} {{sample}}(필수) {{brand}} {{productTaxonomy}}'}, 섹션은 “## 1) 제목” 형식</div>
+            <textarea rows={14} style={area} value={editing.form.body} onChange={setField('body')} />
+          </div>
+          <div style={{ display:'flex', gap:8, alignItems:'center' }}>
+            <Button onClick={save} disabled={busy}>
+              {busy ? <Spinner size={12}/> : null} {editing.isNew ? '추가' : `저장(v${(current?.latestVersion || 0) + 1})`}
+            </Button>
+            {!editing.isNew && value !== 'default' && <Button variant="secondary" onClick={remove}>삭제</Button>}
+            <span style={{ fontSize:12, color: theme.sub }}>
+              {editing.isNew ? '' : '본문/변수를 바꾸면 새 버전으로 저장되고 이전 버전은 남습니다.'}
+            </span>
+          </div>
+        </div>
+      )}
+      {err && <div style={{ color: theme.danger, fontSize:13, marginTop:8 }}>⚠ {err}</div>}
+    </div>
+  );
 }
 
+/* ========== 인사이트 표(서버 구조화 결과: sections → bullets) ========== */
+const CONFIDENCE_META = {
+  high: { label: '높음', color: '#10b981' },
+  medium: { label: '중간', color: '#f59e0b' },
+  low: { label: '낮음', color: theme.sub },
+};
+
 /* ========== App ========== */
 export default function App() {
   // 모드
@@ -241,25 +1663,39 @@ export default function App() {
   // 채널 입력 & 캐시
   const [handle, setHandle] = useState('@LGGlobal');
   const [chResol, setChResol] = useState(null);
+  const [chCandidates, setChCandidates] = useState(null); // 이름이 겹칠 때 검색 후보
   const [chMetrics, setChMetrics] = useState(null);
+  const [chHistory, setChHistory] = useState(null);
+  const [chGrowth, setChGrowth] = useState(null); // 채널 메타 스냅샷(구독자/조회 추이)
+  const [chFormatMix, setChFormatMix] = useState(null);
+  const [chTagStats, setChTagStats] = useState(null);
   const [chInsight, setChInsight] = useState('');
 
   // 키워드 입력 & 캐시
   const [keywords, setKeywords] = useState('LG, air conditioner');
   const [kwMetrics, setKwMetrics] = useState(null);
+  const [kwFormatMix, setKwFormatMix] = useState(null);
+  const [kwTagStats, setKwTagStats] = useState(null);
   const [kwInsight, setKwInsight] = useState('');
+  const [kwFilters, setKwFilters] = useState(EMPTY_KW_FILTERS);
+  const [kwParsed, setKwParsed] = useState(null); // 입력 중 쿼리 해석 결과 { parsed, searchQ } | { error }
 
   // 공통
   const [days, setDays] = useState(90);
   const [since, setSince] = useState(dayjs().subtract(90, 'day').startOf('day').toISOString());
   const [loading, setLoading] = useState(false);
   const [ingesting, setIngesting] = useState(false);
+  const [ingestJob, setIngestJob] = useState(null); // 진행 중/마지막 수집 작업
   const [error, setError] = useState('');
+  const [quotaKey, setQuotaKey] = useState(0); // 호출 후 쿼터 위젯 갱신용
+  const [uploadSort, setUploadSort] = useState({ key: 'publishedAt', dir: 'desc' }); // 최근 업로드 표 정렬
+  const [uploadAvailability, setUploadAvailability] = useState('all'); // 최근 업로드 표 공개 상태 필터
 
   // 인사이트 로딩 + 파싱 결과/토글
   const [insightLoading, setInsightLoading] = useState(false);
-  const [parsedSections, setParsedSections] = useState([]); // ← 표 데이터
+  const [insightSections, setInsightSections] = useState([]); // ← 표 데이터(서버 insight.sections)
   const [showRaw, setShowRaw] = useState(false);            // ← 원문/표 토글
+  const [templateId, setTemplateId] = useState('default');  // 프롬프트 템플릿
   const insightRef = useRef(null);
 
   const CONTROL_H = 46;
@@ -270,6 +1706,17 @@ export default function App() {
     setSince(dayjs().subtract(days, 'day').startOf('day').toISOString());
   }, [days]);
 
+  // 키워드 입력 → 쿼리 해석 미리보기(디바운스)
+  useEffect(() => {
+    if (mode !== 'keyword' || !keywords.trim()) { setKwParsed(null); return; }
+    const t = setTimeout(() => {
+      api(`/api/yt/query/parse?q=${encodeURIComponent(keywords)}`)
+        .then(setKwParsed)
+        .catch(e => setKwParsed({ error: e.message }));
+    }, 300);
+    return () => clearTimeout(t);
+  }, [mode, keywords]);
+
   // 탭 전환(캐시는 유지, 에러/로딩만 초기화)
   const switchMode = (m) => {
     setMode(m);
@@ -278,12 +1725,23 @@ export default function App() {
   };
 
   /* ---------- 채널 확인 ---------- */
-  const resolveHandle = async () => {
+  const resolveHandle = async (pickedId) => {
     if (mode !== 'channel') return;
     setError(''); setLoading(true);
     try {
-      const r = await api(`/api/yt/resolve?handle=${encodeURIComponent(handle)}`);
+      const qs = new URLSearchParams({ handle });
+      if (pickedId) qs.set('channelId', pickedId); // 고른 후보는 서버가 기억
+      const r = await api(`/api/yt/resolve?${qs.toString()}`);
+      if (r.ambiguous) {
+        setChResol(null);
+        setChCandidates(r.candidates || []);
+        return;
+      }
+      setChCandidates(null);
       setChResol(r);
+      if (r.channelId) {
+        setChGrowth(await api(`/api/yt/channel-history?channelId=${encodeURIComponent(r.channelId)}`));
+      }
     } catch (e) {
       setError(String(e));
     } finally {
@@ -296,29 +1754,60 @@ export default function App() {
     setError(''); setLoading(true);
     try {
       if (mode === 'channel') {
-        const qs = new URLSearchParams({ days: String(days) });
-        if (chResol?.channelId) qs.set('channelId', chResol.channelId);
-        else qs.set('handle', handle);
-        const r = await api(`/api/yt/metrics-by-handle?${qs.toString()}`);
-        setChMetrics(r);
+        const scope = chResol?.channelId ? { channelId: chResol.channelId } : { handle };
+        setChMetrics(await loadChannelMetrics(scope, days));
+
+        // 스냅샷 히스토리(성장 추이)
+        const hq = new URLSearchParams({ from: dayjs().subtract(days, 'day').format('YYYY-MM-DD') });
+        if (chResol?.channelId) hq.set('channelId', chResol.channelId);
+        else hq.set('handle', handle);
+        const h = await api(`/api/yt/history?${hq.toString()}`);
+        setChHistory(h);
+
+        // 포맷 구성(주별)
+        setChFormatMix(await loadFormatMix(scope, days));
+        setChTagStats(await loadTagStats(scope, days));
       } else {
+        // 서버에 저장된 키워드면 지난 검색 이후만 새로 검색
         const q = new URLSearchParams({ q: keywords, days: String(days) });
+        for (const [k, v] of Object.entries(kwFilters)) if (v) q.set(k, v);
         const r = await api(`/api/yt/metrics-by-query?${q.toString()}`);
+        if (r.error) throw new Error(r.error);
         setKwMetrics(r);
+        setKwFormatMix(r.queryId ? await loadFormatMix({ queryId: String(r.queryId) }, days) : null);
+        setKwTagStats(r.queryId ? await loadTagStats({ queryId: String(r.queryId) }, days) : null);
       }
     } catch (e) {
       setError(String(e));
     } finally {
       setLoading(false);
+      setQuotaKey(k => k + 1);
     }
   };
 
+  /* ---------- 저장된 키워드 불러오기(검색 없음) ---------- */
+  const loadSavedQuery = async (it) => {
+    const r = await api(`/api/yt/queries/${it.id}/metrics?days=${days}`);
+    if (r.error) throw new Error(r.error);
+    setKeywords(it.query);
+    setKwFilters({
+      ...EMPTY_KW_FILTERS,
+      ...it.filters,
+      publishedBefore: it.filters?.publishedBefore ? dayjs(it.filters.publishedBefore).format('YYYY-MM-DD') : '',
+    });
+    setKwMetrics(r);
+    setKwFormatMix(await loadFormatMix({ queryId: String(it.id) }, days));
+    setKwTagStats(await loadTagStats({ queryId: String(it.id) }, days));
+    setKwInsight('');
+  };
+
   /* ---------- 증분 수집 (채널만) ---------- */
   const ingest = async () => {
     if (mode !== 'channel') return;
     setError(''); setIngesting(true);
     try {
-      const body = { since };
+      // refresh: 신규 수집 + 기존 영상 통계 갱신(서버 주기 설정에 따름)
+      const body = { since, refresh: true };
       if (chResol?.channelId) body.channelId = chResol.channelId;
       else body.handle = handle;
 
@@ -328,16 +1817,31 @@ export default function App() {
         body: JSON.stringify(body)
       });
       if (r.error) throw new Error(r.error);
+
+      // 작업 ID로 진행 상황 구독 → 끝나면 지표 갱신
+      setIngestJob(r.job);
+      const job = await followJob(r.jobId, setIngestJob);
+      if (job.status === 'error') throw new Error(job.error || '수집 실패');
       await loadMetrics();
       // 수집 완료 후 인사이트 초기화
       setChInsight('');
       setKwInsight('');
-      setParsedSections([]);
+      setInsightSections([]);
       setShowRaw(false);
     } catch (e) {
       setError(String(e));
     } finally {
       setIngesting(false);
+      setQuotaKey(k => k + 1);
+    }
+  };
+
+  const cancelIngest = async () => {
+    if (!ingestJob?.id) return;
+    try {
+      await api(`/api/yt/jobs/${ingestJob.id}/cancel`, { method: 'POST' });
+    } catch (e) {
+      setError(String(e));
     }
   };
 
@@ -346,13 +1850,12 @@ export default function App() {
     setInsightLoading(true);
     if (mode === 'channel') setChInsight('분석 중…');
     else setKwInsight('분석 중…');
-    setParsedSections([]);
+    setInsightSections([]);
     setShowRaw(false);
 
     try {
-      // **YouTube API 추가 호출 방지**: 화면의 rows를 그대로 서버에 전달
-      const baseRows = (mode === 'channel' ? chMetrics?.rows : kwMetrics?.rows) || [];
-      const visible = filterRowsByDays(baseRows, days);
+      // **YouTube API 추가 호출 방지**: 서버가 기간으로 잘라 보낸 rows를 그대로 전달
+      const visible = (mode === 'channel' ? chMetrics?.rows : kwMetrics?.rows) || [];
 
       const r = await api('/api/yt/insight', {
         method:'POST',
@@ -360,6 +1863,7 @@ export default function App() {
         body: JSON.stringify({
           days,
           rows: visible,
+          templateId,
           ...(mode === 'channel' && visible.length === 0
             ? (chResol?.channelId ? { channelId: chResol.channelId } : { handle })
             : {})
@@ -370,8 +1874,8 @@ export default function App() {
       if (mode === 'channel') setChInsight(text);
       else setKwInsight(text);
 
-      // ⬇️ 파싱해서 표 데이터로 보관
-      setParsedSections(parseInsightText(text));
+      // 표 데이터: 서버가 스키마 검사한 구조화 결과 그대로
+      setInsightSections(r.insight?.sections || []);
 
       setTimeout(() => insightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' }), 10);
     } catch (e) {
@@ -394,28 +1898,55 @@ export default function App() {
     return chMetrics;
   }, [mode, chMetrics, kwMetrics]);
 
-  // 서버 rows에서 days 재컷팅 → **화면용 데이터**
-  const baseRows = effectiveMetrics?.rows || [];
-  const visibleRows = useMemo(() => filterRowsByDays(baseRows, days), [baseRows, days]);
+  // 서버가 기간으로 자른 rows(최근 게시순 최대 UPLOAD_ROWS개) → **화면용 데이터**
+  const baseRows = useMemo(() => effectiveMetrics?.rows || [], [effectiveMetrics]);
 
-  // 차트 데이터
+  // 차트 데이터(서버 집계 byDay)
   const chartData = useMemo(() => {
-    const byDay = {};
-    for (const v of visibleRows) {
-      const d = (v.publishedAt || '').slice(0, 10);
-      if (!d) continue;
-      byDay[d] = (byDay[d] || 0) + 1;
-    }
+    const byDay = effectiveMetrics?.byDay || {};
     return Object.keys(byDay).sort().map(d => ({ date: d, count: byDay[d] }));
-  }, [visibleRows]);
+  }, [effectiveMetrics]);
+
+  // 포맷 구성(주별 업로드 수, 포맷별 누적 막대)
+  const formatMix = mode === 'channel' ? chFormatMix : kwFormatMix;
+  const formatMixData = useMemo(() => {
+    const byWeek = {};
+    for (const p of formatMix?.series || []) {
+      const row = byWeek[p.bucket] || (byWeek[p.bucket] = { week: p.bucket });
+      row[p.group] = p.uploads;
+    }
+    return Object.values(byWeek).sort((a, b) => a.week.localeCompare(b.week));
+  }, [formatMix]);
 
-  // Top10 (조회수)
-  const top = useMemo(() => {
-    return visibleRows.slice().sort((a,b) => b.views - a.views).slice(0, 10);
-  }, [visibleRows]);
+  // 태그 분석(업로드 많은 순 상위 태그)
+  const tagStats = (mode === 'channel' ? chTagStats : kwTagStats)?.groups || [];
 
-  // 표 데이터
-  const rows = visibleRows;
+  // 구독자/총 조회 증감(채널 메타 스냅샷) — 첫 포인트는 기준점이라 제외
+  const subscriberGrowthData = useMemo(() => (
+    (chGrowth?.channelId === chResol?.channelId ? chGrowth?.points || [] : []).slice(1).map(p => ({
+      date: p.date, subscribers: p.dSubscribers, views: p.dViews,
+    }))
+  ), [chGrowth, chResol]);
+
+  // 성장 추이(일별 증감) — 첫 포인트는 기준점이라 제외
+  const growthData = useMemo(() => {
+    if (mode !== 'channel') return [];
+    return (chHistory?.points || []).slice(1).map(p => ({
+      date: p.date, views: p.dViews, likes: p.dLikes, comments: p.dComments,
+    }));
+  }, [mode, chHistory]);
+
+  // Top10 (조회수, 서버 집계)
+  const top = effectiveMetrics?.top || [];
+
+  // 표 데이터(정렬)
+  const rows = useMemo(
+    () => sortRows(baseRows.filter(v => matchesAvailability(v, uploadAvailability)), uploadSort),
+    [baseRows, uploadSort, uploadAvailability]
+  );
+  const toggleUploadSort = (key) => setUploadSort(s => (
+    s.key === key ? { key, dir: s.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'desc' }
+  ));
 
   const primaryBtnLabel = loading
     ? (mode === 'channel' ? '지표 새로고침 중…' : '검색 중…')
@@ -452,7 +1983,10 @@ export default function App() {
               <div style={{ fontSize:12, color: theme.sub, marginTop:2 }}>채널/키워드 트래킹 · 업로드/성과 분석 · AI 인사이트</div>
             </div>
           </div>
-          <div style={{ fontSize:12, color: theme.sub, fontWeight:500 }}>since {dayjs().format('YYYY.MM.DD')}</div>
+          <div style={{ display:'flex', alignItems:'center', gap:20 }}>
+            <QuotaWidget refreshKey={quotaKey} />
+            <div style={{ fontSize:12, color: theme.sub, fontWeight:500 }}>since {dayjs().format('YYYY.MM.DD')}</div>
+          </div>
         </div>
       </header>
 
@@ -465,23 +1999,41 @@ export default function App() {
             gap:20,
             alignItems:'flex-end'
           }}>
-            {/* 채널 핸들 입력 */}
-            <div style={{ flex:'1 1 320px', minWidth:220 }}>
-              <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>채널 핸들</div>
-              <Input value={handle} onChange={e=>setHandle(e.target.value)} placeholder="@brand" />
+            {/* 모드 탭 */}
+            <div style={{ flex:'0 0 auto' }}>
+              <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>모드</div>
+              <div style={{ display:'flex', gap:6 }}>
+                <Button variant={mode === 'channel' ? 'primary' : 'secondary'} onClick={() => switchMode('channel')}>채널</Button>
+                <Button variant={mode === 'keyword' ? 'primary' : 'secondary'} onClick={() => switchMode('keyword')}>키워드</Button>
+              </div>
             </div>
 
+            {mode === 'channel' ? (
+              /* 채널 핸들 입력 */
+              <div style={{ flex:'1 1 320px', minWidth:220 }}>
+                <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>채널(@핸들 · 채널/영상 URL · 채널 ID)</div>
+                <Input value={handle} onChange={e=>setHandle(e.target.value)} placeholder="@brand 또는 youtube.com/… 링크" />
+              </div>
+            ) : (
+              /* 키워드 입력(쉼표 = 모두 포함) */
+              <div style={{ flex:'1 1 320px', minWidth:220 }}>
+                <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>키워드(AND · OR · NOT · "구절" · 괄호, 쉼표 = AND)</div>
+                <Input value={keywords} onChange={e=>setKeywords(e.target.value)} placeholder='(LG OR Samsung) "air conditioner" NOT repair'
+                       onKeyDown={e => { if (e.key === 'Enter' && !loading) loadMetrics(); }} />
+              </div>
+            )}
+
             {/* 채널 확인 버튼 */}
-            <div style={{ flex:'0 0 120px' }}>
+            {mode === 'channel' && <div style={{ flex:'0 0 120px' }}>
               <div style={{ fontSize:12, color: theme.sub, marginBottom:8, opacity:0 }}>확인</div>
-              <Button onClick={resolveHandle} disabled={loading} variant="secondary" style={{ 
+              <Button onClick={() => resolveHandle()} disabled={loading} variant="secondary" style={{ 
                 width:'100%', 
                 justifyContent: loading ? 'flex-start' : 'center',
                 gap: loading ? 6 : 0
               }}>
                 {loading ? <Spinner size={14} /> : null} 채널 확인
               </Button>
-            </div>
+            </div>}
 
             {/* 지표 기간 입력 */}
             <div style={{ flex:'0 0 160px', minWidth:140 }}>
@@ -497,8 +2049,21 @@ export default function App() {
               }} />
             </div>
 
+            {/* 지표 새로고침 / 검색 실행 */}
+            <div style={{ flex:'0 0 160px' }}>
+              <div style={{ fontSize:12, color: theme.sub, marginBottom:8, opacity:0 }}>지표</div>
+              <Button onClick={loadMetrics} disabled={loading || (mode === 'keyword' && (!keywords.trim() || !!kwParsed?.error))}
+                      variant={mode === 'channel' ? 'secondary' : 'primary'} style={{
+                width:'100%',
+                justifyContent: loading ? 'flex-start' : 'center',
+                gap: loading ? 6 : 0
+              }}>
+                {loading ? <Spinner size={14} /> : null} {primaryBtnLabel}
+              </Button>
+            </div>
+
             {/* 수집 실행 버튼 */}
-            <div style={{ flex:'0 0 180px' }}>
+            {mode === 'channel' && <div style={{ flex:'0 0 180px' }}>
               <div style={{ fontSize:12, color: theme.sub, marginBottom:8, opacity:0 }}>실행</div>
               <Button onClick={ingest} disabled={ingesting || !chResol} style={{ 
                 width:'100%', 
@@ -507,12 +2072,72 @@ export default function App() {
               }}>
                 {ingesting ? <Spinner size={14} /> : null} {ingesting ? '수집 중…' : '수집 실행'}
               </Button>
-            </div>
+            </div>}
           </div>
+          {/* 키워드 검색 필터 */}
+          {mode === 'keyword' && (
+            <div style={{ display:'flex', flexWrap:'wrap', gap:12, alignItems:'flex-end', marginTop:16 }}>
+              {[
+                ['regionCode', '지역', REGION_OPTIONS],
+                ['relevanceLanguage', '언어', LANGUAGE_OPTIONS],
+                ['videoDuration', '길이', DURATION_OPTIONS],
+                ['videoCategoryId', '카테고리', CATEGORY_OPTIONS],
+              ].map(([key, label, opts]) => (
+                <div key={key} style={{ flex:'0 0 140px' }}>
+                  <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>{label}</div>
+                  <Select value={kwFilters[key]} onChange={e => setKwFilters(f => ({ ...f, [key]: e.target.value }))}>
+                    {opts.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                  </Select>
+                </div>
+              ))}
+              <div style={{ flex:'1 1 220px' }}>
+                <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>채널 한정(channelId)</div>
+                <Input value={kwFilters.channelId} placeholder="UC…"
+                       onChange={e => setKwFilters(f => ({ ...f, channelId: e.target.value.trim() }))} />
+              </div>
+              <div style={{ flex:'0 0 160px' }}>
+                <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>게시일 이전</div>
+                <Input type="date" value={kwFilters.publishedBefore}
+                       onChange={e => setKwFilters(f => ({ ...f, publishedBefore: e.target.value }))} />
+              </div>
+              <Button variant="secondary" onClick={() => setKwFilters(EMPTY_KW_FILTERS)}>필터 초기화</Button>
+            </div>
+          )}
+          {mode === 'keyword' && kwParsed && (
+            <div style={{ marginTop:12, display:'grid', gap:6 }}>
+              {kwParsed.error ? (
+                <div style={{ fontSize:12, color: theme.danger }}>⚠ 쿼리 오류: {kwParsed.error}</div>
+              ) : (
+                <>
+                  <div><QueryTree node={kwParsed.parsed} /></div>
+                  <div style={{ fontSize:12, color: theme.sub }}>
+                    YouTube 검색어: <code>{kwParsed.searchQ}</code> · 제목/설명/태그에 위 조건을 다시 적용
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+          {mode === 'keyword' && kwMetrics?.query && (
+            <div style={{ fontSize:12, color: theme.sub, marginTop:10 }}>
+              저장된 결과 {Number(kwMetrics.total || 0).toLocaleString()}개
+              {kwMetrics.newFound != null && <> · 이번 검색 신규 {kwMetrics.newFound}개</>}
+              {kwMetrics.lastSearchAt && <> · 마지막 검색 {fmtTime(kwMetrics.lastSearchAt)}</>}
+              {kwMetrics.degraded && <span style={{ color: theme.danger }}> · 쿼터 보호로 일부만 검색(다음 검색에서 이어짐)</span>}
+              {kwMetrics.truncated && <span style={{ color: theme.danger }}> · 검색 페이지 상한으로 일부만 검색(다음 검색에서 이어짐)</span>}
+            </div>
+          )}
         </Card>
 
+        {/* 수집 진행 상황 */}
+        {ingestJob && <IngestProgress job={ingestJob} onCancel={cancelIngest} onClose={() => setIngestJob(null)} />}
+
+        {/* 저장된 키워드 */}
+        {mode === 'keyword' && (
+          <SavedQueriesPanel refreshKey={quotaKey} activeId={kwMetrics?.queryId} onLoad={loadSavedQuery} />
+        )}
+
         {/* 채널 정보 */}
-        <Card title="채널 정보">
+        {mode === 'channel' && <Card title="채널 정보">
           {chResol ? (
             <>
               <div style={{ display:'flex', gap:14, alignItems:'center' }}>
@@ -529,6 +2154,26 @@ export default function App() {
                   )}
                 </div>
               </div>
+              <div style={{ marginTop:12 }}>
+                <div style={{ fontWeight:800, marginBottom:6 }}>구독자/조회 증가 (일별)</div>
+                {subscriberGrowthData.length ? (
+                  <div style={{ height: 220, borderRadius: 12, overflow:'hidden' }}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={subscriberGrowthData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                        <YAxis yAxisId="s" tick={{ fontSize: 12 }} />
+                        <YAxis yAxisId="v" orientation="right" tick={{ fontSize: 12 }} />
+                        <Tooltip />
+                        <Line yAxisId="s" type="monotone" dataKey="subscribers" name="구독자 +" stroke={theme.primary} dot={false} strokeWidth={2.4} connectNulls />
+                        <Line yAxisId="v" type="monotone" dataKey="views" name="조회 +" stroke="#10b981" dot={false} strokeWidth={1.6} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                ) : (
+                  <div style={{ fontSize:13, color: theme.sub }}>채널 메타가 2일 이상 쌓이면 구독자/조회 증가량이 표시됩니다(하루 1회 갱신).</div>
+                )}
+              </div>
               {chResol.description && (
                 <div style={{ marginTop:12, padding:14, borderRadius:10, background: theme.tableHead }}>
                   <div style={{ fontWeight:800, marginBottom:6 }}>설명</div>
@@ -538,8 +2183,48 @@ export default function App() {
                 </div>
               )}
             </>
+          ) : chCandidates ? (
+            <>
+              <div style={{ fontSize:13, color: theme.sub, marginBottom:10 }}>
+                {chCandidates.length ? '같은 이름의 채널이 여럿입니다. 맞는 채널을 골라 주세요.' : '일치하는 채널이 없습니다.'}
+              </div>
+              <div style={{ display:'grid', gap:8 }}>
+                {chCandidates.map(c => (
+                  <button key={c.channelId} onClick={() => resolveHandle(c.channelId)} disabled={loading}
+                          style={{ display:'flex', gap:12, alignItems:'center', textAlign:'left', cursor:'pointer',
+                                   padding:10, borderRadius:10, border:`1px solid ${theme.border}`, background:'#fff' }}>
+                    {c.thumbnail && <img src={c.thumbnail} width={48} height={48} alt="" style={{ borderRadius:8 }}/>}
+                    <div>
+                      <div style={{ fontWeight:700 }}>{c.title}</div>
+                      <div style={{ fontSize:12, color: theme.sub }}>{c.channelId}</div>
+                      {c.description && <div style={{ fontSize:12, color: theme.sub, marginTop:2 }}>{c.description}</div>}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </>
           ) : <div style={{ color: theme.sub }}>핸들을 확인해 주세요.</div>}
-        </Card>
+        </Card>}
+
+        {/* 자동 수집 */}
+        <WatchlistPanel defaultTarget={chResol?.channelId || handle} />
+
+        {/* 채널 일괄 등록 */}
+        {mode === 'channel' && <BulkOnboardPanel onSearched={() => setQuotaKey(k => k + 1)} />}
+
+        {/* 재생목록 추적 */}
+        {mode === 'channel' && (
+          <PlaylistsPanel channelId={chResol?.channelId} onSearched={() => setQuotaKey(k => k + 1)} />
+        )}
+
+        {/* 댓글 */}
+        {mode === 'channel' && chResol?.channelId && (
+          <CommentsPanel key={chResol.channelId} channelId={chResol.channelId} onSearched={() => setQuotaKey(k => k + 1)} />
+        )}
+        {mode === 'channel' && chResol?.channelId && <CommentAnalysisPanel channelId={chResol.channelId} />}
+
+        {/* 자막 */}
+        {mode === 'channel' && chResol?.channelId && <TranscriptsPanel key={chResol.channelId} channelId={chResol.channelId} />}
 
         {/* 인사이트 */}
         <Card
@@ -557,7 +2242,7 @@ export default function App() {
                     {showRaw ? '표 보기' : '원문 보기'}
                   </Button>
                   <Button variant="secondary" onClick={() => {
-                    setParsedSections([]);
+                    setInsightSections([]);
                     if (mode==='channel') setChInsight('');
                     else setKwInsight('');
                     setShowRaw(false);
@@ -579,8 +2264,10 @@ export default function App() {
           }
           style={{ scrollMarginTop: 90 }}
         >
+          <PromptTemplatePicker value={templateId} onChange={setTemplateId} />
+
           {/* 표 / 원문 토글 */}
-          {showRaw || !parsedSections.length ? (
+          {showRaw || !insightSections.length ? (
             <div ref={insightRef} style={{
               whiteSpace:'pre-wrap', fontSize:14, lineHeight:1.7, margin:0, color: theme.text,
               fontFamily: 'inherit'
@@ -589,7 +2276,7 @@ export default function App() {
             </div>
           ) : (
             <div ref={insightRef} style={{ display:'grid', gap:16 }}>
-              {parsedSections.map((sec, sIdx) => (
+              {insightSections.map((sec, sIdx) => (
                 <div key={sIdx} style={{ border:`1px solid ${theme.border}`, borderRadius:12, overflow:'hidden' }}>
                   <div style={{ 
                     padding:'14px 16px', 
@@ -606,6 +2293,8 @@ export default function App() {
                       <tr>
                         <th style={{ ...thSmall, width:40 }}>#</th>
                         <th style={th}>핵심 포인트</th>
+                        <th style={{ ...th, width:220 }}>근거 영상</th>
+                        <th style={{ ...thSmall, width:72 }}>신뢰도</th>
                       </tr>
                     </thead>
                     <tbody>
@@ -621,15 +2310,27 @@ export default function App() {
                           <td style={{
                             ...td,
                             lineHeight:1.6
-                          }} dangerouslySetInnerHTML={{ __html: b }} />
+                          }}>{b.text}</td>
+                          <td style={{ ...td, fontSize:12 }}>
+                            {b.videoIds.length ? b.videoIds.map((id) => (
+                              <div key={id} style={{ overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap', maxWidth:220 }}>
+                                <a href={`https://www.youtube.com/watch?v=${id}`} target="_blank" rel="noreferrer" title={id}>
+                                  {baseRows.find((v) => v.videoId === id)?.title || id}
+                                </a>
+                              </div>
+                            )) : <span style={{ color: theme.sub }}>—</span>}
+                          </td>
+                          <td style={{ ...tdSmall, color: CONFIDENCE_META[b.confidence]?.color, fontWeight:600 }}>
+                            {CONFIDENCE_META[b.confidence]?.label || b.confidence}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
                   </table>
                 </div>
               ))}
-              {!parsedSections.length && (
-                <div style={{ color: theme.sub }}>표로 변환할 항목이 없습니다. "원문 보기"로 확인하세요.</div>
+              {!insightSections.length && (
+                <div style={{ color: theme.sub }}>표시할 항목이 없습니다. "원문 보기"로 확인하세요.</div>
               )}
             </div>
           )}
@@ -655,6 +2356,92 @@ export default function App() {
           </div>
         </Card>
 
+        {/* 포맷 구성 */}
+        <Card title="포맷 구성 (주별 업로드)">
+          {formatMixData.length ? (
+            <>
+              <div style={{ height: 260, borderRadius: 12, overflow:'hidden' }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={formatMixData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="week" tick={{ fontSize: 12 }} />
+                    <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
+                    <Tooltip />
+                    <Legend />
+                    {(formatMix?.groups || []).map(g => (
+                      <Bar key={g.key} dataKey={g.key} stackId="fmt" name={FORMAT_META[g.key]?.label || g.key}
+                           fill={FORMAT_META[g.key]?.color || theme.primary} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <div style={{ display:'flex', flexWrap:'wrap', gap:8, marginTop:10 }}>
+                {(formatMix?.groups || []).map(g => (
+                  <Chip key={g.key}>
+                    {FORMAT_META[g.key]?.label || g.key} {g.uploads}개 · 조회 {Number(g.views).toLocaleString()}
+                  </Chip>
+                ))}
+              </div>
+            </>
+          ) : (
+            <div style={{ color: theme.sub }}>지표를 불러오면 포맷별(쇼츠/길이/라이브) 업로드 구성이 표시됩니다.</div>
+          )}
+        </Card>
+
+        {/* 태그 분석 */}
+        <Card title="태그 분석 (상위 태그)">
+          {tagStats.length ? (
+            <div style={{ maxHeight: 300, overflow: 'auto', borderRadius:12, border:`1px solid ${theme.border}` }}>
+              <table style={{ width:'100%', borderCollapse:'collapse' }}>
+                <thead style={{ position:'sticky', top:0, zIndex:1, background: theme.tableHead }}>
+                  <tr>
+                    <th style={th}>태그</th>
+                    <th style={{ ...thSmall, textAlign:'right' }}>영상</th>
+                    <th style={{ ...thSmall, textAlign:'right' }}>평균 조회</th>
+                    <th style={{ ...thSmall, textAlign:'right' }}>일평균 조회</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tagStats.map((g, idx) => (
+                    <tr key={g.key} style={{ background: idx % 2 ? theme.tableStripe : '#fff' }}>
+                      <td style={td}>#{g.key}</td>
+                      <td style={tdSmall}>{g.uploads}</td>
+                      <td style={tdSmall}>{fmtNum(Math.round(g.views / g.uploads))}</td>
+                      <td style={tdSmall}>{g.viewsPerDay == null ? '—' : fmtNum(Math.round(g.viewsPerDay))}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div style={{ color: theme.sub }}>지표를 불러오면 태그별 영상 수와 평균 조회가 표시됩니다.</div>
+          )}
+        </Card>
+
+        {/* 성장 추이 (채널) */}
+        {mode === 'channel' && (
+          <Card title="조회/참여 증가 (일별)">
+            {growthData.length ? (
+              <div style={{ height: 260, borderRadius: 12, overflow:'hidden' }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={growthData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                    <YAxis yAxisId="v" tick={{ fontSize: 12 }} />
+                    <YAxis yAxisId="e" orientation="right" tick={{ fontSize: 12 }} />
+                    <Tooltip />
+                    <Line yAxisId="v" type="monotone" dataKey="views" name="조회 +" stroke={theme.primary} dot={false} strokeWidth={2.4} />
+                    <Line yAxisId="e" type="monotone" dataKey="likes" name="좋아요 +" stroke="#10b981" dot={false} strokeWidth={1.6} />
+                    <Line yAxisId="e" type="monotone" dataKey="comments" name="댓글 +" stroke="#f59e0b" dot={false} strokeWidth={1.6} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div style={{ color: theme.sub }}>스냅샷이 2일 이상 쌓이면 일별 증가량이 표시됩니다.</div>
+            )}
+          </Card>
+        )}
+
         {/* TOP10 / 최근 업로드 */}
         <div className="two-column-grid" style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:16 }}>
           <Card title="TOP 10 (조회수)">
@@ -674,13 +2461,19 @@ export default function App() {
                    onMouseDown={(e)=>{ e.currentTarget.style.transform='translateY(1px)'; }}
                    onMouseUp={(e)=>{ e.currentTarget.style.transform='none'; }}
                 >
-                  <img src={`https://i.ytimg.com/vi/${v.videoId}/hqdefault.jpg`} alt=""
+                  <img src={thumbnailOf(v)} alt=""
                        style={{ width:'100%', borderRadius:10, display:'block' }}/>
                   <div>
                     <div style={{ fontWeight:800, marginBottom:4 }}>{v.title}</div>
                     <div style={{ fontSize:12, color: theme.sub }}>
                       {dayjs(v.publishedAt).format('YYYY-MM-DD HH:mm')} · 조회 {Number(v.views).toLocaleString()} · 좋아요 {Number(v.likes).toLocaleString()} · 댓글 {Number(v.comments).toLocaleString()}
                     </div>
+                    {v.viewsPerDay != null && (
+                      <div style={{ fontSize:12, color: theme.sub, marginTop:2 }}>
+                        일평균 {Math.round(v.viewsPerDay).toLocaleString()}
+                        {v.relativeViews != null && <> · 중앙값 대비 ×{v.relativeViews.toFixed(2)}</>}
+                      </div>
+                    )}
                   </div>
                 </a>
               ))}
@@ -688,26 +2481,46 @@ export default function App() {
             </div>
           </Card>
 
-          <Card title="최근 업로드">
+          <Card title="최근 업로드" actions={
+            <Select value={uploadAvailability} onChange={e => setUploadAvailability(e.target.value)}
+                    style={{ width:'auto', padding:'6px 10px', fontSize:13 }}>
+              {AVAILABILITY_FILTERS.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+            </Select>
+          }>
+            {effectiveMetrics?.total > baseRows.length && (
+              <div style={{ fontSize:12, color: theme.sub, marginBottom:8 }}>
+                기간 내 {fmtNum(effectiveMetrics.total)}개 중 최근 {fmtNum(baseRows.length)}개만 표시(인사이트도 이 영상 기준)
+              </div>
+            )}
             <div style={{ maxHeight: 380, overflow: 'auto', borderRadius:12, border:`1px solid ${theme.border}` }}>
               <table style={{ width:'100%', borderCollapse:'collapse' }}>
                 <thead style={{ position:'sticky', top:0, zIndex:1, background: theme.tableHead }}>
                   <tr>
-                    <th style={th}>제목</th>
-                    <th style={thSmall}>업로드</th>
-                    <th style={thSmall}>조회</th>
-                    <th style={thSmall}>좋아요</th>
-                    <th style={thSmall}>댓글</th>
+                    <th style={{ ...th, minWidth:220 }}>제목</th>
+                    {UPLOAD_COLUMNS.map(c => (
+                      <th key={c.key} title={c.hint} onClick={() => toggleUploadSort(c.key)}
+                          style={{ ...thSmall, cursor:'pointer', textAlign:'right',
+                            color: uploadSort.key === c.key ? theme.text : theme.sub }}>
+                        {c.label}{uploadSort.key === c.key ? (uploadSort.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+                      </th>
+                    ))}
                   </tr>
                 </thead>
                 <tbody>
-                  {rows.slice().reverse().map((v, idx) => (
+                  {rows.map((v, idx) => (
                     <tr key={v.videoId} style={{ background: idx % 2 ? theme.tableStripe : '#fff' }}>
-                      <td style={td}><a href={`https://www.youtube.com/watch?v=${v.videoId}`} target="_blank" rel="noreferrer">{v.title}</a></td>
-                      <td style={tdSmall}>{dayjs(v.publishedAt).format('YY.MM.DD HH:mm')}</td>
-                      <td style={tdSmall}>{Number(v.views).toLocaleString()}</td>
-                      <td style={tdSmall}>{Number(v.likes).toLocaleString()}</td>
-                      <td style={tdSmall}>{Number(v.comments).toLocaleString()}</td>
+                      <td style={td}>
+                        <a href={`https://www.youtube.com/watch?v=${v.videoId}`} target="_blank" rel="noreferrer">{v.title}</a>
+                        {v.availability && v.availability !== 'public' && (
+                          <span title={v.availabilityChangedAt ? `${dayjs(v.availabilityChangedAt).format('YYYY-MM-DD HH:mm')} 감지` : undefined}
+                                style={{ marginLeft:6, fontSize:11, fontWeight:700, color: AVAILABILITY_META[v.availability]?.color || theme.sub }}>
+                            {AVAILABILITY_META[v.availability]?.label || v.availability}
+                          </span>
+                        )}
+                      </td>
+                      {UPLOAD_COLUMNS.map(c => (
+                        <td key={c.key} style={tdSmall}>{v[c.key] == null ? '—' : c.fmt(v[c.key])}</td>
+                      ))}
                     </tr>
                   ))}
                 </tbody>
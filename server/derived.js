@@ -0,0 +1,79 @@
+// server/derived.js
+
+/* =========================
+   영상 파생 지표
+   - 비율: 좋아요율, 댓글율, 1천 조회당 참여(좋아요+댓글)
+   - 속도: 게시 후 하루 평균 조회
+   - 상대 조회: 같은 채널·같은 나이대 영상 조회 중앙값 대비 배수
+     (2일 된 영상과 2년 된 영상을 원시 조회수로 비교하지 않기 위함)
+   ========================= */
+
+const DAY_MS = 86400000;
+
+// 나이대(게시 후 일수 상한) — 마지막은 그 이상 전부
+const AGE_BUCKETS = [7, 30, 90, 365, Infinity];
+// 중앙값을 믿을 수 있는 최소 비교 영상 수
+const MIN_PEERS = 3;
+
+/** 게시 후 경과 일수(최소 1일 — 당일 영상의 속도가 튀지 않게) */
+export function ageDaysOf(publishedAt, now = Date.now()) {
+  const t = Date.parse(publishedAt || '');
+  if (Number.isNaN(t)) return null;
+  return Math.max(1, (now - t) / DAY_MS);
+}
+
+function ageBucketOf(ageDays) {
+  return AGE_BUCKETS.findIndex((max) => ageDays <= max);
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const s = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * buildPeerMedians — 채널 × 나이대별 조회 중앙값
+ * @param peers [{ channelId, publishedAt, views }] — 비교 대상(보통 채널의 저장된 영상 전체)
+ * 반환: (channelId, ageDays) => 중앙값 | null
+ */
+export function buildPeerMedians(peers, now = Date.now()) {
+  const groups = new Map();
+  for (const p of peers) {
+    const age = ageDaysOf(p.publishedAt, now);
+    if (age == null) continue;
+    const key = `${p.channelId}|${ageBucketOf(age)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(Number(p.views || 0));
+  }
+  const medians = new Map();
+  for (const [key, views] of groups) {
+    if (views.length >= MIN_PEERS) medians.set(key, median(views));
+  }
+  return (channelId, ageDays) => medians.get(`${channelId}|${ageBucketOf(ageDays)}`) ?? null;
+}
+
+/**
+ * deriveVideoMetrics — 영상 행에 파생 지표 추가
+ * @param row 영상 행({ views, likes, comments, publishedAt, channelId, ... })
+ * @param { now?, peerMedian?: buildPeerMedians() 결과 }
+ * 추가 필드: likeRate, commentRate, engagementPer1k, ageDays, viewsPerDay, peerMedianViews, relativeViews
+ */
+export function deriveVideoMetrics(row, { now = Date.now(), peerMedian } = {}) {
+  const views = Number(row.views || 0);
+  const likes = Number(row.likes || 0);
+  const comments = Number(row.comments || 0);
+  const ageDays = ageDaysOf(row.publishedAt, now);
+  const peerMedianViews = peerMedian && ageDays != null ? peerMedian(row.channelId, ageDays) : null;
+  return {
+    ...row,
+    likeRate: views ? likes / views : null,
+    commentRate: views ? comments / views : null,
+    engagementPer1k: views ? ((likes + comments) / views) * 1000 : null,
+    ageDays: ageDays == null ? null : Math.floor(ageDays),
+    viewsPerDay: ageDays == null ? null : views / ageDays,
+    peerMedianViews,
+    relativeViews: peerMedianViews ? views / peerMedianViews : null,
+  };
+}
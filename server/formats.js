@@ -0,0 +1,47 @@
+// server/formats.js
+
+/* =========================
+   영상 길이/포맷 분류
+   - contentDetails.duration(ISO 8601, 예: PT1H2M3S) → 초
+   - 포맷: live(라이브/예정·프리미어) > shorts > short > mid > long
+   ========================= */
+
+// 쇼츠로 보는 최대 길이(초) — 2024-10부터 쇼츠는 3분까지. 세로 여부는 API로 알 수 없어 길이만으로 판단
+export const SHORTS_MAX_SEC = 180;
+// short/mid 경계는 search.list videoDuration(short < 4분, long > 20분)과 맞춤
+const SHORT_MAX_SEC = 4 * 60;
+const MID_MAX_SEC = 20 * 60;
+
+export const VIDEO_FORMATS = ['shorts', 'short', 'mid', 'long', 'live', 'unknown'];
+// 표시용 이름(메트릭 API groupBy=format의 label) — short는 쇼츠 상한 초과분만이라 구간으로
+export const FORMAT_LABELS = {
+  shorts: `쇼츠(${SHORTS_MAX_SEC}초 이하)`,
+  short: `${SHORTS_MAX_SEC}초 초과 4분 미만`,
+  mid: '4–20분',
+  long: '20분 초과',
+  live: '라이브/프리미어',
+  unknown: '미분류',
+};
+
+/** ISO 8601 기간 → 초(형식이 아니면 null). 주/일 단위도 허용(P1DT2H, P1W) */
+export function parseIsoDuration(iso) {
+  const m = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(String(iso || ''));
+  if (!m || iso === 'P' || iso === 'PT') return null;
+  const [, w, d, h, min, s] = m.map((x) => Number(x || 0));
+  return Math.round(w * 604800 + d * 86400 + h * 3600 + min * 60 + s);
+}
+
+/**
+ * classifyFormat
+ * @param { durationSec: number|null, liveBroadcastContent?: 'none'|'live'|'upcoming', wasLive?: boolean }
+ * - 진행 중/예정(프리미어 포함) 방송은 길이가 0(P0D)이라 길이보다 먼저 판단
+ * - wasLive: liveStreamingDetails가 있는 영상(끝난 라이브 다시보기/프리미어)
+ */
+export function classifyFormat({ durationSec, liveBroadcastContent, wasLive = false }) {
+  if (liveBroadcastContent === 'live' || liveBroadcastContent === 'upcoming' || wasLive) return 'live';
+  if (durationSec == null || durationSec <= 0) return 'unknown';
+  if (durationSec <= SHORTS_MAX_SEC) return 'shorts';
+  if (durationSec < SHORT_MAX_SEC) return 'short';
+  if (durationSec <= MID_MAX_SEC) return 'mid';
+  return 'long';
+}
@@ -0,0 +1,149 @@
+// server/jobs.js
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+/* =========================
+   백그라운드 작업 러너(메모리)
+   - 작업은 큐에 쌓이고 concurrency 개씩 실행(기본 1: YouTube 쿼터 보호)
+   - 진행 상황은 job.progress 에 누적, 변경 때마다 'update' 이벤트(SSE 구독용)
+   - 서버 재시작 시 작업 목록은 사라짐(결과는 저장소에 이미 기록됨)
+   ========================= */
+
+/** 취소로 중단된 작업을 구분하기 위한 오류 */
+export class JobCancelledError extends Error {
+  constructor() {
+    super('job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/** signal이 취소됐으면 JobCancelledError 던지기(긴 루프 중간 확인용) */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) throw new JobCancelledError();
+}
+
+const FINISHED = ['done', 'error', 'cancelled'];
+
+/**
+ * createJobRunner
+ * @param { concurrency?: number, keep?: number } keep = 메모리에 남길 완료 작업 수
+ */
+export function createJobRunner({ concurrency = 1, keep = 100 } = {}) {
+  const jobs = new Map(); // id → job (삽입 순서 = 생성 순서)
+  const queue = [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let running = 0;
+
+  const snapshot = (job) => {
+    const { controller, fn, ...pub } = job;
+    return pub;
+  };
+
+  const emit = (job) => events.emit(`update:${job.id}`, snapshot(job));
+
+  const prune = () => {
+    const done = [...jobs.values()].filter((j) => FINISHED.includes(j.status));
+    for (const j of done.slice(0, Math.max(0, done.length - keep))) jobs.delete(j.id);
+  };
+
+  const pump = () => {
+    while (running < concurrency && queue.length) {
+      const job = queue.shift();
+      if (job.status !== 'queued') continue;
+      running += 1;
+      run(job).finally(() => {
+        running -= 1;
+        prune();
+        pump();
+      });
+    }
+  };
+
+  const run = async (job) => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    emit(job);
+
+    const progress = (patch) => {
+      Object.assign(job.progress, patch);
+      emit(job);
+    };
+
+    try {
+      job.result = await job.fn({ signal: job.controller.signal, progress });
+      job.status = 'done';
+    } catch (e) {
+      if (e instanceof JobCancelledError || job.controller.signal.aborted) {
+        job.status = 'cancelled';
+      } else {
+        job.status = 'error';
+        job.error = e?.message || String(e);
+      }
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      emit(job);
+    }
+  };
+
+  return {
+    /**
+     * 작업 등록 → 즉시 job 스냅샷 반환
+     * fn: async ({ signal, progress }) => result
+     */
+    submit(kind, params, fn, initialProgress = {}) {
+      const job = {
+        id: crypto.randomUUID(),
+        kind,
+        params,
+        status: 'queued',
+        progress: { ...initialProgress },
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        controller: new AbortController(),
+        fn,
+      };
+      jobs.set(job.id, job);
+      queue.push(job);
+      pump();
+      return snapshot(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+
+    /** 최근 생성순 */
+    list({ limit = 50 } = {}) {
+      return [...jobs.values()].reverse().slice(0, limit).map(snapshot);
+    },
+
+    /** 대기 중이면 바로 취소, 실행 중이면 signal로 중단 요청 */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || FINISHED.includes(job.status)) return false;
+      job.controller.abort();
+      if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        emit(job);
+      }
+      return true;
+    },
+
+    /** 변경 구독 → unsubscribe 함수 */
+    subscribe(id, cb) {
+      const key = `update:${id}`;
+      events.on(key, cb);
+      return () => events.off(key, cb);
+    },
+
+    isFinished(job) {
+      return FINISHED.includes(job?.status);
+    },
+  };
+}
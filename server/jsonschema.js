@@ -0,0 +1,83 @@
+// server/jsonschema.js
+
+/* =========================
+   LLM JSON 응답 유틸
+   - extractJson: 모델 응답에서 JSON 객체/배열 부분만(코드 블록/앞뒤 설명 허용)
+   - validateSchema: JSON Schema 부분 구현(이 저장소 스키마에 쓰는 키워드만)
+     type, enum, required, properties, additionalProperties(false), items,
+     minItems/maxItems, minLength/maxLength, minimum/maximum
+   ========================= */
+
+/**
+ * 응답 텍스트 → 객체 | 배열 | null
+ * - 먼저 나온 여는 괄호({ 또는 [)부터 짝이 되는 마지막 닫는 괄호까지 — 안 되면 다른 괄호로 다시 시도
+ */
+export function extractJson(text) {
+  const s = String(text || '');
+  const spans = [['{', '}'], ['[', ']']]
+    .map(([open, close]) => [s.indexOf(open), s.lastIndexOf(close)])
+    .filter(([start, end]) => start >= 0 && end > start)
+    .sort((a, b) => a[0] - b[0]);
+  for (const [start, end] of spans) {
+    try {
+      return JSON.parse(s.slice(start, end + 1));
+    } catch {
+      // 설명 속 괄호 등 — 다음 후보로
+    }
+  }
+  return null;
+}
+
+function typeOf(x) {
+  if (x === null) return 'null';
+  if (Array.isArray(x)) return 'array';
+  if (Number.isInteger(x)) return 'integer';
+  return typeof x;
+}
+
+const typeMatches = (actual, want) => actual === want || (want === 'number' && actual === 'integer');
+
+/**
+ * validateSchema
+ * @param value 검사할 값
+ * @param schema JSON Schema(위 키워드만 해석, 나머지는 무시)
+ * 반환: 오류 문자열 배열("$.sections[0].title: …") — 비어 있으면 통과
+ */
+export function validateSchema(value, schema, at = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => typeMatches(actual, t))) {
+      errors.push(`${at}: expected ${types.join('|')}, got ${actual}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (actual === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`);
+  }
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: less than ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: greater than ${schema.maximum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${at}[${i}]`)));
+  }
+  if (actual === 'object') {
+    const props = schema.properties || {};
+    for (const k of schema.required || []) {
+      if (!(k in value)) errors.push(`${at}.${k}: required`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) errors.push(...validateSchema(v, props[k], `${at}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${k}: unexpected property`);
+    }
+  }
+  return errors;
+}
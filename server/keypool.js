@@ -0,0 +1,155 @@
+// server/keypool.js
+import crypto from 'crypto';
+import { nextQuotaReset, quotaDay } from './quota.js';
+
+/* =========================
+   YouTube API 키 풀
+   - 여러 GCP 프로젝트 키를 돌려 쓰고, 키별 사용량(PT 일자)을 기록
+   - 403 quotaExceeded/dailyLimitExceeded → 그 키는 다음 PT 자정까지 쉬게 하고 다음 키로 재시도
+   - 403 rateLimitExceeded 등 순간 한도 → 짧게(KEY_RATE_COOLDOWN_MS) 쉬게 하고 재시도
+   ========================= */
+
+const DAILY_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+const RATE_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const KEY_RATE_COOLDOWN_MS = 60_000;
+
+/** 모든 키가 쉬는 중일 때(HTTP 429로 응답) */
+export class KeyPoolExhaustedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'KeyPoolExhaustedError';
+    this.status = 429;
+    Object.assign(this, details);
+  }
+}
+
+/** googleapis(Gaxios) 오류에서 YouTube 오류 reason 추출 */
+export function quotaReasonOf(e) {
+  const status = e?.status || e?.code || e?.response?.status;
+  if (Number(status) !== 403 && Number(status) !== 429) return null;
+  const reasons = [
+    ...(e?.errors || []),
+    ...(e?.response?.data?.error?.errors || []),
+  ].map((x) => x?.reason);
+  return reasons.find((r) => DAILY_REASONS.includes(r) || RATE_REASONS.includes(r)) || null;
+}
+
+/** 키 원문 대신 쓰는 식별자(로그/DB/API 노출용) */
+export function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * createKeyPool
+ * @param {
+ *   keys: string[],
+ *   makeClient: (key) => youtube 클라이언트(시도마다 과금되도록 계량 래퍼를 씌워 넘김),
+ *   perKeyBudget: number,
+ *   costOf: (method) => units,
+ *   getKeyUsage: (day) => { [keyId]: { units, calls } },
+ *   addKeyUsage: (day, keyId, units) => void,
+ *   loadKeyStates: () => { [keyId]: { cooldownUntil, cooldownReason, lastError, lastErrorAt } },
+ *   saveKeyState: (keyId, state) => void,
+ * }
+ * 반환: { client, status() } — client는 youtube 클라이언트와 같은 모양(resource.fn(params))
+ */
+export function createKeyPool({
+  keys, makeClient, perKeyBudget, costOf,
+  getKeyUsage, addKeyUsage, loadKeyStates, saveKeyState,
+}) {
+  const saved = loadKeyStates();
+  const pool = keys.map((key, i) => {
+    const id = keyIdOf(key);
+    return {
+      id,
+      label: `key #${i + 1}`,
+      client: makeClient(key),
+      state: saved[id] || { cooldownUntil: null, cooldownReason: null, lastError: null, lastErrorAt: null },
+    };
+  });
+
+  const coolingDown = (k, now = Date.now()) =>
+    k.state.cooldownUntil && new Date(k.state.cooldownUntil).getTime() > now;
+
+  const setState = (k, patch) => {
+    k.state = { ...k.state, ...patch };
+    saveKeyState(k.id, k.state);
+  };
+
+  // 쉬지 않고 + 오늘 예산이 남은 키 중 사용량이 가장 적은 키부터
+  const candidates = (method) => {
+    const usage = getKeyUsage(quotaDay());
+    const cost = costOf(method);
+    return pool
+      .filter((k) => !coolingDown(k))
+      .filter((k) => (usage[k.id]?.units || 0) + cost <= perKeyBudget)
+      .sort((a, b) => (usage[a.id]?.units || 0) - (usage[b.id]?.units || 0));
+  };
+
+  const call = async (resource, fn, params) => {
+    const method = `${resource}.${fn}`;
+    const tried = new Set();
+    let lastErr = null;
+
+    for (;;) {
+      const k = candidates(method).find((x) => !tried.has(x.id));
+      if (!k) break;
+      tried.add(k.id);
+
+      addKeyUsage(quotaDay(), k.id, costOf(method));
+      try {
+        return await k.client[resource][fn](params);
+      } catch (e) {
+        const reason = quotaReasonOf(e);
+        if (!reason) throw e;
+        lastErr = e;
+        const until = DAILY_REASONS.includes(reason)
+          ? nextQuotaReset()
+          : new Date(Date.now() + KEY_RATE_COOLDOWN_MS).toISOString();
+        setState(k, {
+          cooldownUntil: until,
+          cooldownReason: reason,
+          lastError: e?.message || String(e),
+          lastErrorAt: new Date().toISOString(),
+        });
+        console.warn(`[keys] ${k.label} ${reason} → cooldown until ${until}, failing over`);
+      }
+    }
+
+    if (!pool.length) throw new Error('YT_API_KEY is empty');
+    throw new KeyPoolExhaustedError(
+      `all YouTube API keys exhausted for ${method}` + (lastErr ? ` (last: ${lastErr.message})` : ''),
+      { keys: status() }
+    );
+  };
+
+  const status = () => {
+    const usage = getKeyUsage(quotaDay());
+    const now = Date.now();
+    return pool.map((k) => {
+      const used = usage[k.id]?.units || 0;
+      const cooling = !!coolingDown(k, now);
+      return {
+        id: k.id,
+        label: k.label,
+        usedToday: used,
+        callsToday: usage[k.id]?.calls || 0,
+        budget: perKeyBudget,
+        healthy: !cooling && used < perKeyBudget,
+        cooldownUntil: cooling ? k.state.cooldownUntil : null,
+        cooldownReason: cooling ? k.state.cooldownReason : null,
+        lastError: k.state.lastError,
+        lastErrorAt: k.state.lastErrorAt,
+      };
+    });
+  };
+
+  // youtube 클라이언트와 같은 모양으로 노출(createYouTubeClient의 live 클라이언트로 그대로 쓰게)
+  const client = new Proxy({}, {
+    get: (_, resource) => new Proxy({}, {
+      get: (__, fn) => (params) => call(String(resource), String(fn), params),
+    }),
+  });
+
+  return { client, status, size: pool.length };
+}
@@ -0,0 +1,297 @@
+// server/prompts.js
+import { extractJson, validateSchema } from './jsonschema.js';
+
+/* =========================
+   AI 인사이트 프롬프트(템플릿)
+   - 템플릿: { system, body, variables: { brand, productTaxonomy } } — 서버 저장(store.js), 수정 때마다 새 버전
+   - 자리표시자: {{period}} 기간, {{sample}} 데이터 샘플(+댓글 분석 요약), {{brand}} 브랜드, {{productTaxonomy}} 제품 분류
+   - buildInsightPrompt: 템플릿 + 데이터 → { system, user } (모든 공급자 공통)
+   - 응답은 JSON(INSIGHT_SCHEMA): 섹션 → 불릿(본문, 근거 영상 ID, 신뢰도)
+     parseInsight로 가벼운 보정 후 스키마 검사, renderInsightText로 마크다운 본문
+   ========================= */
+
+export const TEMPLATE_PLACEHOLDERS = ['period', 'sample', 'brand', 'productTaxonomy'];
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// 변수 값이 비었을 때 넣는 문구
+const BRAND_FALLBACK = '(지정 없음 — 데이터의 채널 기준)';
+const TAXONOMY_FALLBACK = '영상에 등장하는 제품/제품군';
+
+// 샘플 필드 설명(포맷은 서버가 길이/방송 여부로 분류한 값 — 모델이 제목으로 추정하지 않도록)
+const INSIGHT_FIELDS_NOTE =
+  '필드: id=영상 ID(근거 인용용), d=게시일, ch=채널, fmt=포맷(shorts=180초 이하, short=180초 초과 4분 미만, mid=4–20분, long=20분 초과, live=라이브/프리미어), sec=길이(초), tags=태그(앞 5개), tx=자막 앞부분(자막이 있는 조회 상위 영상만 — 실제 발화 내용)';
+
+const ANALYST_SYSTEM = [
+  '당신은 마케팅/콘텐츠 분석가입니다.',
+  '입력 데이터(YouTube 업로드/성과 로그)를 바탕으로 한국어로 상세하고 실무적인 리포트를 작성합니다.',
+  '항상 번호와 불릿을 활용해 가독성을 높이고, 과도한 수사를 피합니다.',
+  '주요 패턴과 예외, 인사이트, 리스크, 실행 제안을 명확히 나눠 주세요.',
+].join(' ');
+
+const REPORT_BODY = [
+  '기간: {{period}}',
+  '분석 대상 브랜드: {{brand}}',
+  '{{sample}}',
+  '',
+  '아래 형식으로 작성해 주세요:',
+  '',
+  '## 1) 업로드 빈도/요일·시즌 패턴',
+  '- 업로드 양/주기/특이한 급증일(이벤트 여부 추정 포함)',
+  '',
+  '## 2) 메시지/제품/시리즈 변화(추정 근거)',
+  '- 강조 메시지 변화, 제품군/시리즈 비중 변화, 포맷(숏폼/롱폼) 변화',
+  '',
+  '## 3) 성과 TOP 영상 공통점(제목/주제/길이/시기)',
+  '- 공통 키워드/포맷, 조회/참여수(좋아요/댓글) 관점의 특징',
+  '',
+  '## 4) 주요 업로드 컨텐츠 유형 분석',
+  '- 캠페인/USP/리뷰/하우투/행사/기업PR 등 유형별 특징과 성과 비교',
+  '',
+  '## 5) 리스크/모니터링 포인트',
+  '- 과거 대비 하락 지표, 콘텐츠 포맷/메시지 편향 리스크',
+  '',
+  '## 6) 제품 분석',
+  '- {{productTaxonomy}}에 대한 영상 제목과 내용 요약',
+  '',
+  '## 7) 종합 의견 및 제안',
+  '- 브랜드/마케팅/콘텐츠 전략에 대한 상세 제안',
+].join('\n');
+
+/** 처음 기동 때 등록하는 템플릿(store.seedPromptTemplates) — default는 지울 수 없음 */
+export const BUILTIN_TEMPLATES = [
+  {
+    id: DEFAULT_TEMPLATE_ID,
+    name: '기본 리포트',
+    description: '업로드 패턴/성과/콘텐츠 유형/제품/제안 7개 섹션(제품 분류는 변수로)',
+    system: ANALYST_SYSTEM,
+    body: REPORT_BODY,
+    variables: { brand: '', productTaxonomy: '' },
+  },
+  {
+    id: 'hvac',
+    name: 'HVAC 제품 리포트',
+    description: '기본 리포트 + 에어컨/공기청정기/HVAC 제품 분류',
+    system: ANALYST_SYSTEM,
+    body: REPORT_BODY,
+    variables: { brand: '', productTaxonomy: ['에어컨', '공기청정기', 'HVAC'] },
+  },
+];
+
+// 제품 분류: 문자열 또는 배열(["에어컨", "공기청정기"]) → "에어컨/공기청정기"
+const taxonomyText = (x) => (Array.isArray(x) ? x.map((s) => String(s).trim()).filter(Boolean).join('/') : String(x || '').trim());
+
+/** 템플릿 변수 검사 — 객체가 아니면 status 400 오류(템플릿 저장·요청별 덮어쓰기 공용) */
+export function validateVariables(variables) {
+  if (variables == null || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw Object.assign(new Error('variables must be an object'), { status: 400 });
+  }
+  return variables;
+}
+
+/**
+ * validateTemplate — 저장 전 검사(문제 있으면 status 400 오류)
+ * - body에 {{sample}} 필수(데이터 없이 분석하지 않도록), 모르는 자리표시자 거부
+ */
+export function validateTemplate({ name, system, body, variables = {} }) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  if (!String(name || '').trim()) throw bad('name required');
+  if (!String(system || '').trim()) throw bad('system required');
+  if (!/\{\{\s*sample\s*\}\}/.test(String(body || ''))) throw bad('body must contain {{sample}}');
+  const unknown = [...`${system}\n${body}`.matchAll(PLACEHOLDER_RE)]
+    .map((m) => m[1])
+    .filter((k) => !TEMPLATE_PLACEHOLDERS.includes(k));
+  if (unknown.length) {
+    throw bad(`unknown placeholder(s): ${[...new Set(unknown)].join(', ')} (allowed: ${TEMPLATE_PLACEHOLDERS.join(', ')})`);
+  }
+  validateVariables(variables);
+  return {
+    name: String(name).trim(),
+    system: String(system),
+    body: String(body),
+    variables: { brand: String(variables.brand || '').trim(), productTaxonomy: variables.productTaxonomy ?? '' },
+  };
+}
+
+/* ---------- 구조화 응답(JSON) ---------- */
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const MAX_SECTIONS = 12;
+const MAX_BULLETS = 12;
+const MAX_CITED = 10;
+
+export const INSIGHT_SCHEMA = {
+  type: 'object',
+  required: ['sections'],
+  additionalProperties: false,
+  properties: {
+    sections: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_SECTIONS,
+      items: {
+        type: 'object',
+        required: ['title', 'bullets'],
+        additionalProperties: false,
+        properties: {
+          title: { type: 'string', minLength: 1, maxLength: 120 },
+          bullets: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_BULLETS,
+            items: {
+              type: 'object',
+              required: ['text', 'videoIds', 'confidence'],
+              additionalProperties: false,
+              properties: {
+                text: { type: 'string', minLength: 1, maxLength: 1000 },
+                videoIds: { type: 'array', maxItems: MAX_CITED, items: { type: 'string' } },
+                confidence: { type: 'string', enum: CONFIDENCE_LEVELS },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+// 마지막에 붙는 응답 형식 지시(템플릿의 "## " 섹션을 JSON으로)
+const structuredOutputLines = () => [
+  '',
+  '응답 형식: 마크다운 대신 아래 JSON 스키마에 맞는 JSON 객체 하나만 출력(설명/코드 블록 없이).',
+  '- sections: 위 "## " 섹션을 같은 순서·같은 제목으로, bullets: 섹션별 핵심 포인트(한 항목에 한 내용)',
+  '- videoIds: 그 포인트의 근거가 된 영상의 id(샘플의 id 값만, 없으면 빈 배열)',
+  '- confidence: 데이터가 뒷받침하는 정도(high=여러 영상/수치로 확인, medium=일부 근거, low=추정)',
+  JSON.stringify(INSIGHT_SCHEMA),
+];
+
+// 신뢰도 표기 흔들림 보정(대소문자, 한국어, 0–1 숫자)
+const CONFIDENCE_ALIASES = { 높음: 'high', 상: 'high', 중간: 'medium', 보통: 'medium', 중: 'medium', 낮음: 'low', 하: 'low' };
+function toConfidence(x) {
+  if (typeof x === 'number') return x >= 0.7 ? 'high' : x >= 0.4 ? 'medium' : 'low';
+  const s = String(x || '').trim().toLowerCase();
+  if (CONFIDENCE_LEVELS.includes(s)) return s;
+  return CONFIDENCE_ALIASES[s] || x;
+}
+
+/**
+ * repairInsight — 스키마 검사 전 기계적으로 고칠 수 있는 것만 보정(내용은 바꾸지 않음)
+ * - 섹션 배열만 온 경우, heading/points 같은 다른 키 이름, 문자열 불릿, 신뢰도 표기
+ * - videoIds: 샘플에 없는 ID(모델이 지어낸 것)는 제거, 중복 제거
+ */
+function repairInsight(raw, knownIds) {
+  const obj = Array.isArray(raw) ? { sections: raw } : raw;
+  if (!obj || typeof obj !== 'object' || !Array.isArray(obj.sections)) return obj;
+  const sections = obj.sections.map((sec) => {
+    if (!sec || typeof sec !== 'object') return sec;
+    const title = sec.title ?? sec.heading;
+    const bullets = sec.bullets ?? sec.points ?? sec.items;
+    return {
+      title: typeof title === 'string' ? title.replace(/^#+\s*/, '').trim() : title,
+      bullets: Array.isArray(bullets)
+        ? bullets.map((b) => {
+            const item = typeof b === 'string' ? { text: b } : b;
+            if (!item || typeof item !== 'object') return item;
+            const ids = Array.isArray(item.videoIds) ? item.videoIds : item.videoId ? [item.videoId] : [];
+            return {
+              text: typeof item.text === 'string' ? item.text.trim() : item.text,
+              videoIds: [...new Set(ids.map(String))].filter((id) => !knownIds || knownIds.has(id)),
+              confidence: toConfidence(item.confidence ?? 'medium'),
+            };
+          })
+        : bullets,
+    };
+  });
+  return { sections };
+}
+
+/**
+ * parseInsight — 모델 응답 → { insight, errors }
+ * @param { videoIds?: 샘플의 영상 ID(인용 검사) }
+ * - errors가 비어 있으면 insight는 INSIGHT_SCHEMA를 만족
+ */
+export function parseInsight(text, { videoIds } = {}) {
+  const raw = extractJson(text);
+  if (raw == null) return { insight: null, errors: ['$: response is not a JSON object'] };
+  const insight = repairInsight(raw, videoIds ? new Set(videoIds) : null);
+  return { insight, errors: validateSchema(insight, INSIGHT_SCHEMA) };
+}
+
+/** 스키마 오류 재요청: 원래 요청 + 직전 응답 + 오류 목록 */
+export function buildInsightRepairPrompt(prompt, previousText, errors) {
+  return {
+    system: prompt.system,
+    user: [
+      prompt.user,
+      '',
+      '직전 응답이 JSON 스키마에 맞지 않았습니다. 아래 오류를 고친 JSON 객체 하나만 다시 출력해 주세요.',
+      ...errors.slice(0, 20).map((e) => `- ${e}`),
+      '',
+      '직전 응답:',
+      String(previousText || '').slice(0, 6000),
+    ].join('\n'),
+  };
+}
+
+const CONFIDENCE_LABEL = { high: '높음', medium: '중간', low: '낮음' };
+
+/** 구조화 결과 → 마크다운 본문("## 제목" + 불릿, 근거/신뢰도 꼬리표) */
+export function renderInsightText(insight) {
+  return insight.sections
+    .map((sec) => [
+      `## ${sec.title}`,
+      ...sec.bullets.map((b) => {
+        const tail = [b.videoIds.length ? `근거: ${b.videoIds.join(', ')}` : null, `신뢰도: ${CONFIDENCE_LABEL[b.confidence]}`]
+          .filter(Boolean)
+          .join(' · ');
+        return `- ${b.text} (${tail})`;
+      }),
+    ].join('\n'))
+    .join('\n\n');
+}
+
+// 댓글 분석 요약(있을 때만): {{sample}} 뒤에 붙는 줄 / 리포트 형식의 마지막 섹션
+const commentInputLines = (c) => (c ? [
+  '',
+  `댓글 분석 요약(영상 ${c.videos}개, 댓글 ${c.comments}개 — sentiment=댓글 수, count/mentions=언급 댓글 수):`,
+  JSON.stringify(c),
+] : []);
+// 섹션 번호는 템플릿의 "## N)" 개수 다음으로
+const commentOutputLines = (c, body) => (c ? [
+  '',
+  `## ${(body.match(/^##\s*\d+\)/gm) || []).length + 1}) 시청자 반응(댓글)`,
+  '- 감성 분포, 반복되는 불만/칭찬, 제품 언급과 대표 인용(댓글 분석 요약 기준)',
+] : []);
+
+/**
+ * buildInsightPrompt — 템플릿 + 데이터 → { system, user }
+ * @param template { system, body, variables }
+ * @param { days, sample, maxRows, comments?: 댓글 분석 요약, variables?: 요청별 변수(템플릿 값보다 우선) }
+ * - 자리표시자는 한 번만 치환(샘플 제목 안의 "{{…}}"는 그대로)
+ * - 끝에 JSON 응답 형식(INSIGHT_SCHEMA) 지시가 붙음 — 템플릿의 "## " 섹션이 sections가 됨
+ */
+export function buildInsightPrompt(template, { days, sample, maxRows, comments = null, variables = {} }) {
+  const vars = { ...template.variables };
+  for (const [k, v] of Object.entries(variables || {})) {
+    if (v != null && taxonomyText(v)) vars[k] = v;
+  }
+  const values = {
+    period: `최근 ${days}일`,
+    sample: [
+      `데이터 샘플(최대 ${maxRows}건):`,
+      INSIGHT_FIELDS_NOTE,
+      JSON.stringify(sample, null, 2),
+      ...commentInputLines(comments),
+    ].join('\n'),
+    brand: String(vars.brand || '').trim() || BRAND_FALLBACK,
+    productTaxonomy: taxonomyText(vars.productTaxonomy) || TAXONOMY_FALLBACK,
+  };
+  const fill = (s) => String(s || '').replace(PLACEHOLDER_RE, (m, k) => (k in values ? values[k] : m));
+  const body = fill(template.body);
+  return {
+    system: fill(template.system),
+    user: [body, ...commentOutputLines(comments, template.body), ...structuredOutputLines()].join('\n'),
+  };
+}
@@ -0,0 +1,209 @@
+// server/querylang.js
+
+/* =========================
+   키워드 검색 쿼리 언어
+   ========================= */
+// - 연산자(대문자): AND, OR, NOT  / 기호: | (OR), - (NOT, 단어 앞), ( )
+// - "따옴표" = 정확한 구절, 나란히 쓴 항목 = AND
+// - 쉼표 = AND(이전 형식 호환): 쉼표 사이의 맨 단어들은 한 구절로 취급
+//   예) LG, air conditioner  →  LG AND "air conditioner"
+//       (LG OR Samsung) "air conditioner" NOT repair
+
+/** 쿼리 문법 오류(HTTP 400으로 응답) */
+export class QueryParseError extends Error {
+  constructor(message, pos) {
+    super(pos == null ? message : `${message} (at ${pos + 1})`);
+    this.name = 'QueryParseError';
+    this.status = 400;
+    this.pos = pos;
+  }
+}
+
+const OPERATORS = { AND: 'and', OR: 'or', NOT: 'not' };
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i += 1; continue; }
+    if (c === '(' || c === ')' || c === ',' || c === '|') {
+      tokens.push({ type: c === '|' ? 'or' : c, pos: i });
+      i += 1;
+      continue;
+    }
+    if (c === '"') {
+      const end = src.indexOf('"', i + 1);
+      if (end < 0) throw new QueryParseError('unclosed quote', i);
+      const value = src.slice(i + 1, end).trim().replace(/\s+/g, ' ');
+      if (value) tokens.push({ type: 'phrase', value, pos: i });
+      i = end + 1;
+      continue;
+    }
+    // 단어 앞의 '-' = NOT
+    if (c === '-' && i + 1 < src.length && !/[\s()",|]/.test(src[i + 1])) {
+      tokens.push({ type: 'not', pos: i });
+      i += 1;
+      continue;
+    }
+    let j = i;
+    while (j < src.length && !/[\s()",|]/.test(src[j])) j += 1;
+    const word = src.slice(i, j);
+    tokens.push(OPERATORS[word] ? { type: OPERATORS[word], pos: i } : { type: 'word', value: word, pos: i });
+    i = j;
+  }
+  return tokens;
+}
+
+/**
+ * parseQuery — 쿼리 문자열 → 구문 트리
+ * 노드: { type: 'and'|'or', children } | { type: 'not', child } | { type: 'term'|'phrase', value }
+ * (잘못된 쿼리면 QueryParseError)
+ */
+export function parseQuery(src) {
+  const tokens = tokenize(String(src || ''));
+  if (!tokens.length) throw new QueryParseError('empty query');
+  const commaMode = tokens.some((t) => t.type === ',');
+  let i = 0;
+
+  const peek = () => tokens[i];
+  const startsOperand = (t) => t && ['word', 'phrase', 'not', '('].includes(t.type);
+  const flat = (type, children) => (children.length === 1
+    ? children[0]
+    : { type, children: children.flatMap((c) => (c.type === type ? c.children : [c])) });
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      i += 1;
+      children.push(parseAnd());
+    }
+    return flat('or', children);
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    for (;;) {
+      const t = peek();
+      if (t?.type === 'and' || t?.type === ',') {
+        i += 1;
+        children.push(parseUnary());
+      } else if (startsOperand(t)) {
+        children.push(parseUnary());
+      } else {
+        break;
+      }
+    }
+    return flat('and', children);
+  }
+
+  function parseUnary() {
+    if (peek()?.type === 'not') {
+      i += 1;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const t = peek();
+    if (!t) throw new QueryParseError('unexpected end of query');
+    if (t.type === '(') {
+      i += 1;
+      const node = parseOr();
+      if (peek()?.type !== ')') throw new QueryParseError('missing )', peek()?.pos ?? t.pos);
+      i += 1;
+      return node;
+    }
+    if (t.type === 'phrase') {
+      i += 1;
+      return { type: 'phrase', value: t.value };
+    }
+    if (t.type === 'word') {
+      i += 1;
+      if (!commaMode) return { type: 'term', value: t.value };
+      // 쉼표 형식: 이어지는 맨 단어들을 한 구절로
+      const words = [t.value];
+      while (peek()?.type === 'word') words.push(tokens[i++].value);
+      return words.length > 1 ? { type: 'phrase', value: words.join(' ') } : { type: 'term', value: t.value };
+    }
+    throw new QueryParseError(`unexpected ${t.type.toUpperCase()}`, t.pos);
+  }
+
+  const tree = parseOr();
+  if (i < tokens.length) throw new QueryParseError(`unexpected ${tokens[i].value || tokens[i].type}`, tokens[i].pos);
+  if (positiveTerms(tree) === 0) throw new QueryParseError('query needs at least one term that is not negated');
+  return tree;
+}
+
+// NOT 밖에 있는 검색어 수(전부 NOT이면 search.list로 찾을 수 없음)
+function positiveTerms(node) {
+  if (node.type === 'not') return 0;
+  if (node.children) return node.children.reduce((n, c) => n + positiveTerms(c), 0);
+  return 1;
+}
+
+/**
+ * toSearchQ — 구문 트리 → search.list의 q 문자열
+ * - YouTube 검색은 | (OR), -단어 (제외), "구절"을 지원하지만 괄호 묶음은 보장되지 않음
+ *   → 넓게 찾고 정확한 판정은 matchQuery 후처리로
+ */
+export function toSearchQ(node, parent = null) {
+  switch (node.type) {
+    case 'term':
+      return node.value;
+    case 'phrase':
+      return `"${node.value}"`;
+    case 'not':
+      // 단어/구절 제외만 검색어로 전달(복합 NOT은 후처리에서만)
+      return node.child.type === 'term' || node.child.type === 'phrase' ? `-${toSearchQ(node.child, node)}` : '';
+    case 'and':
+      return node.children.map((c) => toSearchQ(c, node)).filter(Boolean).join(' ');
+    case 'or': {
+      const s = node.children.map((c) => toSearchQ(c, node)).filter(Boolean).join(' | ');
+      return parent ? `(${s})` : s;
+    }
+    default:
+      return '';
+  }
+}
+
+/** 구문 트리 → 정규화된 쿼리 문자열(표시용) */
+export function formatQuery(node, parent = null) {
+  switch (node.type) {
+    case 'term':
+      return node.value;
+    case 'phrase':
+      return `"${node.value}"`;
+    case 'not':
+      return `NOT ${formatQuery(node.child, node)}`;
+    default: {
+      const s = node.children.map((c) => formatQuery(c, node)).join(` ${node.type.toUpperCase()} `);
+      return parent ? `(${s})` : s;
+    }
+  }
+}
+
+/**
+ * matchQuery — 구문 트리를 텍스트에 적용(대소문자 무시, 부분 문자열 일치)
+ * @param text 제목 + 설명 + 태그를 합친 문자열
+ */
+export function matchQuery(node, text) {
+  const t = String(text || '').toLowerCase().replace(/\s+/g, ' ');
+  const test = (n) => {
+    switch (n.type) {
+      case 'term':
+      case 'phrase':
+        return t.includes(n.value.toLowerCase());
+      case 'not':
+        return !test(n.child);
+      case 'and':
+        return n.children.every(test);
+      case 'or':
+        return n.children.some(test);
+      default:
+        return false;
+    }
+  };
+  return test(node);
+}
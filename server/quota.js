@@ -0,0 +1,124 @@
+// server/quota.js
+
+/* =========================
+   YouTube Data API 쿼터(유닛) 계량
+   - 쿼터 일자는 태평양 시간(America/Los_Angeles) 자정에 리셋
+   - 모든 호출은 meterYouTube()로 감싼 클라이언트를 통해서만 나감
+   ========================= */
+
+// 메서드별 유닛 비용(공식 문서 기준)
+export const YT_UNIT_COSTS = {
+  'search.list': 100,
+  'channels.list': 1,
+  'commentThreads.list': 1,
+  'playlistItems.list': 1,
+  'playlists.list': 1,
+  'videos.list': 1,
+};
+
+const QUOTA_TZ = 'America/Los_Angeles';
+
+/** 예산 초과로 호출을 막을 때의 오류(HTTP 429로 응답) */
+export class QuotaBudgetError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'QuotaBudgetError';
+    this.status = 429;
+    Object.assign(this, details);
+  }
+}
+
+// PT 벽시계 기준 연/월/일/시/분/초
+function ptParts(date) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: QUOTA_TZ,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23',
+  });
+  const o = {};
+  for (const p of fmt.formatToParts(date)) o[p.type] = p.value;
+  return o;
+}
+
+/** 쿼터 일자 'YYYY-MM-DD'(PT) */
+export function quotaDay(date = new Date()) {
+  const p = ptParts(date);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+/** 다음 쿼터 리셋 시각(PT 자정, ISO) */
+export function nextQuotaReset(date = new Date()) {
+  const p = ptParts(date);
+  const sinceMidnight = (Number(p.hour) * 3600 + Number(p.minute) * 60 + Number(p.second)) * 1000;
+  const ms = date.getTime() - sinceMidnight - date.getMilliseconds() + 24 * 3600 * 1000;
+  return new Date(ms).toISOString();
+}
+
+/**
+ * createQuotaMeter
+ * @param { budget, reserve, getUsage: (day) => { total, byMethod }, addUsage: (day, method, units) => void }
+ *
+ * - budget : 하루 사용 상한(이 값을 넘는 호출은 거부)
+ * - reserve: 비싼 호출(search.list 등 100유닛)은 남은 유닛이 reserve 아래로 내려가면 거부
+ *            → 남은 쿼터는 증분 수집/통계 갱신 같은 1유닛 호출용으로 남겨 둠
+ */
+export function createQuotaMeter({ budget, reserve = 0, getUsage, addUsage }) {
+  const costOf = (method) => YT_UNIT_COSTS[method] ?? 1;
+
+  const status = () => {
+    const day = quotaDay();
+    const { total, byMethod } = getUsage(day);
+    return {
+      day,
+      used: total,
+      budget,
+      reserve,
+      remaining: Math.max(0, budget - total),
+      resetAt: nextQuotaReset(),
+      byMethod,
+    };
+  };
+
+  /** 이 호출을 지금 해도 되는지(비싼 호출은 reserve까지 고려) */
+  const canSpend = (method) => {
+    const cost = costOf(method);
+    const { remaining } = status();
+    const floor = cost > 1 ? reserve : 0;
+    return remaining - cost >= floor;
+  };
+
+  const check = (method) => {
+    if (canSpend(method)) return;
+    const s = status();
+    throw new QuotaBudgetError(
+      `YouTube quota budget reached (${s.used}/${s.budget} units today, ${method} costs ${costOf(method)}; resets ${s.resetAt})`,
+      { quota: s }
+    );
+  };
+
+  const charge = (method) => addUsage(quotaDay(), method, costOf(method));
+
+  return { costOf, status, canSpend, check, charge };
+}
+
+/**
+ * meterYouTube — googleapis youtube 클라이언트를 같은 모양으로 감싸 호출 전 예산 확인 + 호출 시 과금
+ * (실패한 호출도 YouTube는 유닛을 차감하므로 응답과 무관하게 기록)
+ */
+export function meterYouTube(client, meter) {
+  const wrap = (resource, fn) => {
+    const method = `${resource}.${fn}`;
+    return async (params) => {
+      meter.check(method);
+      meter.charge(method);
+      return client[resource][fn](params);
+    };
+  };
+  const out = {};
+  for (const method of Object.keys(YT_UNIT_COSTS)) {
+    const [resource, fn] = method.split('.');
+    out[resource] = { ...(out[resource] || {}), [fn]: wrap(resource, fn) };
+  }
+  return out;
+}
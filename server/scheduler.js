@@ -0,0 +1,140 @@
+// server/scheduler.js
+
+/* =========================
+   cron 표현식(5필드: 분 시 일 월 요일)
+   ========================= */
+// - 지원: *  */n  a-b  a-b/n  a,b,c  / 별칭 @hourly @daily @weekly @monthly
+// - 서버 로컬 시간 기준(Render 기본 UTC)
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }, // 7 = 일요일(0)
+];
+
+function parseField(src, { name, min, max }) {
+  const out = new Set();
+  for (const part of src.split(',')) {
+    const m = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part.trim());
+    if (!m) throw new Error(`invalid cron ${name}: ${src}`);
+    const step = m[2] ? Number(m[2]) : 1;
+    let lo = min;
+    let hi = max;
+    if (m[1] !== '*') {
+      const [a, b] = m[1].split('-').map(Number);
+      lo = a;
+      hi = b ?? (m[2] ? max : a);
+    }
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`invalid cron ${name}: ${src}`);
+    for (let v = lo; v <= hi; v += step) out.add(name === 'dayOfWeek' && v === 7 ? 0 : v);
+  }
+  return out;
+}
+
+/** cron 문자열 → 필드별 허용값 Set (잘못된 표현식이면 throw) */
+export function parseCron(expr) {
+  const src = ALIASES[String(expr || '').trim()] || String(expr || '').trim();
+  const parts = src.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron needs 5 fields: ${expr}`);
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  return {
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    // 일/요일 둘 다 제한되면 OR (표준 cron 규칙)
+    domAny: parts[2] === '*',
+    dowAny: parts[4] === '*',
+  };
+}
+
+function dayMatches(c, d) {
+  const dom = c.dayOfMonth.has(d.getDate());
+  const dow = c.dayOfWeek.has(d.getDay());
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return dow;
+  if (c.dowAny) return dom;
+  return dom || dow;
+}
+
+/**
+ * nextRun
+ * @param expr cron 문자열
+ * @param from 기준 시각(Date) — 이 시각 "이후"의 첫 실행 시각
+ * 반환: Date (2년 안에 없으면 null)
+ */
+export function nextRun(expr, from = new Date()) {
+  const c = parseCron(expr);
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  const limit = from.getTime() + 2 * 366 * 24 * 3600 * 1000;
+  while (d.getTime() <= limit) {
+    if (!c.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!dayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d;
+  }
+  return null;
+}
+
+/* =========================
+   스케줄러 루프
+   ========================= */
+
+/**
+ * startScheduler
+ * @param { tickMs: number, listDue: (nowISO) => entries[], runEntry: async (entry) => void }
+ *
+ * - tickMs마다 실행 시각이 지난 항목을 순서대로 runEntry에 넘김
+ *   (runEntry가 작업 큐에 등록만 하면 실제 실행 순서/동시성은 큐가 정함)
+ * - 이전 틱의 실행이 끝나지 않았으면 이번 틱은 건너뜀
+ * 반환: stop()
+ */
+export function startScheduler({ tickMs, listDue, runEntry }) {
+  let busy = false;
+
+  const tick = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      for (const entry of listDue(new Date().toISOString())) {
+        try {
+          await runEntry(entry);
+        } catch (e) {
+          console.error('[scheduler] run failed:', e?.message || e);
+        }
+      }
+    } catch (e) {
+      console.error('[scheduler] tick error:', e?.message || e);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const timer = setInterval(tick, tickMs);
+  timer.unref?.();
+  setTimeout(tick, 5_000).unref?.();
+  return () => clearInterval(timer);
+}
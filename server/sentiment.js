@@ -0,0 +1,142 @@
+// server/sentiment.js
+import { extractJson } from './jsonschema.js';
+
+/* =========================
+   댓글 감성/주제 분석(LLM 입출력)
+   - 프롬프트: 영상 1개의 저장된 댓글(좋아요순) → JSON 1개
+   - 응답 정규화: 모델 출력 모양이 조금 달라도 같은 구조로(없는 필드는 빈 값)
+   - 묶음 요약: 영상별 결과 합치기(감성 합계, 같은 주제/제품끼리 합산)
+   ========================= */
+
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// 프롬프트에 넣는 댓글 1개 최대 길이(자)
+const COMMENT_TEXT_MAX = 300;
+// 결과에 남기는 항목 수
+const MAX_THEMES = 8;
+const MAX_PRODUCTS = 10;
+const MAX_QUOTES = 6;
+
+/** 시스템 지시(공급자 공통) */
+export const COMMENT_ANALYSIS_SYSTEM = [
+  '당신은 YouTube 댓글을 읽는 브랜드/고객 경험 분석가입니다.',
+  '주어진 댓글만 근거로 판단하고, 없는 내용을 지어내지 않습니다.',
+  '응답은 설명 없이 JSON 객체 하나만 출력합니다.',
+].join(' ');
+
+/**
+ * buildCommentPrompt — 영상 1개의 댓글 분석 요청문
+ * @param video { title, channelTitle, transcript?: 자막 앞부분(영상 내용 맥락) }
+ * @param comments [{ text, likeCount, replyCount }] — 좋아요순 권장(상한은 호출자가)
+ */
+export function buildCommentPrompt(video, comments) {
+  const lines = comments.map((c, i) => {
+    const text = String(c.text || '').replace(/\s+/g, ' ').trim().slice(0, COMMENT_TEXT_MAX);
+    return `${i + 1}. [좋아요 ${c.likeCount || 0}, 답글 ${c.replyCount || 0}] ${text}`;
+  });
+  return [
+    `영상: ${video.title || '(제목 없음)'}${video.channelTitle ? ` / 채널: ${video.channelTitle}` : ''}`,
+    ...(video.transcript ? [`영상 내용(자막 앞부분): ${video.transcript}`] : []),
+    `댓글 ${comments.length}개:`,
+    ...lines,
+    '',
+    '아래 JSON 형식으로 답해 주세요(주제/요약은 한국어, 인용은 댓글 원문 그대로):',
+    JSON.stringify({
+      sentiment: { positive: '긍정 댓글 수', neutral: '중립 댓글 수', negative: '부정 댓글 수' },
+      complaints: [{ theme: '반복되는 불만 주제', count: '언급 댓글 수', quote: '대표 댓글 원문' }],
+      praise: [{ theme: '반복되는 칭찬 주제', count: '언급 댓글 수', quote: '대표 댓글 원문' }],
+      products: [{ name: '언급된 제품/모델/브랜드', mentions: '언급 댓글 수', sentiment: 'positive|neutral|negative|mixed' }],
+      quotes: [{ text: '눈여겨볼 댓글 원문', sentiment: 'positive|neutral|negative' }],
+      summary: '시청자 반응 2–3문장 요약',
+    }),
+    `- 불만/칭찬은 2개 이상 댓글에서 반복되는 주제 위주로 최대 ${MAX_THEMES}개, 인용은 최대 ${MAX_QUOTES}개`,
+    '- 해당 내용이 없으면 빈 배열',
+  ].join('\n');
+}
+
+const toCount = (x) => Math.max(0, Math.round(Number(x) || 0));
+const toText = (x, max = 500) => String(x ?? '').trim().slice(0, max);
+const toSentiment = (x, allowMixed = false) => {
+  const s = String(x || '').toLowerCase();
+  if (SENTIMENTS.includes(s) || (allowMixed && s === 'mixed')) return s;
+  return 'neutral';
+};
+
+const themesOf = (list) => (Array.isArray(list) ? list : [])
+  .map((t) => ({ theme: toText(t?.theme, 80), count: toCount(t?.count), quote: toText(t?.quote, 300) }))
+  .filter((t) => t.theme)
+  .slice(0, MAX_THEMES);
+
+/**
+ * parseCommentAnalysis — 모델 응답 → 정규화된 분석 결과
+ * 반환: { sentiment: { positive, neutral, negative }, complaints, praise, products, quotes, summary }
+ * (JSON이 아니면 status 502 오류)
+ */
+export function parseCommentAnalysis(text) {
+  const raw = extractJson(text);
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw Object.assign(new Error('LLM returned no JSON for comment analysis'), { status: 502 });
+  }
+  return {
+    sentiment: Object.fromEntries(SENTIMENTS.map((k) => [k, toCount(raw.sentiment?.[k])])),
+    complaints: themesOf(raw.complaints),
+    praise: themesOf(raw.praise),
+    products: (Array.isArray(raw.products) ? raw.products : [])
+      .map((p) => ({ name: toText(p?.name, 80), mentions: toCount(p?.mentions), sentiment: toSentiment(p?.sentiment, true) }))
+      .filter((p) => p.name)
+      .slice(0, MAX_PRODUCTS),
+    quotes: (Array.isArray(raw.quotes) ? raw.quotes : [])
+      .map((q) => ({ text: toText(q?.text, 300), sentiment: toSentiment(q?.sentiment) }))
+      .filter((q) => q.text)
+      .slice(0, MAX_QUOTES),
+    summary: toText(raw.summary, 800),
+  };
+}
+
+// 같은 이름(대소문자/공백 무시)끼리 합산
+function mergeBy(items, keyOf, merge) {
+  const map = new Map();
+  for (const it of items) {
+    const key = keyOf(it).toLowerCase().replace(/\s+/g, ' ');
+    map.set(key, map.has(key) ? merge(map.get(key), it) : { ...it });
+  }
+  return [...map.values()];
+}
+
+const mergeThemes = (lists) => mergeBy(lists.flat(), (t) => t.theme, (a, b) => ({
+  ...a,
+  count: a.count + b.count,
+  quote: a.quote || b.quote,
+}))
+  .sort((a, b) => b.count - a.count)
+  .slice(0, MAX_THEMES);
+
+/**
+ * rollupCommentAnalyses — 영상별 결과 합치기(채널/인사이트용)
+ * @param analyses [{ videoId, title?, commentsUsed, result }]
+ * 반환: { videos, comments, sentiment, complaints, praise, products, quotes: [{ text, sentiment, videoId }] }
+ */
+export function rollupCommentAnalyses(analyses) {
+  const sentiment = Object.fromEntries(SENTIMENTS.map((k) => [k, 0]));
+  for (const a of analyses) for (const k of SENTIMENTS) sentiment[k] += a.result.sentiment[k];
+  const products = mergeBy(analyses.flatMap((a) => a.result.products), (p) => p.name, (a, b) => ({
+    ...a,
+    mentions: a.mentions + b.mentions,
+    sentiment: a.sentiment === b.sentiment ? a.sentiment : 'mixed',
+  }))
+    .sort((a, b) => b.mentions - a.mentions)
+    .slice(0, MAX_PRODUCTS);
+  // 영상마다 앞쪽 인용 2개씩(한 영상이 다 차지하지 않게)
+  const quotes = analyses
+    .flatMap((a) => a.result.quotes.slice(0, 2).map((q) => ({ ...q, videoId: a.videoId })))
+    .slice(0, MAX_QUOTES * 2);
+  return {
+    videos: analyses.length,
+    comments: analyses.reduce((n, a) => n + (a.commentsUsed || 0), 0),
+    sentiment,
+    complaints: mergeThemes(analyses.map((a) => a.result.complaints)),
+    praise: mergeThemes(analyses.map((a) => a.result.praise)),
+    products,
+    quotes,
+  };
+}
@@ -0,0 +1,1862 @@
+// server/store.js
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { parseIsoDuration, classifyFormat, SHORTS_MAX_SEC } from './formats.js';
+
+/* =========================
+   SQLite 저장소
+   - channels : 채널 메타(24h 캐시 대상)
+   - videos   : 영상 행(채널별 publishedAt 인덱스)
+   - video_stats : 수집/갱신 때마다 쌓이는 영상 통계 스냅샷(시계열)
+   - ingest_state : 채널별 증분 수집 커서(lastSeenVideoId 등)
+   - queries / query_videos : 추적 중인 키워드 검색과 매칭된 영상(영상 행은 videos 공용)
+   - playlists / playlist_videos : 추적 중인 재생목록과 구성원(빠진 영상 포함)
+   - comments / comment_state : 영상 댓글(최상위)과 영상별 댓글 수집 커서
+   - comment_analyses : 영상별 댓글 감성/주제 분석(LLM, 최신 1건)
+   - transcripts : 영상 자막/대본(가져오기 또는 .vtt/.srt 파일)
+   - prompt_templates / prompt_template_versions : AI 인사이트 프롬프트 템플릿과 버전별 본문(수정할 때마다 새 버전)
+   - watchlist / watch_runs : 자동 수집 대상(cron 일정)과 실행 기록
+   - quota_usage : YouTube API 유닛 사용량(PT 쿼터 일자 × 메서드)
+   - key_usage / api_key_state : 키 풀의 키별 사용량과 쿨다운 상태(키 원문 대신 해시 ID)
+   ========================= */
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key   TEXT PRIMARY KEY,
+  value TEXT
+);
+
+CREATE TABLE IF NOT EXISTS channels (
+  channel_id       TEXT PRIMARY KEY,
+  title            TEXT,
+  description      TEXT,
+  thumbnails       TEXT,
+  subscriber_count INTEGER NOT NULL DEFAULT 0,
+  video_count      INTEGER NOT NULL DEFAULT 0,
+  view_count       INTEGER NOT NULL DEFAULT 0,
+  uploads_id       TEXT,
+  fetched_at       TEXT
+);
+
+-- 채널 표기(핸들/URL/영상 링크 …) → 채널 ID 캐시
+CREATE TABLE IF NOT EXISTS channel_aliases (
+  alias       TEXT PRIMARY KEY,      -- 'handle:lgglobal' 처럼 종류:값(영상 ID 외에는 소문자)
+  channel_id  TEXT NOT NULL,
+  via         TEXT NOT NULL,         -- forHandle/forUsername/video/search/pick
+  resolved_at TEXT NOT NULL
+);
+
+-- 채널 메타를 받을 때마다 1행(구독자/영상/조회 추이)
+CREATE TABLE IF NOT EXISTS channel_stats (
+  channel_id       TEXT NOT NULL,
+  fetched_at       TEXT NOT NULL,
+  subscriber_count INTEGER,          -- 구독자 수 비공개 채널은 NULL
+  video_count      INTEGER NOT NULL DEFAULT 0,
+  view_count       INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (channel_id, fetched_at)
+);
+
+CREATE TABLE IF NOT EXISTS videos (
+  video_id      TEXT PRIMARY KEY,
+  channel_id    TEXT NOT NULL,
+  title         TEXT NOT NULL DEFAULT '',
+  description   TEXT NOT NULL DEFAULT '',
+  published_at  TEXT,
+  channel_title TEXT,
+  duration      TEXT,
+  views         INTEGER NOT NULL DEFAULT 0,
+  likes         INTEGER NOT NULL DEFAULT 0,
+  comments      INTEGER NOT NULL DEFAULT 0,
+  tags          TEXT,                -- JSON 배열
+  category_id   TEXT,
+  audio_language TEXT,               -- snippet.defaultAudioLanguage(없으면 defaultLanguage)
+  thumbnails    TEXT,                -- JSON { default, medium, high, ... }
+  live_details  TEXT,                -- JSON liveStreamingDetails(라이브/프리미어였던 영상만)
+  topics        TEXT,                -- JSON topicDetails.topicCategories(위키 URL 배열)
+  duration_sec  INTEGER,
+  live_content  TEXT,                -- snippet.liveBroadcastContent(none/live/upcoming)
+  format        TEXT,                -- formats.js classifyFormat()
+  availability  TEXT,                -- public/unlisted/private/removed(NULL = public)
+  availability_changed_at TEXT,      -- availability가 마지막으로 바뀐 시각
+  updated_at    TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_videos_channel_pub ON videos (channel_id, published_at);
+CREATE INDEX IF NOT EXISTS idx_videos_pub ON videos (published_at);
+
+CREATE TABLE IF NOT EXISTS video_stats (
+  video_id   TEXT NOT NULL,
+  fetched_at TEXT NOT NULL,
+  views      INTEGER NOT NULL DEFAULT 0,
+  likes      INTEGER NOT NULL DEFAULT 0,
+  comments   INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (video_id, fetched_at)
+);
+
+CREATE TABLE IF NOT EXISTS ingest_state (
+  channel_id        TEXT PRIMARY KEY,
+  last_seen_video_id TEXT,
+  last_published_at TEXT,
+  last_ingest_at    TEXT
+);
+
+CREATE TABLE IF NOT EXISTS queries (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  query          TEXT NOT NULL COLLATE NOCASE,
+  filters        TEXT NOT NULL DEFAULT '{}', -- search.list 필터(JSON, 키 순서 고정) — 같은 검색어도 필터가 다르면 다른 쿼리
+  created_at     TEXT NOT NULL,
+  covered_since  TEXT,                  -- 지금까지 검색한 가장 이른 publishedAfter
+  last_search_at TEXT,                  -- 마지막으로 끝까지 검색한 시각(다음 증분의 publishedAfter)
+  last_run_at    TEXT,
+  UNIQUE (query, filters)
+);
+
+CREATE TABLE IF NOT EXISTS query_videos (
+  query_id   INTEGER NOT NULL,
+  video_id   TEXT NOT NULL,
+  matched_at TEXT NOT NULL,
+  PRIMARY KEY (query_id, video_id)
+);
+CREATE INDEX IF NOT EXISTS idx_query_videos_video ON query_videos (video_id);
+
+CREATE TABLE IF NOT EXISTS playlists (
+  playlist_id    TEXT PRIMARY KEY,
+  channel_id     TEXT,                  -- 재생목록 소유 채널
+  channel_title  TEXT,
+  title          TEXT,
+  description    TEXT,
+  thumbnails     TEXT,                  -- JSON
+  item_count     INTEGER,               -- contentDetails.itemCount(비공개 영상 포함)
+  created_at     TEXT NOT NULL,         -- 추적 시작
+  fetched_at     TEXT,                  -- 메타 받은 시각
+  last_ingest_at TEXT
+);
+
+-- 재생목록 구성원(빠진 영상도 removed_at으로 남김 → 구성 변화 이력)
+CREATE TABLE IF NOT EXISTS playlist_videos (
+  playlist_id   TEXT NOT NULL,
+  video_id      TEXT NOT NULL,
+  position      INTEGER,
+  added_at      TEXT,                   -- 재생목록에 추가된 시각(snippet.publishedAt)
+  first_seen_at TEXT NOT NULL,
+  removed_at    TEXT,                   -- 마지막 수집에서 빠진 시각(다시 들어오면 NULL)
+  PRIMARY KEY (playlist_id, video_id)
+);
+CREATE INDEX IF NOT EXISTS idx_playlist_videos_video ON playlist_videos (video_id);
+
+-- 최상위 댓글(commentThreads.list) — 답글 본문은 저장하지 않고 reply_count만
+CREATE TABLE IF NOT EXISTS comments (
+  comment_id        TEXT PRIMARY KEY,   -- 스레드 ID(= 최상위 댓글 ID)
+  video_id          TEXT NOT NULL,
+  channel_id        TEXT,               -- 영상의 채널(채널 단위 검색용)
+  author            TEXT,
+  author_channel_id TEXT,
+  text              TEXT NOT NULL DEFAULT '', -- textOriginal
+  like_count        INTEGER NOT NULL DEFAULT 0,
+  reply_count       INTEGER NOT NULL DEFAULT 0,
+  published_at      TEXT,
+  updated_at        TEXT,               -- 작성자가 고친 시각(snippet.updatedAt)
+  fetched_at        TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_comments_video_pub ON comments (video_id, published_at);
+CREATE INDEX IF NOT EXISTS idx_comments_channel_pub ON comments (channel_id, published_at);
+
+-- 영상별 댓글 수집 커서
+CREATE TABLE IF NOT EXISTS comment_state (
+  video_id      TEXT PRIMARY KEY,
+  newest_at     TEXT,                   -- 저장된 가장 최근 댓글 시각(다음 증분은 이보다 새 댓글만)
+  disabled      INTEGER NOT NULL DEFAULT 0, -- 댓글 사용 중지 영상(403 commentsDisabled)
+  comment_count INTEGER,                -- 수집 당시 영상 통계의 댓글 수(영상별 상한에 걸린 영상은 이보다 늘어야 다시 후보)
+  last_fetch_at TEXT
+);
+
+-- 영상별 댓글 분석(LLM) — 다시 분석하면 덮어씀
+CREATE TABLE IF NOT EXISTS comment_analyses (
+  video_id          TEXT PRIMARY KEY,
+  channel_id        TEXT,
+  provider          TEXT,               -- openai/gemini
+  comments_used     INTEGER NOT NULL DEFAULT 0,
+  newest_comment_at TEXT,               -- 분석에 넣은 가장 최근 댓글 시각(이후 새 댓글이 쌓이면 다시 분석 대상)
+  result            TEXT NOT NULL,      -- JSON(sentiment.js parseCommentAnalysis)
+  analyzed_at       TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_comment_analyses_channel ON comment_analyses (channel_id);
+
+-- 영상 자막/대본(영상당 1건, 다시 넣으면 덮어씀)
+CREATE TABLE IF NOT EXISTS transcripts (
+  video_id   TEXT PRIMARY KEY,
+  language   TEXT,
+  source     TEXT,                      -- import:<파일 이름> | dir:<파일 이름> | …(transcripts.js 가져오기 방식)
+  text       TEXT NOT NULL DEFAULT '',  -- 큐를 이은 본문(검색/프롬프트용)
+  cues       TEXT,                      -- JSON [{ start, end, text }]
+  words      INTEGER NOT NULL DEFAULT 0,
+  fetched_at TEXT NOT NULL
+);
+
+-- 프롬프트 템플릿(현재 버전 번호) / 버전별 본문 — 자리표시자는 prompts.js
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id          TEXT PRIMARY KEY,
+  name        TEXT NOT NULL,
+  description TEXT,
+  version     INTEGER NOT NULL DEFAULT 1,
+  created_at  TEXT NOT NULL,
+  updated_at  TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS prompt_template_versions (
+  template_id TEXT NOT NULL,
+  version     INTEGER NOT NULL,
+  system      TEXT NOT NULL,
+  body        TEXT NOT NULL,
+  variables   TEXT NOT NULL DEFAULT '{}', -- JSON { brand, productTaxonomy }
+  created_at  TEXT NOT NULL,
+  PRIMARY KEY (template_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS watchlist (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind        TEXT NOT NULL,            -- 'channel' | 'query' | 'playlist'
+  target      TEXT NOT NULL,            -- channelId, 검색어 또는 playlistId
+  label       TEXT,
+  schedule    TEXT NOT NULL,            -- cron 5필드
+  options     TEXT NOT NULL DEFAULT '{}',
+  enabled     INTEGER NOT NULL DEFAULT 1,
+  created_at  TEXT NOT NULL,
+  next_run_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_watchlist_next ON watchlist (enabled, next_run_at);
+
+CREATE TABLE IF NOT EXISTS watch_runs (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  watch_id    INTEGER NOT NULL,
+  started_at  TEXT NOT NULL,
+  finished_at TEXT,
+  status      TEXT NOT NULL,            -- 'running' | 'ok' | 'error' | 'cancelled'
+  added       INTEGER,
+  result      TEXT,
+  error       TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_watch_runs_watch ON watch_runs (watch_id, started_at);
+
+CREATE TABLE IF NOT EXISTS quota_usage (
+  day    TEXT NOT NULL,                 -- PT 기준 'YYYY-MM-DD'
+  method TEXT NOT NULL,                 -- 'search.list' 등
+  units  INTEGER NOT NULL DEFAULT 0,
+  calls  INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, method)
+);
+
+CREATE TABLE IF NOT EXISTS key_usage (
+  day    TEXT NOT NULL,
+  key_id TEXT NOT NULL,
+  units  INTEGER NOT NULL DEFAULT 0,
+  calls  INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, key_id)
+);
+
+CREATE TABLE IF NOT EXISTS api_key_state (
+  key_id          TEXT PRIMARY KEY,
+  cooldown_until  TEXT,
+  cooldown_reason TEXT,
+  last_error      TEXT,
+  last_error_at   TEXT
+);
+`;
+
+let db = null;
+
+// 기존 DB에 나중에 추가된 컬럼(CREATE TABLE IF NOT EXISTS는 기존 테이블을 바꾸지 않음)
+const ADDED_COLUMNS = {
+  videos: {
+    tags: 'TEXT', duration_sec: 'INTEGER', live_content: 'TEXT', format: 'TEXT',
+    category_id: 'TEXT', audio_language: 'TEXT', thumbnails: 'TEXT', live_details: 'TEXT', topics: 'TEXT',
+    availability: 'TEXT', availability_changed_at: 'TEXT',
+  },
+  queries: { filters: "TEXT NOT NULL DEFAULT '{}'" },
+  comment_state: { comment_count: 'INTEGER' },
+};
+
+function addMissingColumns() {
+  for (const [table, cols] of Object.entries(ADDED_COLUMNS)) {
+    const have = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name));
+    for (const [name, type] of Object.entries(cols)) {
+      if (!have.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
+// 예전 queries는 UNIQUE(query)라 같은 검색어를 다른 필터로 추가할 수 없음 → UNIQUE(query, filters)로 다시 만듦
+// (SQLite는 테이블 제약을 바꿀 수 없어 새 테이블로 복사 — id를 유지해 query_videos 연결은 그대로)
+function migrateQueriesUnique() {
+  const queryOnly = db.prepare('PRAGMA index_list(queries)').all()
+    .filter((ix) => ix.unique)
+    .some((ix) => {
+      const cols = db.prepare(`PRAGMA index_info(${JSON.stringify(ix.name)})`).all().map((c) => c.name);
+      return cols.length === 1 && cols[0] === 'query';
+    });
+  if (!queryOnly) return;
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE queries_rebuild (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        query          TEXT NOT NULL COLLATE NOCASE,
+        filters        TEXT NOT NULL DEFAULT '{}',
+        created_at     TEXT NOT NULL,
+        covered_since  TEXT,
+        last_search_at TEXT,
+        last_run_at    TEXT,
+        UNIQUE (query, filters)
+      );
+      INSERT INTO queries_rebuild (id, query, filters, created_at, covered_since, last_search_at, last_run_at)
+        SELECT id, query, COALESCE(filters, '{}'), created_at, covered_since, last_search_at, last_run_at FROM queries;
+      DROP TABLE queries;
+      ALTER TABLE queries_rebuild RENAME TO queries;
+    `);
+  })();
+  console.log('[store] migrated queries to UNIQUE(query, filters)');
+}
+
+/** 저장소 핸들(초기화 전 호출 시 오류) */
+export function getDB() {
+  if (!db) throw new Error('store not initialized');
+  return db;
+}
+
+/**
+ * openStore
+ * @param { dataDir: string, dbFile: string, legacyJsonFile?: string }
+ *
+ * - WAL 모드로 열어 동시 수집 시에도 행 단위로 안전하게 기록
+ * - legacyJsonFile(yt-store.json)이 있으면 최초 1회만 가져오고 *.migrated 로 이름 변경
+ */
+export function openStore({ dataDir, dbFile, legacyJsonFile }) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+  addMissingColumns();
+  migrateQueriesUnique();
+  classifyUnformattedVideos();
+  // channel_stats 이전에 받은 메타도 첫 포인트로(PK라 반복 실행해도 1행)
+  db.exec(`
+    INSERT OR IGNORE INTO channel_stats (channel_id, fetched_at, subscriber_count, video_count, view_count)
+    SELECT channel_id, fetched_at, subscriber_count, video_count, view_count FROM channels WHERE fetched_at IS NOT NULL
+  `);
+
+  if (legacyJsonFile && fs.existsSync(legacyJsonFile) && !getMeta('legacy_json_imported')) {
+    try {
+      const n = importLegacyJson(legacyJsonFile);
+      fs.renameSync(legacyJsonFile, `${legacyJsonFile}.migrated`);
+      console.log(`[store] imported ${n.channels} channels / ${n.videos} videos from ${path.basename(legacyJsonFile)}`);
+    } catch (e) {
+      console.error('[store] legacy json import failed:', e);
+    }
+  }
+  return db;
+}
+
+// 포맷 컬럼이 생기기 전에 저장된 영상 → 저장된 duration으로 분류(이후 upsert는 저장 시 분류)
+// + 쇼츠 상한이 60초였을 때 short로 분류된 쇼츠 길이 영상도 다시 분류
+function classifyUnformattedVideos() {
+  const rows = db
+    .prepare(`
+      SELECT video_id, duration, live_content, live_details FROM videos
+      WHERE format IS NULL OR (format = 'short' AND duration_sec <= ?)
+    `)
+    .all(SHORTS_MAX_SEC);
+  if (!rows.length) return;
+  const stmt = db.prepare('UPDATE videos SET duration_sec = ?, format = ? WHERE video_id = ?');
+  db.transaction(() => {
+    for (const r of rows) {
+      const sec = parseIsoDuration(r.duration);
+      const format = classifyFormat({ durationSec: sec, liveBroadcastContent: r.live_content, wasLive: !!r.live_details });
+      stmt.run(sec, format, r.video_id);
+    }
+  })();
+  console.log(`[store] classified formats for ${rows.length} videos`);
+}
+
+function getMeta(key) {
+  return getDB().prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+}
+function setMeta(key, value) {
+  getDB()
+    .prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+    .run(key, String(value));
+}
+
+/* =========================
+   yt-store.json → SQLite (1회 마이그레이션)
+   ========================= */
+function importLegacyJson(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const channels = json?.channels || {};
+  let nCh = 0;
+  let nVid = 0;
+
+  const run = getDB().transaction(() => {
+    for (const [channelId, ch] of Object.entries(channels)) {
+      if (ch?.meta) upsertChannelMeta({ ...ch.meta, channelId });
+      else ensureChannel(channelId);
+      nCh += 1;
+
+      const rows = Object.values(ch?.videos || {}).map((v) => ({ channelId, ...v }));
+      upsertVideos(rows, { snapshot: false });
+      nVid += rows.length;
+
+      if (ch?.lastSeenVideoId || ch?.lastPublishedAt) {
+        saveIngestState(channelId, {
+          lastSeenVideoId: ch.lastSeenVideoId || null,
+          lastPublishedAt: ch.lastPublishedAt || null,
+        });
+      }
+    }
+    setMeta('legacy_json_imported', new Date().toISOString());
+  });
+  run();
+  return { channels: nCh, videos: nVid };
+}
+
+/* =========================
+   채널
+   ========================= */
+function toChannelMeta(r) {
+  if (!r || !r.fetched_at) return null;
+  return {
+    channelId: r.channel_id,
+    title: r.title,
+    description: r.description,
+    thumbnails: r.thumbnails ? JSON.parse(r.thumbnails) : undefined,
+    stats: {
+      subscriberCount: r.subscriber_count,
+      videoCount: r.video_count,
+      viewCount: r.view_count,
+    },
+    uploadsId: r.uploads_id,
+    fetchedAt: r.fetched_at,
+  };
+}
+
+/** 채널 메타(없거나 메타 미수집이면 null) */
+export function getChannelMeta(channelId) {
+  const r = getDB().prepare('SELECT * FROM channels WHERE channel_id = ?').get(channelId);
+  return toChannelMeta(r);
+}
+
+/** 메타 없이 채널 행만 확보(수집이 메타보다 먼저 오는 경우) */
+export function ensureChannel(channelId) {
+  getDB().prepare('INSERT OR IGNORE INTO channels (channel_id) VALUES (?)').run(channelId);
+}
+
+/**
+ * upsertChannelMeta — 채널 행은 최신 메타로 덮어쓰고, channel_stats에는 스냅샷 1행 추가
+ */
+export function upsertChannelMeta(meta) {
+  const d = getDB();
+  const fetchedAt = meta.fetchedAt || new Date().toISOString();
+  const upsert = d.prepare(`
+    INSERT INTO channels (channel_id, title, description, thumbnails,
+      subscriber_count, video_count, view_count, uploads_id, fetched_at)
+    VALUES (@channelId, @title, @description, @thumbnails,
+      @subscriberCount, @videoCount, @viewCount, @uploadsId, @fetchedAt)
+    ON CONFLICT(channel_id) DO UPDATE SET
+      title = excluded.title,
+      description = excluded.description,
+      thumbnails = excluded.thumbnails,
+      subscriber_count = excluded.subscriber_count,
+      video_count = excluded.video_count,
+      view_count = excluded.view_count,
+      uploads_id = COALESCE(excluded.uploads_id, channels.uploads_id),
+      fetched_at = excluded.fetched_at
+  `);
+  const snap = d.prepare(`
+    INSERT OR REPLACE INTO channel_stats (channel_id, fetched_at, subscriber_count, video_count, view_count)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  d.transaction(() => {
+    upsert.run({
+      channelId: meta.channelId,
+      title: meta.title ?? null,
+      description: meta.description ?? null,
+      thumbnails: meta.thumbnails ? JSON.stringify(meta.thumbnails) : null,
+      subscriberCount: Number(meta.stats?.subscriberCount || 0),
+      videoCount: Number(meta.stats?.videoCount || 0),
+      viewCount: Number(meta.stats?.viewCount || 0),
+      uploadsId: meta.uploadsId || null,
+      fetchedAt,
+    });
+    if (meta.stats) {
+      snap.run(
+        meta.channelId,
+        fetchedAt,
+        meta.stats.hiddenSubscriberCount ? null : Number(meta.stats.subscriberCount || 0),
+        Number(meta.stats.videoCount || 0),
+        Number(meta.stats.viewCount || 0)
+      );
+    }
+  })();
+}
+
+/** 채널 표기 캐시 조회(없으면 null) */
+export function getChannelAlias(alias) {
+  const r = getDB().prepare('SELECT * FROM channel_aliases WHERE alias = ?').get(alias);
+  return r ? { channelId: r.channel_id, via: r.via, resolvedAt: r.resolved_at } : null;
+}
+
+export function saveChannelAlias(alias, channelId, via) {
+  getDB()
+    .prepare(`
+      INSERT OR REPLACE INTO channel_aliases (alias, channel_id, via, resolved_at)
+      VALUES (?, ?, ?, ?)
+    `)
+    .run(alias, channelId, via, new Date().toISOString());
+}
+
+/** 채널 메타 스냅샷(시간 오름차순) [{ t, subscribers, videos, views }] */
+export function listChannelMetaStats(channelId, { fromISO, toISO } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT fetched_at, subscriber_count, video_count, view_count FROM channel_stats
+      WHERE channel_id = @channelId
+        AND (@fromISO IS NULL OR fetched_at >= @fromISO)
+        AND (@toISO IS NULL OR fetched_at <= @toISO)
+      ORDER BY fetched_at ASC
+    `)
+    .all({ channelId, fromISO: fromISO || null, toISO: toISO || null })
+    .map((r) => ({ t: r.fetched_at, subscribers: r.subscriber_count, videos: r.video_count, views: r.view_count }));
+}
+
+/* =========================
+   영상
+   ========================= */
+// 공개 상태: status.privacyStatus + removed(videos.list에서 사라짐 — 삭제/비공개 전환은 API로 구분 불가)
+export const VIDEO_AVAILABILITY = ['public', 'unlisted', 'private', 'removed'];
+
+function toVideoRow(r) {
+  return {
+    videoId: r.video_id,
+    title: r.title,
+    description: r.description,
+    publishedAt: r.published_at,
+    channelId: r.channel_id,
+    channelTitle: r.channel_title,
+    duration: r.duration,
+    views: r.views,
+    likes: r.likes,
+    comments: r.comments,
+    tags: r.tags ? JSON.parse(r.tags) : [],
+    categoryId: r.category_id,
+    audioLanguage: r.audio_language,
+    thumbnails: r.thumbnails ? JSON.parse(r.thumbnails) : null,
+    liveDetails: r.live_details ? JSON.parse(r.live_details) : null,
+    topics: r.topics ? JSON.parse(r.topics) : [],
+    durationSec: r.duration_sec,
+    liveBroadcastContent: r.live_content,
+    format: r.format,
+    availability: r.availability || 'public',
+    availabilityChangedAt: r.availability_changed_at,
+  };
+}
+
+/**
+ * fetchVideoDetails 결과 행 배열을 upsert(트랜잭션 1회)
+ * - duration → duration_sec, 포맷(shorts/short/mid/long/live) 분류도 여기서
+ * - 확장 필드(tags/category/language/thumbnails/live/topics)는 값이 없으면 기존 값 유지
+ * - availability는 privacyStatus(없으면 public) — 바뀌었을 때만 availability_changed_at 갱신
+ *   (삭제로 표시됐던 영상이 다시 조회되면 복구)
+ * - 같은 트랜잭션에서 video_stats 스냅샷도 1행씩 추가(마이그레이션 시에는 생략)
+ */
+export function upsertVideos(rows, { snapshot = true } = {}) {
+  if (!rows?.length) return 0;
+  const d = getDB();
+  const now = new Date().toISOString();
+  const ensure = d.prepare('INSERT OR IGNORE INTO channels (channel_id) VALUES (?)');
+  const snap = d.prepare(`
+    INSERT OR REPLACE INTO video_stats (video_id, fetched_at, views, likes, comments)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const stmt = d.prepare(`
+    INSERT INTO videos (video_id, channel_id, title, description, published_at,
+      channel_title, duration, views, likes, comments, tags, category_id, audio_language, thumbnails,
+      live_details, topics, duration_sec, live_content, format, availability, availability_changed_at, updated_at)
+    VALUES (@videoId, @channelId, @title, @description, @publishedAt,
+      @channelTitle, @duration, @views, @likes, @comments, @tags, @categoryId, @audioLanguage, @thumbnails,
+      @liveDetails, @topics, @durationSec, @liveContent, @format, @availability, NULL, @updatedAt)
+    ON CONFLICT(video_id) DO UPDATE SET
+      channel_id = excluded.channel_id,
+      title = excluded.title,
+      description = excluded.description,
+      published_at = excluded.published_at,
+      channel_title = excluded.channel_title,
+      duration = excluded.duration,
+      views = excluded.views,
+      likes = excluded.likes,
+      comments = excluded.comments,
+      tags = COALESCE(excluded.tags, videos.tags),
+      category_id = COALESCE(excluded.category_id, videos.category_id),
+      audio_language = COALESCE(excluded.audio_language, videos.audio_language),
+      thumbnails = COALESCE(excluded.thumbnails, videos.thumbnails),
+      live_details = COALESCE(excluded.live_details, videos.live_details),
+      topics = COALESCE(excluded.topics, videos.topics),
+      duration_sec = excluded.duration_sec,
+      live_content = COALESCE(excluded.live_content, videos.live_content),
+      format = excluded.format,
+      availability_changed_at = CASE
+        WHEN COALESCE(videos.availability, 'public') = excluded.availability THEN videos.availability_changed_at
+        ELSE excluded.updated_at
+      END,
+      availability = excluded.availability,
+      updated_at = excluded.updated_at
+  `);
+  const run = d.transaction((list) => {
+    for (const v of list) {
+      if (!v?.videoId || !v.channelId) continue;
+      ensure.run(v.channelId);
+      const durationSec = parseIsoDuration(v.duration);
+      stmt.run({
+        videoId: v.videoId,
+        channelId: v.channelId,
+        title: v.title || '',
+        description: v.description || '',
+        publishedAt: v.publishedAt || null,
+        channelTitle: v.channelTitle || null,
+        duration: v.duration || null,
+        views: Number(v.views || 0),
+        likes: Number(v.likes || 0),
+        comments: Number(v.comments || 0),
+        tags: Array.isArray(v.tags) ? JSON.stringify(v.tags) : null,
+        categoryId: v.categoryId || null,
+        audioLanguage: v.audioLanguage || null,
+        thumbnails: v.thumbnails ? JSON.stringify(v.thumbnails) : null,
+        liveDetails: v.liveDetails ? JSON.stringify(v.liveDetails) : null,
+        topics: Array.isArray(v.topics) ? JSON.stringify(v.topics) : null,
+        durationSec,
+        liveContent: v.liveBroadcastContent || null,
+        format: classifyFormat({
+          durationSec,
+          liveBroadcastContent: v.liveBroadcastContent,
+          wasLive: !!v.liveDetails,
+        }),
+        availability: VIDEO_AVAILABILITY.includes(v.privacyStatus) ? v.privacyStatus : 'public',
+        updatedAt: now,
+      });
+      if (snapshot) {
+        snap.run(v.videoId, now, Number(v.views || 0), Number(v.likes || 0), Number(v.comments || 0));
+      }
+    }
+  });
+  run(rows);
+  return rows.length;
+}
+
+/**
+ * markVideosRemoved — videos.list에서 사라진 영상을 removed로 표시
+ * - 조회수 등 마지막으로 알던 값은 그대로 두고 updated_at만 갱신(갱신 주기대로 다시 확인)
+ * 반환: 새로 removed가 된 영상 수
+ */
+export function markVideosRemoved(videoIds) {
+  if (!videoIds?.length) return 0;
+  const d = getDB();
+  const now = new Date().toISOString();
+  const mark = d.prepare(`
+    UPDATE videos SET availability = 'removed', availability_changed_at = ?
+    WHERE video_id = ? AND COALESCE(availability, 'public') != 'removed'
+  `);
+  const touch = d.prepare('UPDATE videos SET updated_at = ? WHERE video_id = ?');
+  let n = 0;
+  d.transaction(() => {
+    for (const id of videoIds) {
+      n += mark.run(now, id).changes;
+      touch.run(now, id);
+    }
+  })();
+  return n;
+}
+
+/** 통계 갱신 후보: 채널 소속 영상의 게시/마지막 갱신 시각 */
+export function listRefreshCandidates(channelId) {
+  return getDB()
+    .prepare(`
+      SELECT video_id, published_at, updated_at FROM videos
+      WHERE channel_id = ?
+      ORDER BY published_at DESC
+    `)
+    .all(channelId)
+    .map((r) => ({ videoId: r.video_id, publishedAt: r.published_at, updatedAt: r.updated_at }));
+}
+
+/** 저장된 영상 행(videoId → 행 Map, 없는 id는 빠짐) */
+export function getVideosByIds(ids) {
+  const out = new Map();
+  if (!ids?.length) return out;
+  const d = getDB();
+  // SQLite 변수 상한 보호: 500개씩
+  for (let i = 0; i < ids.length; i += 500) {
+    const batch = ids.slice(i, i + 500);
+    const rows = d
+      .prepare(`SELECT * FROM videos WHERE video_id IN (${batch.map(() => '?').join(',')})`)
+      .all(...batch);
+    for (const r of rows) out.set(r.video_id, toVideoRow(r));
+  }
+  return out;
+}
+
+/* =========================
+   통계 스냅샷(시계열)
+   ========================= */
+
+/** 영상 1개의 스냅샷(시간 오름차순) */
+export function listVideoStats(videoId, { fromISO, toISO } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT fetched_at, views, likes, comments FROM video_stats
+      WHERE video_id = @videoId
+        AND (@fromISO IS NULL OR fetched_at >= @fromISO)
+        AND (@toISO IS NULL OR fetched_at <= @toISO)
+      ORDER BY fetched_at ASC
+    `)
+    .all({ videoId, fromISO: fromISO || null, toISO: toISO || null })
+    .map((r) => ({ t: r.fetched_at, views: r.views, likes: r.likes, comments: r.comments }));
+}
+
+/**
+ * 채널 단위 스냅샷(시간 오름차순) — 채널 소속 영상 전체
+ * 반환: [{ videoId, t, views, likes, comments }]
+ */
+export function listChannelStats(channelId, { toISO } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT s.video_id, s.fetched_at, s.views, s.likes, s.comments
+      FROM video_stats s
+      JOIN videos v ON v.video_id = s.video_id
+      WHERE v.channel_id = @channelId
+        AND (@toISO IS NULL OR s.fetched_at <= @toISO)
+      ORDER BY s.fetched_at ASC
+    `)
+    .all({ channelId, toISO: toISO || null })
+    .map((r) => ({ videoId: r.video_id, t: r.fetched_at, views: r.views, likes: r.likes, comments: r.comments }));
+}
+
+/* =========================
+   증분 수집 상태
+   ========================= */
+export function getIngestState(channelId) {
+  const r = getDB().prepare('SELECT * FROM ingest_state WHERE channel_id = ?').get(channelId);
+  return {
+    lastSeenVideoId: r?.last_seen_video_id || null,
+    lastPublishedAt: r?.last_published_at || null,
+    lastIngestAt: r?.last_ingest_at || null,
+  };
+}
+
+export function saveIngestState(channelId, { lastSeenVideoId, lastPublishedAt }) {
+  getDB()
+    .prepare(`
+      INSERT INTO ingest_state (channel_id, last_seen_video_id, last_published_at, last_ingest_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(channel_id) DO UPDATE SET
+        last_seen_video_id = COALESCE(excluded.last_seen_video_id, ingest_state.last_seen_video_id),
+        last_published_at = COALESCE(excluded.last_published_at, ingest_state.last_published_at),
+        last_ingest_at = excluded.last_ingest_at
+    `)
+    .run(channelId, lastSeenVideoId || null, lastPublishedAt || null, new Date().toISOString());
+}
+
+/* =========================
+   키워드 검색(추적 쿼리)
+   ========================= */
+function toQuery(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    query: r.query,
+    filters: JSON.parse(r.filters || '{}'),
+    createdAt: r.created_at,
+    coveredSince: r.covered_since,
+    lastSearchAt: r.last_search_at,
+    lastRunAt: r.last_run_at,
+    videoCount: r.video_count ?? undefined,
+  };
+}
+
+const QUERY_SELECT = `
+  SELECT q.*, (SELECT COUNT(*) FROM query_videos qv WHERE qv.query_id = q.id) AS video_count
+  FROM queries q
+`;
+
+export function getQuery(id) {
+  return toQuery(getDB().prepare(`${QUERY_SELECT} WHERE q.id = ?`).get(id));
+}
+
+/**
+ * 같은 검색어(대소문자 무시) + 같은 필터의 추적 쿼리 | null(만들지 않음)
+ * - filters는 호출자가 정규화(키 순서 고정)해서 넘김 → JSON 문자열 비교
+ */
+export function findQuery(query, filters = {}) {
+  return toQuery(
+    getDB().prepare(`${QUERY_SELECT} WHERE q.query = ? AND q.filters = ?`).get(query, JSON.stringify(filters))
+  );
+}
+
+/** findQuery와 같은 기준으로 있으면 그것을, 없으면 새로 만들어 반환 */
+export function getOrCreateQuery(query, filters = {}) {
+  getDB()
+    .prepare('INSERT OR IGNORE INTO queries (query, filters, created_at) VALUES (?, ?, ?)')
+    .run(query, JSON.stringify(filters), new Date().toISOString());
+  return findQuery(query, filters);
+}
+
+/** 최근 실행순 */
+export function listQueries() {
+  return getDB()
+    .prepare(`${QUERY_SELECT} ORDER BY COALESCE(q.last_run_at, q.created_at) DESC`)
+    .all()
+    .map(toQuery);
+}
+
+/** 검색 커서 갱신(값이 없는 필드는 유지) */
+export function updateQueryCursor(id, { coveredSince, lastSearchAt }) {
+  getDB()
+    .prepare(`
+      UPDATE queries SET
+        covered_since = COALESCE(?, covered_since),
+        last_search_at = COALESCE(?, last_search_at),
+        last_run_at = ?
+      WHERE id = ?
+    `)
+    .run(coveredSince || null, lastSearchAt || null, new Date().toISOString(), id);
+}
+
+export function linkQueryVideos(queryId, videoIds) {
+  const d = getDB();
+  const now = new Date().toISOString();
+  const stmt = d.prepare('INSERT OR IGNORE INTO query_videos (query_id, video_id, matched_at) VALUES (?, ?, ?)');
+  let n = 0;
+  d.transaction(() => {
+    for (const id of videoIds) n += stmt.run(queryId, id, now).changes;
+  })();
+  return n;
+}
+
+/** 쿼리에 매칭된 영상(publishedAt 오름차순) */
+export function listQueryVideos(queryId, { sinceISO, untilISO } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT v.* FROM query_videos qv
+      JOIN videos v ON v.video_id = qv.video_id
+      WHERE qv.query_id = @queryId
+        AND (@sinceISO IS NULL OR v.published_at >= @sinceISO)
+        AND (@untilISO IS NULL OR v.published_at <= @untilISO)
+      ORDER BY v.published_at ASC
+    `)
+    .all({ queryId, sinceISO: sinceISO || null, untilISO: untilISO || null })
+    .map(toVideoRow);
+}
+
+export function listQueryRefreshCandidates(queryId) {
+  return getDB()
+    .prepare(`
+      SELECT v.video_id, v.published_at, v.updated_at FROM query_videos qv
+      JOIN videos v ON v.video_id = qv.video_id
+      WHERE qv.query_id = ?
+      ORDER BY v.published_at DESC
+    `)
+    .all(queryId)
+    .map((r) => ({ videoId: r.video_id, publishedAt: r.published_at, updatedAt: r.updated_at }));
+}
+
+/** 쿼리와 매칭 기록 삭제(영상 행은 다른 쿼리/채널과 공유하므로 유지) */
+export function deleteQuery(id) {
+  const d = getDB();
+  return d.transaction(() => {
+    d.prepare('DELETE FROM query_videos WHERE query_id = ?').run(id);
+    return d.prepare('DELETE FROM queries WHERE id = ?').run(id).changes > 0;
+  })();
+}
+
+/* =========================
+   재생목록(추적 소스)
+   ========================= */
+const PLAYLIST_SELECT = `
+  SELECT p.*,
+    (SELECT COUNT(*) FROM playlist_videos pv WHERE pv.playlist_id = p.playlist_id AND pv.removed_at IS NULL) AS video_count
+  FROM playlists p
+`;
+
+function toPlaylist(r) {
+  if (!r) return null;
+  return {
+    playlistId: r.playlist_id,
+    channelId: r.channel_id,
+    channelTitle: r.channel_title,
+    title: r.title,
+    description: r.description,
+    thumbnails: r.thumbnails ? JSON.parse(r.thumbnails) : null,
+    itemCount: r.item_count,
+    videoCount: r.video_count ?? undefined,
+    createdAt: r.created_at,
+    fetchedAt: r.fetched_at,
+    lastIngestAt: r.last_ingest_at,
+  };
+}
+
+export function getPlaylist(playlistId) {
+  return toPlaylist(getDB().prepare(`${PLAYLIST_SELECT} WHERE p.playlist_id = ?`).get(playlistId));
+}
+
+/** 추적 중인 재생목록(channelId 주면 그 채널 것만) */
+export function listPlaylists({ channelId } = {}) {
+  return getDB()
+    .prepare(`${PLAYLIST_SELECT} WHERE (@channelId IS NULL OR p.channel_id = @channelId) ORDER BY p.created_at DESC`)
+    .all({ channelId: channelId || null })
+    .map(toPlaylist);
+}
+
+/** 재생목록 메타 저장(처음이면 추적 시작) */
+export function upsertPlaylist(meta) {
+  const now = new Date().toISOString();
+  getDB()
+    .prepare(`
+      INSERT INTO playlists (playlist_id, channel_id, channel_title, title, description, thumbnails,
+        item_count, created_at, fetched_at)
+      VALUES (@playlistId, @channelId, @channelTitle, @title, @description, @thumbnails,
+        @itemCount, @now, @now)
+      ON CONFLICT(playlist_id) DO UPDATE SET
+        channel_id = excluded.channel_id,
+        channel_title = excluded.channel_title,
+        title = excluded.title,
+        description = excluded.description,
+        thumbnails = excluded.thumbnails,
+        item_count = excluded.item_count,
+        fetched_at = excluded.fetched_at
+    `)
+    .run({
+      playlistId: meta.playlistId,
+      channelId: meta.channelId || null,
+      channelTitle: meta.channelTitle || null,
+      title: meta.title || null,
+      description: meta.description || null,
+      thumbnails: meta.thumbnails ? JSON.stringify(meta.thumbnails) : null,
+      itemCount: meta.itemCount ?? null,
+      now,
+    });
+  return getPlaylist(meta.playlistId);
+}
+
+/**
+ * syncPlaylistMembers — 재생목록 전체 목록으로 구성원 갱신(트랜잭션 1회)
+ * @param items [{ videoId, position, addedAt }] — 이번 수집에서 본 전체 목록
+ * - 새로 보인 영상은 first_seen_at, 빠진 영상은 removed_at 기록, 다시 들어오면 removed_at 해제
+ * - complete=false(수집 상한에 걸려 목록이 잘림)면 빠짐을 판단하지 않음
+ * 반환: { added: videoId[], removed: videoId[] }
+ */
+export function syncPlaylistMembers(playlistId, items, { complete = true } = {}) {
+  const d = getDB();
+  const now = new Date().toISOString();
+  const current = new Map(
+    d.prepare('SELECT video_id, removed_at FROM playlist_videos WHERE playlist_id = ?').all(playlistId)
+      .map((r) => [r.video_id, r.removed_at])
+  );
+  const seen = new Set(items.map((it) => it.videoId));
+  const upsert = d.prepare(`
+    INSERT INTO playlist_videos (playlist_id, video_id, position, added_at, first_seen_at)
+    VALUES (@playlistId, @videoId, @position, @addedAt, @now)
+    ON CONFLICT(playlist_id, video_id) DO UPDATE SET
+      position = excluded.position,
+      added_at = COALESCE(excluded.added_at, playlist_videos.added_at),
+      removed_at = NULL
+  `);
+  const remove = d.prepare('UPDATE playlist_videos SET removed_at = ? WHERE playlist_id = ? AND video_id = ?');
+  const added = [];
+  const removed = [];
+  d.transaction(() => {
+    for (const it of items) {
+      // 처음 보거나 빠졌다가 다시 들어온 영상 = 추가
+      if (!current.has(it.videoId) || current.get(it.videoId)) added.push(it.videoId);
+      upsert.run({ playlistId, videoId: it.videoId, position: it.position ?? null, addedAt: it.addedAt || null, now });
+    }
+    for (const [videoId, removedAt] of current) {
+      if (!complete || removedAt || seen.has(videoId)) continue;
+      remove.run(now, playlistId, videoId);
+      removed.push(videoId);
+    }
+    d.prepare('UPDATE playlists SET last_ingest_at = ? WHERE playlist_id = ?').run(now, playlistId);
+  })();
+  return { added, removed };
+}
+
+/**
+ * 구성 변화(기간 안에 들어오거나 빠진 영상) — 최근 순 [{ videoId, title, change: added|removed, at }]
+ * - 첫 수집 때 이미 있던 영상은 변화로 치지 않음
+ */
+export function listPlaylistChanges(playlistId, { sinceISO } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT pv.video_id, v.title, 'added' AS change, pv.first_seen_at AS at
+      FROM playlist_videos pv LEFT JOIN videos v ON v.video_id = pv.video_id
+      WHERE pv.playlist_id = @playlistId AND (@sinceISO IS NULL OR pv.first_seen_at >= @sinceISO)
+        AND pv.first_seen_at > (SELECT MIN(first_seen_at) FROM playlist_videos WHERE playlist_id = @playlistId)
+      UNION ALL
+      SELECT pv.video_id, v.title, 'removed' AS change, pv.removed_at AS at
+      FROM playlist_videos pv LEFT JOIN videos v ON v.video_id = pv.video_id
+      WHERE pv.playlist_id = @playlistId AND pv.removed_at IS NOT NULL
+        AND (@sinceISO IS NULL OR pv.removed_at >= @sinceISO)
+      ORDER BY at DESC
+    `)
+    .all({ playlistId, sinceISO: sinceISO || null })
+    .map((r) => ({ videoId: r.video_id, title: r.title, change: r.change, at: r.at }));
+}
+
+/** 통계 갱신 후보: 재생목록의 현재 구성원 */
+export function listPlaylistRefreshCandidates(playlistId) {
+  return getDB()
+    .prepare(`
+      SELECT v.video_id, v.published_at, v.updated_at FROM playlist_videos pv
+      JOIN videos v ON v.video_id = pv.video_id
+      WHERE pv.playlist_id = ? AND pv.removed_at IS NULL
+      ORDER BY v.published_at DESC
+    `)
+    .all(playlistId)
+    .map((r) => ({ videoId: r.video_id, publishedAt: r.published_at, updatedAt: r.updated_at }));
+}
+
+/** 재생목록 추적 해제(영상 행은 채널/쿼리와 공유하므로 유지) */
+export function deletePlaylist(playlistId) {
+  const d = getDB();
+  return d.transaction(() => {
+    d.prepare('DELETE FROM playlist_videos WHERE playlist_id = ?').run(playlistId);
+    return d.prepare('DELETE FROM playlists WHERE playlist_id = ?').run(playlistId).changes > 0;
+  })();
+}
+
+/* =========================
+   댓글
+   ========================= */
+
+/**
+ * upsertComments — 댓글 저장(이미 있으면 좋아요/답글 수·본문 갱신)
+ * @param rows [{ commentId, videoId, channelId, author, authorChannelId, text, likeCount, replyCount, publishedAt, updatedAt }]
+ * 반환: 새로 저장된 댓글 수
+ */
+export function upsertComments(rows) {
+  if (!rows?.length) return 0;
+  const d = getDB();
+  const now = new Date().toISOString();
+  const exists = d.prepare('SELECT 1 FROM comments WHERE comment_id = ?');
+  const upsert = d.prepare(`
+    INSERT INTO comments (comment_id, video_id, channel_id, author, author_channel_id, text,
+      like_count, reply_count, published_at, updated_at, fetched_at)
+    VALUES (@commentId, @videoId, @channelId, @author, @authorChannelId, @text,
+      @likeCount, @replyCount, @publishedAt, @updatedAt, @now)
+    ON CONFLICT(comment_id) DO UPDATE SET
+      text = excluded.text,
+      like_count = excluded.like_count,
+      reply_count = excluded.reply_count,
+      updated_at = excluded.updated_at,
+      fetched_at = excluded.fetched_at
+  `);
+  let added = 0;
+  d.transaction(() => {
+    for (const c of rows) {
+      if (!exists.get(c.commentId)) added += 1;
+      upsert.run({
+        commentId: c.commentId,
+        videoId: c.videoId,
+        channelId: c.channelId || null,
+        author: c.author || null,
+        authorChannelId: c.authorChannelId || null,
+        text: c.text || '',
+        likeCount: Number(c.likeCount || 0),
+        replyCount: Number(c.replyCount || 0),
+        publishedAt: c.publishedAt || null,
+        updatedAt: c.updatedAt || null,
+        now,
+      });
+    }
+  })();
+  return added;
+}
+
+export function getCommentState(videoId) {
+  const r = getDB().prepare('SELECT * FROM comment_state WHERE video_id = ?').get(videoId);
+  return {
+    newestAt: r?.newest_at || null,
+    disabled: !!r?.disabled,
+    lastFetchAt: r?.last_fetch_at || null,
+  };
+}
+
+/** 수집 커서 저장 — 그때의 영상 댓글 수(videos.comments)도 함께 기록 */
+export function saveCommentState(videoId, { newestAt, disabled = false }) {
+  getDB()
+    .prepare(`
+      INSERT INTO comment_state (video_id, newest_at, disabled, comment_count, last_fetch_at)
+      VALUES (@videoId, @newestAt, @disabled, (SELECT comments FROM videos WHERE video_id = @videoId), @now)
+      ON CONFLICT(video_id) DO UPDATE SET
+        newest_at = COALESCE(excluded.newest_at, comment_state.newest_at),
+        disabled = excluded.disabled,
+        comment_count = excluded.comment_count,
+        last_fetch_at = excluded.last_fetch_at
+    `)
+    .run({ videoId, newestAt: newestAt || null, disabled: disabled ? 1 : 0, now: new Date().toISOString() });
+}
+
+/**
+ * 댓글 수집 후보: 채널의 최근 영상 중 새 댓글이 있을 만한 것(최근 게시순)
+ * - 댓글 사용 중지/삭제·비공개 영상 제외
+ * - 저장된 댓글(최상위 + 답글 수)이 영상 통계의 댓글 수에 이미 닿은 영상 제외
+ * - 지난 수집 이후 영상 통계의 댓글 수가 늘지 않은 영상 제외
+ *   (영상별 상한에 걸려 저장 수가 통계에 못 닿는 영상을 매번 다시 받지 않게)
+ * 반환: [{ videoId, channelId, comments, stored }]
+ */
+export function listCommentCandidates(channelId, { sinceISO, limit = 50 } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT v.video_id, v.channel_id, v.comments,
+        (SELECT COALESCE(SUM(1 + c.reply_count), 0) FROM comments c WHERE c.video_id = v.video_id) AS stored
+      FROM videos v
+      LEFT JOIN comment_state cs ON cs.video_id = v.video_id
+      WHERE v.channel_id = @channelId
+        AND (@sinceISO IS NULL OR v.published_at >= @sinceISO)
+        AND v.comments > 0
+        AND COALESCE(cs.disabled, 0) = 0
+        AND COALESCE(v.availability, 'public') IN ('public', 'unlisted')
+        AND v.comments > (SELECT COALESCE(SUM(1 + c.reply_count), 0) FROM comments c WHERE c.video_id = v.video_id)
+        AND v.comments > COALESCE(cs.comment_count, 0)
+      ORDER BY v.published_at DESC
+      LIMIT @limit
+    `)
+    .all({ channelId, sinceISO: sinceISO || null, limit })
+    .map((r) => ({ videoId: r.video_id, channelId: r.channel_id, comments: r.comments, stored: r.stored }));
+}
+
+export const COMMENT_ORDERS = ['recent', 'likes', 'replies'];
+const COMMENT_ORDER_SQL = {
+  recent: 'c.published_at DESC',
+  likes: 'c.like_count DESC, c.published_at DESC',
+  replies: 'c.reply_count DESC, c.published_at DESC',
+};
+
+/**
+ * listComments — 영상/채널 댓글 페이지 + 검색
+ * @param { videoId? | channelId?, q?: 본문·작성자 부분 일치(대소문자 무시), order?, limit?, offset? }
+ * 반환: { items: [{ commentId, videoId, videoTitle, author, text, likeCount, replyCount, publishedAt, ... }], total }
+ */
+export function listComments({ videoId, channelId, q, order = 'recent', limit = 50, offset = 0 } = {}) {
+  const d = getDB();
+  // LIKE 와일드카드 문자는 그대로 찾도록 이스케이프
+  const like = q ? `%${String(q).toLowerCase().replace(/[\\%_]/g, (m) => `\\${m}`)}%` : null;
+  const where = `
+    WHERE (@videoId IS NULL OR c.video_id = @videoId)
+      AND (@channelId IS NULL OR c.channel_id = @channelId)
+      AND (@like IS NULL OR lower(c.text) LIKE @like ESCAPE '\\' OR lower(c.author) LIKE @like ESCAPE '\\')
+  `;
+  const params = { videoId: videoId || null, channelId: channelId || null, like };
+  const total = d.prepare(`SELECT COUNT(*) AS n FROM comments c ${where}`).get(params).n;
+  const items = d
+    .prepare(`
+      SELECT c.*, v.title AS video_title FROM comments c
+      LEFT JOIN videos v ON v.video_id = c.video_id
+      ${where}
+      ORDER BY ${COMMENT_ORDER_SQL[order] || COMMENT_ORDER_SQL.recent}
+      LIMIT @limit OFFSET @offset
+    `)
+    .all({ ...params, limit, offset })
+    .map((r) => ({
+      commentId: r.comment_id,
+      videoId: r.video_id,
+      videoTitle: r.video_title,
+      channelId: r.channel_id,
+      author: r.author,
+      authorChannelId: r.author_channel_id,
+      text: r.text,
+      likeCount: r.like_count,
+      replyCount: r.reply_count,
+      publishedAt: r.published_at,
+      updatedAt: r.updated_at,
+    }));
+  return { items, total };
+}
+
+/* ---------- 댓글 분석(LLM) ---------- */
+
+function toCommentAnalysis(r) {
+  if (!r) return null;
+  return {
+    videoId: r.video_id,
+    channelId: r.channel_id,
+    title: r.title ?? undefined,
+    provider: r.provider,
+    commentsUsed: r.comments_used,
+    newestCommentAt: r.newest_comment_at,
+    result: JSON.parse(r.result),
+    analyzedAt: r.analyzed_at,
+  };
+}
+
+export function saveCommentAnalysis({ videoId, channelId, provider, commentsUsed, newestCommentAt, result }) {
+  getDB()
+    .prepare(`
+      INSERT INTO comment_analyses (video_id, channel_id, provider, comments_used, newest_comment_at, result, analyzed_at)
+      VALUES (@videoId, @channelId, @provider, @commentsUsed, @newestCommentAt, @result, @now)
+      ON CONFLICT(video_id) DO UPDATE SET
+        channel_id = excluded.channel_id,
+        provider = excluded.provider,
+        comments_used = excluded.comments_used,
+        newest_comment_at = excluded.newest_comment_at,
+        result = excluded.result,
+        analyzed_at = excluded.analyzed_at
+    `)
+    .run({
+      videoId,
+      channelId: channelId || null,
+      provider: provider || null,
+      commentsUsed: commentsUsed || 0,
+      newestCommentAt: newestCommentAt || null,
+      result: JSON.stringify(result),
+      now: new Date().toISOString(),
+    });
+}
+
+/** 영상별 분석 결과(videoIds 또는 channelId, 최근 분석순 — 영상 제목 포함) */
+export function listCommentAnalyses({ videoIds, channelId } = {}) {
+  const d = getDB();
+  const select = `
+    SELECT a.*, v.title FROM comment_analyses a LEFT JOIN videos v ON v.video_id = a.video_id
+  `;
+  if (videoIds) {
+    const out = [];
+    // SQLite 변수 상한 보호: 500개씩
+    for (let i = 0; i < videoIds.length; i += 500) {
+      const batch = videoIds.slice(i, i + 500);
+      out.push(...d.prepare(`${select} WHERE a.video_id IN (${batch.map(() => '?').join(',')})`).all(...batch));
+    }
+    return out.sort((a, b) => b.analyzed_at.localeCompare(a.analyzed_at)).map(toCommentAnalysis);
+  }
+  return d.prepare(`${select} WHERE a.channel_id = ? ORDER BY a.analyzed_at DESC`).all(channelId).map(toCommentAnalysis);
+}
+
+/**
+ * 댓글 분석 후보: 저장된 댓글이 있고, 분석한 적 없거나 그 뒤로 새 댓글이 들어온 영상(최근 게시순)
+ * - force: 새 댓글이 없어도 포함
+ * 반환: [{ videoId, channelId, title, channelTitle }]
+ */
+export function listCommentAnalysisCandidates({ channelId, videoId, limit = 20, force = false } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT v.video_id, v.channel_id, v.title, v.channel_title
+      FROM videos v
+      JOIN (SELECT video_id, MAX(published_at) AS newest FROM comments GROUP BY video_id) c ON c.video_id = v.video_id
+      LEFT JOIN comment_analyses a ON a.video_id = v.video_id
+      WHERE (@channelId IS NULL OR v.channel_id = @channelId)
+        AND (@videoId IS NULL OR v.video_id = @videoId)
+        AND (@force = 1 OR a.video_id IS NULL OR c.newest > COALESCE(a.newest_comment_at, ''))
+      ORDER BY v.published_at DESC
+      LIMIT @limit
+    `)
+    .all({ channelId: channelId || null, videoId: videoId || null, limit, force: force ? 1 : 0 })
+    .map((r) => ({ videoId: r.video_id, channelId: r.channel_id, title: r.title, channelTitle: r.channel_title }));
+}
+
+/* =========================
+   자막/대본
+   ========================= */
+
+/** 자막 저장(영상당 1건) — text는 transcripts.js cuesToText() 결과 */
+export function saveTranscript({ videoId, language, source, text, cues }) {
+  getDB()
+    .prepare(`
+      INSERT INTO transcripts (video_id, language, source, text, cues, words, fetched_at)
+      VALUES (@videoId, @language, @source, @text, @cues, @words, @now)
+      ON CONFLICT(video_id) DO UPDATE SET
+        language = excluded.language,
+        source = excluded.source,
+        text = excluded.text,
+        cues = excluded.cues,
+        words = excluded.words,
+        fetched_at = excluded.fetched_at
+    `)
+    .run({
+      videoId,
+      language: language || null,
+      source: source || null,
+      text: text || '',
+      cues: cues ? JSON.stringify(cues) : null,
+      words: (text || '').split(/\s+/).filter(Boolean).length,
+      now: new Date().toISOString(),
+    });
+}
+
+/** 영상 1개의 자막(큐 포함) | null */
+export function getTranscript(videoId) {
+  const r = getDB()
+    .prepare('SELECT t.*, v.title FROM transcripts t LEFT JOIN videos v ON v.video_id = t.video_id WHERE t.video_id = ?')
+    .get(videoId);
+  if (!r) return null;
+  return {
+    videoId: r.video_id,
+    title: r.title,
+    language: r.language,
+    source: r.source,
+    text: r.text,
+    cues: r.cues ? JSON.parse(r.cues) : [],
+    words: r.words,
+    fetchedAt: r.fetched_at,
+  };
+}
+
+/** 자막 본문(videoId → text Map, 없는 영상은 빠짐) — 프롬프트용 */
+export function getTranscriptTexts(videoIds) {
+  const out = new Map();
+  if (!videoIds?.length) return out;
+  const d = getDB();
+  // SQLite 변수 상한 보호: 500개씩
+  for (let i = 0; i < videoIds.length; i += 500) {
+    const batch = videoIds.slice(i, i + 500);
+    const rows = d
+      .prepare(`SELECT video_id, text FROM transcripts WHERE video_id IN (${batch.map(() => '?').join(',')})`)
+      .all(...batch);
+    for (const r of rows) out.set(r.video_id, r.text);
+  }
+  return out;
+}
+
+/**
+ * searchTranscripts — 자막 본문 부분 일치(대소문자 무시), 최근 게시순
+ * @param { q?, channelId?, limit?, offset? } — q가 없으면 자막이 있는 영상 목록
+ * 반환: { items: [{ videoId, title, channelId, publishedAt, language, source, words, text }], total }
+ */
+export function searchTranscripts({ q, channelId, limit = 20, offset = 0 } = {}) {
+  const d = getDB();
+  // LIKE 와일드카드 문자는 그대로 찾도록 이스케이프
+  const like = q ? `%${String(q).toLowerCase().replace(/[\\%_]/g, (m) => `\\${m}`)}%` : null;
+  const where = `
+    WHERE (@channelId IS NULL OR v.channel_id = @channelId)
+      AND (@like IS NULL OR lower(t.text) LIKE @like ESCAPE '\\')
+  `;
+  const params = { channelId: channelId || null, like };
+  const from = 'FROM transcripts t LEFT JOIN videos v ON v.video_id = t.video_id';
+  const total = d.prepare(`SELECT COUNT(*) AS n ${from} ${where}`).get(params).n;
+  const items = d
+    .prepare(`
+      SELECT t.video_id, t.language, t.source, t.words, t.text, t.fetched_at,
+        v.title, v.channel_id, v.published_at
+      ${from} ${where}
+      ORDER BY v.published_at DESC
+      LIMIT @limit OFFSET @offset
+    `)
+    .all({ ...params, limit, offset })
+    .map((r) => ({
+      videoId: r.video_id,
+      title: r.title,
+      channelId: r.channel_id,
+      publishedAt: r.published_at,
+      language: r.language,
+      source: r.source,
+      words: r.words,
+      text: r.text,
+      fetchedAt: r.fetched_at,
+    }));
+  return { items, total };
+}
+
+/** 자막이 없는 채널 영상(최근 게시순) — 가져오기 대상 */
+export function listTranscriptCandidates(channelId, { limit = 50 } = {}) {
+  return getDB()
+    .prepare(`
+      SELECT v.video_id FROM videos v
+      LEFT JOIN transcripts t ON t.video_id = v.video_id
+      WHERE v.channel_id = ? AND t.video_id IS NULL
+      ORDER BY v.published_at DESC
+      LIMIT ?
+    `)
+    .all(channelId, limit)
+    .map((r) => r.video_id);
+}
+
+export function deleteTranscript(videoId) {
+  return getDB().prepare('DELETE FROM transcripts WHERE video_id = ?').run(videoId).changes > 0;
+}
+
+/* =========================
+   프롬프트 템플릿
+   ========================= */
+
+function toPromptTemplate(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    name: r.name,
+    description: r.description,
+    version: r.v_version,
+    latestVersion: r.version,
+    system: r.system,
+    body: r.body,
+    variables: JSON.parse(r.variables || '{}'),
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+const PROMPT_TEMPLATE_SELECT = `
+  SELECT t.*, v.version AS v_version, v.system, v.body, v.variables
+  FROM prompt_templates t
+  JOIN prompt_template_versions v ON v.template_id = t.id
+`;
+
+export function listPromptTemplates() {
+  return getDB()
+    .prepare(`${PROMPT_TEMPLATE_SELECT} WHERE v.version = t.version ORDER BY t.created_at ASC, t.id ASC`)
+    .all()
+    .map(toPromptTemplate);
+}
+
+/** 템플릿 1개(version 생략 시 최신) */
+export function getPromptTemplate(id, { version } = {}) {
+  const r = version
+    ? getDB().prepare(`${PROMPT_TEMPLATE_SELECT} WHERE t.id = ? AND v.version = ?`).get(id, version)
+    : getDB().prepare(`${PROMPT_TEMPLATE_SELECT} WHERE t.id = ? AND v.version = t.version`).get(id);
+  return toPromptTemplate(r);
+}
+
+/** 버전 목록(최신순, 본문 포함) */
+export function listPromptTemplateVersions(id) {
+  return getDB()
+    .prepare('SELECT version, system, body, variables, created_at FROM prompt_template_versions WHERE template_id = ? ORDER BY version DESC')
+    .all(id)
+    .map((r) => ({ version: r.version, system: r.system, body: r.body, variables: JSON.parse(r.variables || '{}'), createdAt: r.created_at }));
+}
+
+export function createPromptTemplate({ id, name, description, system, body, variables = {} }) {
+  const d = getDB();
+  const now = new Date().toISOString();
+  d.transaction(() => {
+    d.prepare('INSERT INTO prompt_templates (id, name, description, version, created_at, updated_at) VALUES (?, ?, ?, 1, ?, ?)')
+      .run(id, name, description || null, now, now);
+    d.prepare('INSERT INTO prompt_template_versions (template_id, version, system, body, variables, created_at) VALUES (?, 1, ?, ?, ?, ?)')
+      .run(id, system, body, JSON.stringify(variables), now);
+  })();
+  return getPromptTemplate(id);
+}
+
+/**
+ * 부분 수정(name, description, system, body, variables)
+ * - system/body/variables가 바뀌면 새 버전(이전 버전은 그대로 남음), 이름/설명만이면 버전 유지
+ */
+export function updatePromptTemplate(id, patch) {
+  const cur = getPromptTemplate(id);
+  if (!cur) return null;
+  const next = { ...cur, ...patch };
+  const changed = next.system !== cur.system || next.body !== cur.body
+    || JSON.stringify(next.variables) !== JSON.stringify(cur.variables);
+  const d = getDB();
+  const now = new Date().toISOString();
+  d.transaction(() => {
+    const version = changed ? cur.latestVersion + 1 : cur.latestVersion;
+    if (changed) {
+      d.prepare('INSERT INTO prompt_template_versions (template_id, version, system, body, variables, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .run(id, version, next.system, next.body, JSON.stringify(next.variables || {}), now);
+    }
+    d.prepare('UPDATE prompt_templates SET name = ?, description = ?, version = ?, updated_at = ? WHERE id = ?')
+      .run(next.name, next.description || null, version, now, id);
+  })();
+  return getPromptTemplate(id);
+}
+
+export function deletePromptTemplate(id) {
+  const d = getDB();
+  const run = d.transaction(() => {
+    d.prepare('DELETE FROM prompt_template_versions WHERE template_id = ?').run(id);
+    return d.prepare('DELETE FROM prompt_templates WHERE id = ?').run(id).changes;
+  });
+  return run() > 0;
+}
+
+/** 기본 템플릿 최초 1회 등록(지운 기본 템플릿이 재시작 때 되살아나지 않게) */
+export function seedPromptTemplates(templates) {
+  if (getMeta('prompt_templates_seeded')) return;
+  for (const t of templates) {
+    if (!getPromptTemplate(t.id)) createPromptTemplate(t);
+  }
+  setMeta('prompt_templates_seeded', new Date().toISOString());
+}
+
+/* =========================
+   집계(메트릭 API)
+   ========================= */
+// 버킷 = 게시 시각(tzOffsetMinutes 적용한 현지 날짜) 기준
+const BUCKET_SQL = {
+  day: 'date(v.published_at, @tz)',
+  week: "date(v.published_at, @tz, 'weekday 0', '-6 days')", // 월요일 시작
+  month: "strftime('%Y-%m-01', v.published_at, @tz)",
+};
+const GROUP_SQL = {
+  channel: 'v.channel_id',
+  category: "COALESCE(v.category_id, 'unknown')",
+  language: "COALESCE(lower(substr(v.audio_language, 1, 2)), 'unknown')", // ko-KR → ko
+  tag: 'lower(t.value)', // 영상 1개가 태그 수만큼 집계됨(아래 TAG_JOIN)
+  weekday: "CAST(strftime('%w', v.published_at, @tz) AS INTEGER)", // 0 = 일요일
+  format: "COALESCE(v.format, 'unknown')",
+};
+// 게시 후 하루 평균 조회(최소 1일) — derived.js의 viewsPerDay와 같은 정의
+const VIEWS_PER_DAY_SQL = "v.views * 1.0 / MAX(1, julianday('now') - julianday(v.published_at))";
+// 태그 그룹용: 영상 × 태그 행으로 펼침(json_each에도 key 열이 있어 GROUP BY는 별칭 대신 식으로)
+const TAG_JOIN = "JOIN json_each(COALESCE(v.tags, '[]')) t";
+// 태그처럼 값이 많은 그룹은 업로드 많은 상위만
+const GROUP_LIMIT = { tag: 30 };
+
+const TOP_ORDER_SQL = {
+  views: 'v.views',
+  likes: 'v.likes',
+  comments: 'v.comments',
+  engagement: '(v.likes + v.comments) * 1.0 / NULLIF(v.views, 0)',
+  viewsPerDay: VIEWS_PER_DAY_SQL,
+};
+export const AGG_GRANULARITIES = Object.keys(BUCKET_SQL);
+export const AGG_GROUPS = Object.keys(GROUP_SQL);
+export const AGG_TOP_BY = Object.keys(TOP_ORDER_SQL);
+// 영상 행(표/인사이트 입력) 한 번에 돌려주는 최대 수
+export const AGG_ROWS_MAX = 1000;
+
+/**
+ * aggregateVideos — 채널/추적 쿼리 영상의 기간 집계
+ * @param scope { channelId } | { queryId } | { playlistId }(현재 구성원)
+ * @param { fromISO?, toISO?(미포함), granularity?: day|week|month,
+ *          groupBy?: channel|weekday|format|category|language|tag(상위 30개),
+ *          formats?: string[](이 포맷만), availability?: string[](이 공개 상태만), topN?: number, topBy?: views|likes|comments|engagement|viewsPerDay,
+ *          tzOffsetMinutes?: number, rowLimit?: number(0이면 rows 없음, 최대 AGG_ROWS_MAX), rowOffset?: number }
+ * 반환: {
+ *   series: [{ bucket, group?, uploads, views, likes, comments, velocity }],
+ *   groups: [{ key, label, uploads, views, likes, comments, velocity }] (groupBy 있을 때, 업로드 많은 순),
+ *   totals: { uploads, views, likes, comments, velocity },
+ *   (velocity = 영상별 하루 평균 조회의 합 → 업로드 수로 나누면 평균 속도)
+ *   top: 영상 행[], topChannels: [{ channelId, channelTitle, count, views }],
+ *   rows?: 영상 행[](rowLimit 있을 때, 최근 게시순 — 전체 수는 totals.uploads)
+ * }
+ */
+export function aggregateVideos(scope, {
+  fromISO, toISO, granularity = 'day', groupBy = null, formats = null, availability = null, topN = 10, topBy = 'views', tzOffsetMinutes = 0,
+  rowLimit = 0, rowOffset = 0,
+} = {}) {
+  const d = getDB();
+  const scopeSql = scope.queryId != null
+    ? 'v.video_id IN (SELECT video_id FROM query_videos WHERE query_id = @queryId)'
+    : scope.playlistId != null
+      ? 'v.video_id IN (SELECT video_id FROM playlist_videos WHERE playlist_id = @playlistId AND removed_at IS NULL)'
+      : 'v.channel_id = @channelId';
+  const where = `
+    WHERE ${scopeSql}
+      AND v.published_at IS NOT NULL
+      AND (@fromISO IS NULL OR v.published_at >= @fromISO)
+      AND (@toISO IS NULL OR v.published_at < @toISO)
+      AND (@formats IS NULL OR COALESCE(v.format, 'unknown') IN (SELECT value FROM json_each(@formats)))
+      AND (@availability IS NULL OR COALESCE(v.availability, 'public') IN (SELECT value FROM json_each(@availability)))
+  `;
+  const params = {
+    channelId: scope.channelId ?? null,
+    queryId: scope.queryId ?? null,
+    playlistId: scope.playlistId ?? null,
+    fromISO: fromISO || null,
+    toISO: toISO || null,
+    formats: formats?.length ? JSON.stringify(formats) : null,
+    availability: availability?.length ? JSON.stringify(availability) : null,
+    tz: `${tzOffsetMinutes >= 0 ? '+' : '-'}${Math.abs(Math.trunc(tzOffsetMinutes))} minutes`,
+  };
+  const sums = `COUNT(*) AS uploads, SUM(v.views) AS views, SUM(v.likes) AS likes, SUM(v.comments) AS comments,
+    SUM(${VIEWS_PER_DAY_SQL}) AS velocity`;
+  const bucket = BUCKET_SQL[granularity] || BUCKET_SQL.day;
+  const group = groupBy ? GROUP_SQL[groupBy] : null;
+  const groupFrom = groupBy === 'tag' ? `videos v ${TAG_JOIN}` : 'videos v';
+  const groupLimit = GROUP_LIMIT[groupBy];
+
+  const groups = group
+    ? d
+      .prepare(`
+        SELECT ${group} AS key, MAX(v.channel_title) AS channel_title, ${sums}
+        FROM ${groupFrom} ${where}
+        GROUP BY ${group}
+        ORDER BY uploads DESC, views DESC
+        ${groupLimit ? `LIMIT ${groupLimit}` : ''}
+      `)
+      .all(params)
+      .map(({ channel_title, ...r }) => ({ ...r, label: groupBy === 'channel' ? channel_title || r.key : r.key }))
+    : undefined;
+  const keep = groupLimit ? new Set(groups.map((g) => g.key)) : null;
+
+  const series = d
+    .prepare(`
+      SELECT ${bucket} AS bucket${group ? `, ${group} AS grp` : ''}, ${sums}
+      FROM ${group ? groupFrom : 'videos v'} ${where}
+      GROUP BY bucket${group ? ', grp' : ''}
+      ORDER BY bucket ASC
+    `)
+    .all(params)
+    .filter((r) => !keep || keep.has(r.grp))
+    .map(({ grp, ...r }) => (group ? { ...r, group: grp } : r));
+
+  const totals = d.prepare(`SELECT ${sums} FROM videos v ${where}`).get(params);
+  for (const k of ['views', 'likes', 'comments', 'velocity']) totals[k] = totals[k] || 0;
+
+  const top = d
+    .prepare(`
+      SELECT v.* FROM videos v ${where}
+      ORDER BY ${TOP_ORDER_SQL[topBy] || TOP_ORDER_SQL.views} DESC
+      LIMIT @topN
+    `)
+    .all({ ...params, topN: Math.max(1, Math.min(100, Number(topN) || 10)) })
+    .map(toVideoRow);
+
+  const topChannels = d
+    .prepare(`
+      SELECT v.channel_id, MAX(v.channel_title) AS channel_title, COUNT(*) AS count, SUM(v.views) AS views
+      FROM videos v ${where}
+      GROUP BY v.channel_id
+      ORDER BY count DESC, views DESC
+      LIMIT 5
+    `)
+    .all(params)
+    .map((r) => ({ channelId: r.channel_id, channelTitle: r.channel_title || r.channel_id, count: r.count, views: r.views }));
+
+  const rows = rowLimit > 0
+    ? d
+      .prepare(`
+        SELECT v.* FROM videos v ${where}
+        ORDER BY v.published_at DESC, v.video_id ASC
+        LIMIT @rowLimit OFFSET @rowOffset
+      `)
+      .all({ ...params, rowLimit: Math.min(AGG_ROWS_MAX, Number(rowLimit)), rowOffset: Math.max(0, Number(rowOffset) || 0) })
+      .map(toVideoRow)
+    : undefined;
+
+  return { series, groups, totals, top, topChannels, rows };
+}
+
+/** 상대 조회 비교용: 채널들의 저장된 영상 전체 { channelId, publishedAt, views } */
+export function listPeerViews(channelIds) {
+  if (!channelIds?.length) return [];
+  const d = getDB();
+  const out = [];
+  for (let i = 0; i < channelIds.length; i += 500) {
+    const batch = channelIds.slice(i, i + 500);
+    const rows = d
+      .prepare(`
+        SELECT channel_id, published_at, views FROM videos
+        WHERE channel_id IN (${batch.map(() => '?').join(',')}) AND published_at IS NOT NULL
+      `)
+      .all(...batch);
+    for (const r of rows) out.push({ channelId: r.channel_id, publishedAt: r.published_at, views: r.views });
+  }
+  return out;
+}
+
+/* =========================
+   워치리스트(자동 수집)
+   ========================= */
+function toWatchEntry(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    kind: r.kind,
+    target: r.target,
+    label: r.label,
+    schedule: r.schedule,
+    options: JSON.parse(r.options || '{}'),
+    enabled: !!r.enabled,
+    createdAt: r.created_at,
+    nextRunAt: r.next_run_at,
+    lastRun: r.last_started_at
+      ? {
+          startedAt: r.last_started_at,
+          finishedAt: r.last_finished_at,
+          status: r.last_status,
+          added: r.last_added,
+          error: r.last_error,
+        }
+      : null,
+  };
+}
+
+const WATCH_SELECT = `
+  SELECT w.*,
+    r.started_at AS last_started_at, r.finished_at AS last_finished_at,
+    r.status AS last_status, r.added AS last_added, r.error AS last_error
+  FROM watchlist w
+  LEFT JOIN watch_runs r ON r.id = (
+    SELECT id FROM watch_runs WHERE watch_id = w.id ORDER BY started_at DESC, id DESC LIMIT 1
+  )
+`;
+
+export function listWatchEntries() {
+  return getDB().prepare(`${WATCH_SELECT} ORDER BY w.id ASC`).all().map(toWatchEntry);
+}
+
+export function getWatchEntry(id) {
+  return toWatchEntry(getDB().prepare(`${WATCH_SELECT} WHERE w.id = ?`).get(id));
+}
+
+/** 실행 시각이 지난 활성 항목(next_run_at 오름차순) */
+export function listDueWatchEntries(nowISO) {
+  return getDB()
+    .prepare(`${WATCH_SELECT} WHERE w.enabled = 1 AND w.next_run_at IS NOT NULL AND w.next_run_at <= ? ORDER BY w.next_run_at ASC`)
+    .all(nowISO)
+    .map(toWatchEntry);
+}
+
+export function createWatchEntry({ kind, target, label, schedule, options = {}, enabled = true, nextRunAt }) {
+  const r = getDB()
+    .prepare(`
+      INSERT INTO watchlist (kind, target, label, schedule, options, enabled, created_at, next_run_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `)
+    .run(kind, target, label || null, schedule, JSON.stringify(options), enabled ? 1 : 0,
+      new Date().toISOString(), nextRunAt || null);
+  return getWatchEntry(r.lastInsertRowid);
+}
+
+/** 부분 수정(label, schedule, options, enabled, nextRunAt) */
+export function updateWatchEntry(id, patch) {
+  const cur = getWatchEntry(id);
+  if (!cur) return null;
+  const next = { ...cur, ...patch };
+  getDB()
+    .prepare(`
+      UPDATE watchlist SET label = ?, schedule = ?, options = ?, enabled = ?, next_run_at = ?
+      WHERE id = ?
+    `)
+    .run(next.label || null, next.schedule, JSON.stringify(next.options || {}), next.enabled ? 1 : 0,
+      next.nextRunAt || null, id);
+  return getWatchEntry(id);
+}
+
+export function deleteWatchEntry(id) {
+  const d = getDB();
+  const run = d.transaction(() => {
+    d.prepare('DELETE FROM watch_runs WHERE watch_id = ?').run(id);
+    return d.prepare('DELETE FROM watchlist WHERE id = ?').run(id).changes;
+  });
+  return run() > 0;
+}
+
+/** 실행 시작 기록 → runId */
+export function startWatchRun(watchId) {
+  return getDB()
+    .prepare(`INSERT INTO watch_runs (watch_id, started_at, status) VALUES (?, ?, 'running')`)
+    .run(watchId, new Date().toISOString()).lastInsertRowid;
+}
+
+export function finishWatchRun(runId, { status, added = null, result = null, error = null }) {
+  getDB()
+    .prepare(`
+      UPDATE watch_runs SET finished_at = ?, status = ?, added = ?, result = ?, error = ?
+      WHERE id = ?
+    `)
+    .run(new Date().toISOString(), status, added, result ? JSON.stringify(result) : null, error, runId);
+}
+
+export function listWatchRuns(watchId, { limit = 20 } = {}) {
+  return getDB()
+    .prepare('SELECT * FROM watch_runs WHERE watch_id = ? ORDER BY started_at DESC, id DESC LIMIT ?')
+    .all(watchId, limit)
+    .map((r) => ({
+      id: r.id,
+      startedAt: r.started_at,
+      finishedAt: r.finished_at,
+      status: r.status,
+      added: r.added,
+      result: r.result ? JSON.parse(r.result) : null,
+      error: r.error,
+    }));
+}
+
+/** 서버 재시작 등으로 끝나지 못한 실행 기록 정리 */
+export function failStaleWatchRuns() {
+  return getDB()
+    .prepare(`
+      UPDATE watch_runs SET finished_at = ?, status = 'error', error = 'interrupted (server restart)'
+      WHERE status = 'running'
+    `)
+    .run(new Date().toISOString()).changes;
+}
+
+/* =========================
+   쿼터 사용량
+   ========================= */
+export function addQuotaUsage(day, method, units) {
+  getDB()
+    .prepare(`
+      INSERT INTO quota_usage (day, method, units, calls) VALUES (?, ?, ?, 1)
+      ON CONFLICT(day, method) DO UPDATE SET
+        units = quota_usage.units + excluded.units,
+        calls = quota_usage.calls + 1
+    `)
+    .run(day, method, units);
+}
+
+/** 하루 사용량: { total, byMethod: { [method]: { units, calls } } } */
+export function getQuotaUsage(day) {
+  const rows = getDB().prepare('SELECT method, units, calls FROM quota_usage WHERE day = ?').all(day);
+  const byMethod = {};
+  let total = 0;
+  for (const r of rows) {
+    byMethod[r.method] = { units: r.units, calls: r.calls };
+    total += r.units;
+  }
+  return { total, byMethod };
+}
+
+/** 최근 N일 일자별 합계(최신순) */
+export function listQuotaDays({ limit = 14 } = {}) {
+  return getDB()
+    .prepare('SELECT day, SUM(units) AS units, SUM(calls) AS calls FROM quota_usage GROUP BY day ORDER BY day DESC LIMIT ?')
+    .all(limit);
+}
+
+/* =========================
+   API 키 풀(키별 사용량/쿨다운)
+   ========================= */
+export function addKeyUsage(day, keyId, units) {
+  getDB()
+    .prepare(`
+      INSERT INTO key_usage (day, key_id, units, calls) VALUES (?, ?, ?, 1)
+      ON CONFLICT(day, key_id) DO UPDATE SET
+        units = key_usage.units + excluded.units,
+        calls = key_usage.calls + 1
+    `)
+    .run(day, keyId, units);
+}
+
+/** 하루 키별 사용량: { [keyId]: { units, calls } } */
+export function getKeyUsage(day) {
+  const out = {};
+  for (const r of getDB().prepare('SELECT key_id, units, calls FROM key_usage WHERE day = ?').all(day)) {
+    out[r.key_id] = { units: r.units, calls: r.calls };
+  }
+  return out;
+}
+
+export function loadKeyStates() {
+  const out = {};
+  for (const r of getDB().prepare('SELECT * FROM api_key_state').all()) {
+    out[r.key_id] = {
+      cooldownUntil: r.cooldown_until,
+      cooldownReason: r.cooldown_reason,
+      lastError: r.last_error,
+      lastErrorAt: r.last_error_at,
+    };
+  }
+  return out;
+}
+
+export function saveKeyState(keyId, { cooldownUntil, cooldownReason, lastError, lastErrorAt }) {
+  getDB()
+    .prepare(`
+      INSERT INTO api_key_state (key_id, cooldown_until, cooldown_reason, last_error, last_error_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(key_id) DO UPDATE SET
+        cooldown_until = excluded.cooldown_until,
+        cooldown_reason = excluded.cooldown_reason,
+        last_error = excluded.last_error,
+        last_error_at = excluded.last_error_at
+    `)
+    .run(keyId, cooldownUntil || null, cooldownReason || null, lastError || null, lastErrorAt || null);
+}
@@ -0,0 +1,149 @@
+// server/transcripts.js
+import fs from 'fs';
+import path from 'path';
+
+/* =========================
+   자막/대본(transcript)
+   - 자막 파일(.vtt/.srt) → 큐 [{ start, end, text }] → 본문
+   - 가져오기(fetcher)는 교체 가능: none(기본) | dir(yt-dlp 등으로 받아 둔 자막 폴더)
+     새 방식은 TRANSCRIPT_FETCHERS에 (옵션) => ({ name, fetch(videoId) }) 팩토리로 추가
+   ========================= */
+
+export const SUBTITLE_FORMATS = ['vtt', 'srt'];
+
+// 00:01:02.345 | 01:02.345 | 00:01:02,345 → 초
+function parseTimestamp(ts) {
+  const m = /^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/.exec(ts.trim());
+  if (!m) return null;
+  const [, h, min, s, ms] = m;
+  return Number(h || 0) * 3600 + Number(min) * 60 + Number(s) + Number(ms.padEnd(3, '0')) / 1000;
+}
+
+// 자막 태그/서식 제거(<c>, <00:00:01.000>, {\an8}, &amp; …)
+const cleanCueText = (s) => s
+  .replace(/<[^>]+>/g, '')
+  .replace(/\{\\[^}]*\}/g, '')
+  .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/** 파일 이름/내용으로 형식 판단('vtt' | 'srt' | null) */
+export function detectSubtitleFormat(content, filename = '') {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  if (SUBTITLE_FORMATS.includes(ext)) return ext;
+  const head = String(content || '').replace(/^﻿/, '').trimStart();
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (/^\d+\s*\r?\n\s*\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(head)) return 'srt';
+  return null;
+}
+
+/**
+ * parseSubtitles — .vtt/.srt 본문 → 큐 배열
+ * - 자동 자막(롤링 표시)의 앞 큐와 겹치는 줄은 한 번만
+ * 반환: [{ start, end, text }] (start/end = 초)
+ */
+export function parseSubtitles(content) {
+  const blocks = String(content || '').replace(/^﻿/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+  let prevLines = [];
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const at = lines.findIndex((l) => l.includes('-->'));
+    if (at < 0) continue; // WEBVTT 머리글, NOTE, STYLE, 번호만 있는 블록
+    const [from, to] = lines[at].split('-->');
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(to.trim().split(/\s+/)[0]);
+    if (start == null) continue;
+    const textLines = lines.slice(at + 1).map(cleanCueText).filter(Boolean);
+    const fresh = textLines.filter((l) => !prevLines.includes(l));
+    if (textLines.length) prevLines = textLines;
+    if (fresh.length) cues.push({ start, end: end ?? start, text: fresh.join(' ') });
+  }
+  return cues;
+}
+
+/** 큐 → 본문(같은 문장이 이어서 반복되면 한 번만) */
+export function cuesToText(cues) {
+  const out = [];
+  for (const c of cues) {
+    if (out[out.length - 1] !== c.text) out.push(c.text);
+  }
+  return out.join(' ');
+}
+
+/**
+ * videoIdFromFilename — 자막 파일 이름에서 영상 ID
+ * - yt-dlp 기본 이름 "제목 [VIDEOID].ko.vtt", 또는 "VIDEOID.vtt" / "VIDEOID.en.srt"
+ * - 언어 코드가 있으면 함께 반환
+ */
+export function videoIdFromFilename(filename) {
+  const base = path.basename(String(filename || ''));
+  const m = /\[([0-9A-Za-z_-]{11})\]/.exec(base) || /^([0-9A-Za-z_-]{11})(?=\.)/.exec(base);
+  const lang = /\.([a-zA-Z]{2,3}(?:[-_][A-Za-z0-9]+)*)\.(?:vtt|srt)$/i.exec(base)?.[1] || null;
+  return { videoId: m ? m[1] : null, language: lang };
+}
+
+/* ---------- 가져오기(fetcher) ---------- */
+
+/** dir: 폴더에서 영상 ID가 들어간 자막 파일을 찾음(언어 우선순위 langs) */
+function dirFetcher({ dir, langs = [] }) {
+  if (!dir) throw new Error('TRANSCRIPT_DIR is required for the dir transcript fetcher');
+  return {
+    name: 'dir',
+    async fetch(videoId) {
+      if (!fs.existsSync(dir)) return null;
+      const files = fs.readdirSync(dir)
+        .filter((f) => SUBTITLE_FORMATS.includes(path.extname(f).slice(1).toLowerCase()))
+        .map((f) => ({ file: f, ...videoIdFromFilename(f) }))
+        .filter((f) => f.videoId === videoId);
+      if (!files.length) return null;
+      const rank = (f) => {
+        const i = langs.findIndex((l) => f.language?.toLowerCase().startsWith(l.toLowerCase()));
+        return i < 0 ? langs.length : i;
+      };
+      const pick = files.sort((a, b) => rank(a) - rank(b))[0];
+      const content = fs.readFileSync(path.join(dir, pick.file), 'utf-8');
+      return { language: pick.language, source: `dir:${pick.file}`, cues: parseSubtitles(content) };
+    },
+  };
+}
+
+export const TRANSCRIPT_FETCHERS = {
+  none: () => null,
+  dir: dirFetcher,
+};
+
+/**
+ * createTranscriptFetcher
+ * @param name TRANSCRIPT_FETCHERS 키
+ * @param options 팩토리 옵션(dir: { dir, langs })
+ * 반환: { name, fetch(videoId) => { language, source, cues } | null } | null(none)
+ */
+export function createTranscriptFetcher(name = 'none', options = {}) {
+  const factory = TRANSCRIPT_FETCHERS[name];
+  if (!factory) {
+    throw new Error(`TRANSCRIPT_FETCHER must be one of ${Object.keys(TRANSCRIPT_FETCHERS).join(', ')}: ${name}`);
+  }
+  return factory(options);
+}
+
+/**
+ * excerptAround — 본문에서 검색어 주변 발췌(대소문자 무시)
+ * 반환: [{ text, at }] 최대 max개(at = 본문 내 위치)
+ */
+export function excerptAround(text, q, { width = 80, max = 3 } = {}) {
+  const out = [];
+  const hay = String(text || '').toLowerCase();
+  const needle = String(q || '').toLowerCase();
+  if (!needle) return out;
+  let from = 0;
+  while (out.length < max) {
+    const at = hay.indexOf(needle, from);
+    if (at < 0) break;
+    const start = Math.max(0, at - width);
+    const end = Math.min(text.length, at + needle.length + width);
+    out.push({ text: `${start ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`, at });
+    from = at + needle.length;
+  }
+  return out;
+}
@@ -0,0 +1,508 @@
+// server/youtube.js
+import { throwIfCancelled } from './jobs.js';
+
+/* =========================
+   YouTube 데이터 접근(클라이언트 주입)
+   - youtube: resource.fn(params) 모양의 클라이언트(googleapis / 계량·키 풀 래퍼 / 픽스처 재생)
+   - 라이브 키 없이도 ytclient.js의 replay 클라이언트를 넣어 수집/백필/검색을 돌려볼 수 있음
+   ========================= */
+
+// videos.list에서 받는 파트(여러 파트를 요청해도 1유닛)
+const VIDEO_PARTS = 'snippet,statistics,contentDetails,status,liveStreamingDetails,topicDetails';
+
+/* ---------- 채널 입력(핸들/URL/채널 ID) ---------- */
+const CHANNEL_ID_RE = /^UC[0-9A-Za-z_-]{22}$/;
+const safeDecode = (x) => {
+  try {
+    return decodeURIComponent(x);
+  } catch {
+    return x;
+  }
+};
+
+const VIDEO_ID_RE = /^[0-9A-Za-z_-]{11}$/;
+
+/**
+ * parseChannelInput — 사용자가 붙여 넣은 채널 표기 해석(호출 없음)
+ * - UC… / youtube.com/channel/UC…                    → { kind: 'id' }
+ * - @handle / youtube.com/@handle                    → { kind: 'handle' }  (channels.list forHandle)
+ * - youtube.com/user/이름                             → { kind: 'user' }    (channels.list forUsername)
+ * - youtube.com/c/이름                                → { kind: 'custom' }  (핸들로 먼저 시도, 없으면 검색)
+ * - 영상 링크(watch?v=, youtu.be/, /shorts/, /live/) → { kind: 'video' }   (영상의 채널)
+ * - 채널을 알 수 없는 youtube.com 주소                  → { kind: 'unknown' }
+ * - 그 밖의 글자                                       → { kind: 'name' }    (검색 후보)
+ * 반환: { input, kind, value } | null(빈 값)
+ */
+export function parseChannelInput(raw) {
+  const input = String(raw || '').trim().replace(/^["']|["']$/g, '').trim();
+  if (!input) return null;
+  if (CHANNEL_ID_RE.test(input)) return { input, kind: 'id', value: input };
+  if (input.startsWith('@')) return { input, kind: 'handle', value: input.slice(1) };
+
+  const short = /^(?:https?:\/\/)?youtu\.be\/([0-9A-Za-z_-]{11})/i.exec(input);
+  if (short) return { input, kind: 'video', value: short[1] };
+
+  const m = /^(?:https?:\/\/)?(?:www\.|m\.|music\.)?youtube\.com\/([^?#]*)(?:\?([^#]*))?/i.exec(input);
+  if (m) {
+    const [first = '', second = ''] = m[1].split('/').map(safeDecode);
+    if (first === 'channel' && CHANNEL_ID_RE.test(second)) return { input, kind: 'id', value: second };
+    if (first.startsWith('@') && first.length > 1) return { input, kind: 'handle', value: first.slice(1) };
+    if (first === 'user' && second) return { input, kind: 'user', value: second };
+    if (first === 'c' && second) return { input, kind: 'custom', value: second };
+    if (['shorts', 'live', 'embed'].includes(first) && VIDEO_ID_RE.test(second)) return { input, kind: 'video', value: second };
+    const v = new URLSearchParams(m[2] || '').get('v');
+    if (first === 'watch' && VIDEO_ID_RE.test(v || '')) return { input, kind: 'video', value: v };
+    // youtube.com/이름(옛 맞춤 URL)
+    if (first && !second && !['watch', 'results', 'feed', 'playlist'].includes(first)) {
+      return { input, kind: 'custom', value: first };
+    }
+    return { input, kind: 'unknown', value: input };
+  }
+  return { input, kind: 'name', value: input };
+}
+
+/* ---------- 재생목록 입력(URL/ID) ---------- */
+const PLAYLIST_ID_RE = /^(PL|UU|OL|FL|LL|RD)[0-9A-Za-z_-]{10,}$/;
+
+/** parsePlaylistInput — 재생목록 ID 또는 list= 가 있는 URL → playlistId | null */
+export function parsePlaylistInput(raw) {
+  const input = String(raw || '').trim();
+  if (PLAYLIST_ID_RE.test(input)) return input;
+  const m = /[?&]list=([0-9A-Za-z_-]+)/.exec(input);
+  return m && PLAYLIST_ID_RE.test(m[1]) ? m[1] : null;
+}
+
+/* ---------- 키워드 검색 필터(search.list 파라미터) ---------- */
+export const VIDEO_DURATIONS = ['any', 'short', 'medium', 'long']; // short < 4분, medium 4–20분, long > 20분
+
+/**
+ * normalizeSearchFilters — 요청 값 검증 + 정규화(빈 값 제거, 키 순서 고정)
+ * @param { regionCode?, relevanceLanguage?, videoDuration?, videoCategoryId?, channelId?, publishedBefore? }
+ * 잘못된 값이면 status 400 오류
+ */
+export function normalizeSearchFilters(input = {}) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const str = (v) => (v == null ? '' : String(v).trim());
+  const out = {};
+
+  const region = str(input.regionCode).toUpperCase();
+  if (region) {
+    if (!/^[A-Z]{2}$/.test(region)) throw bad(`regionCode must be ISO 3166-1 alpha-2: ${region}`);
+    out.regionCode = region;
+  }
+  const lang = str(input.relevanceLanguage);
+  if (lang) {
+    if (!/^[a-zA-Z]{2,3}(-[a-zA-Z]{2,4})?$/.test(lang)) throw bad(`relevanceLanguage must be ISO 639-1: ${lang}`);
+    out.relevanceLanguage = lang.includes('-') ? lang : lang.toLowerCase(); // zh-Hans 등은 그대로
+  }
+  const duration = str(input.videoDuration);
+  if (duration && duration !== 'any') {
+    if (!VIDEO_DURATIONS.includes(duration)) throw bad(`videoDuration must be one of ${VIDEO_DURATIONS.join(', ')}`);
+    out.videoDuration = duration;
+  }
+  const category = str(input.videoCategoryId);
+  if (category) {
+    if (!/^\d+$/.test(category)) throw bad(`videoCategoryId must be numeric: ${category}`);
+    out.videoCategoryId = category;
+  }
+  const channelId = str(input.channelId);
+  if (channelId) {
+    if (!/^UC[0-9A-Za-z_-]{22}$/.test(channelId)) throw bad(`channelId must be a UC… channel id: ${channelId}`);
+    out.channelId = channelId;
+  }
+  const before = str(input.publishedBefore);
+  if (before) {
+    const d = new Date(before);
+    if (Number.isNaN(d.getTime())) throw bad(`publishedBefore must be a date: ${before}`);
+    out.publishedBefore = d.toISOString();
+  }
+  return out;
+}
+
+/**
+ * createYouTubeApi
+ * @param youtube 클라이언트
+ * @param { fetchMaxNew?: number, videosBatch?: number(≤50), searchMaxPages?: number }
+ */
+export function createYouTubeApi(youtube, { fetchMaxNew = 2000, videosBatch = 50, searchMaxPages = 20 } = {}) {
+  /* ---------- 채널 식별/메타 ---------- */
+  /**
+   * lookupChannelId — 검색 없이 채널 ID 찾기(1유닛, 없으면 null)
+   * @param { kind: 'handle'|'user'|'video', value }
+   */
+  async function lookupChannelId({ kind, value }) {
+    if (kind === 'video') {
+      const r = await youtube.videos.list({ part: 'snippet', id: value });
+      return r.data?.items?.[0]?.snippet?.channelId || null;
+    }
+    const r = await youtube.channels.list({
+      part: 'id',
+      ...(kind === 'user' ? { forUsername: value } : { forHandle: `@${value}` }),
+    });
+    return r.data?.items?.[0]?.id || null;
+  }
+  /** 채널 검색 후보(search.list type=channel, 100유닛) [{ channelId, title, description, thumbnails }] */
+  async function searchChannels(q, { maxResults = 5 } = {}) {
+    const r = await youtube.search.list({
+      part: 'snippet',
+      q,
+      type: 'channel',
+      maxResults,
+    });
+    return (r.data?.items || [])
+      .map((it) => ({
+        channelId: it.snippet?.channelId || it.id?.channelId,
+        title: it.snippet?.channelTitle || it.snippet?.title || '',
+        description: it.snippet?.description || '',
+        thumbnails: it.snippet?.thumbnails,
+      }))
+      .filter((c) => c.channelId);
+  }
+
+  async function fetchChannelMeta(channelId) {
+    const r = await youtube.channels.list({
+      part: 'snippet,statistics,contentDetails',
+      id: channelId,
+    });
+    const it = r.data?.items?.[0];
+    if (!it) throw new Error('channel not found');
+    const sn = it.snippet || {};
+    const st = it.statistics || {};
+    return {
+      channelId,
+      title: sn.title,
+      description: sn.description,
+      thumbnails: sn.thumbnails,
+      stats: {
+        subscriberCount: Number(st.subscriberCount || 0),
+        videoCount: Number(st.videoCount || 0),
+        viewCount: Number(st.viewCount || 0),
+        hiddenSubscriberCount: !!st.hiddenSubscriberCount,
+      },
+      uploadsId: it.contentDetails?.relatedPlaylists?.uploads || null,
+      fetchedAt: new Date().toISOString(),
+    };
+  }
+
+  /* ---------- 재생목록(추적 소스) ---------- */
+  const toPlaylistMeta = (it) => ({
+    playlistId: it.id,
+    channelId: it.snippet?.channelId,
+    channelTitle: it.snippet?.channelTitle,
+    title: it.snippet?.title || '',
+    description: it.snippet?.description || '',
+    thumbnails: it.snippet?.thumbnails,
+    itemCount: it.contentDetails?.itemCount ?? null,
+    publishedAt: it.snippet?.publishedAt,
+  });
+
+  async function fetchPlaylistMeta(playlistId) {
+    const r = await youtube.playlists.list({ part: 'snippet,contentDetails', id: playlistId });
+    const it = r.data?.items?.[0];
+    if (!it) throw Object.assign(new Error(`playlist not found: ${playlistId}`), { status: 404 });
+    return toPlaylistMeta(it);
+  }
+
+  /** 채널의 공개 재생목록(페이지당 1유닛) */
+  async function listChannelPlaylists(channelId, { maxPages = 4 } = {}) {
+    const out = [];
+    let pageToken;
+    for (let page = 0; page < maxPages; page += 1) {
+      const r = await youtube.playlists.list({
+        part: 'snippet,contentDetails',
+        channelId,
+        maxResults: 50,
+        pageToken,
+      });
+      out.push(...(r.data?.items || []).map(toPlaylistMeta));
+      pageToken = r.data?.nextPageToken;
+      if (!pageToken) break;
+    }
+    return out;
+  }
+
+  /**
+   * listPlaylistItems — 재생목록 전체 구성(임의 순서라 lastSeen 증분이 안 됨 → 매번 전체, 페이지당 1유닛)
+   * 반환: [{ videoId, position, addedAt }]
+   */
+  async function listPlaylistItems(playlistId, { signal, onPage } = {}) {
+    const out = [];
+    let pageToken;
+    let pages = 0;
+    do {
+      throwIfCancelled(signal);
+      const r = await youtube.playlistItems.list({
+        part: 'snippet,contentDetails',
+        playlistId,
+        maxResults: 50,
+        pageToken,
+      });
+      for (const it of r.data?.items || []) {
+        const videoId = it?.contentDetails?.videoId;
+        if (!videoId) continue;
+        out.push({ videoId, position: it.snippet?.position ?? null, addedAt: it.snippet?.publishedAt || null });
+      }
+      pages += 1;
+      onPage?.({ pages, found: out.length });
+      pageToken = r.data?.nextPageToken || null;
+    } while (pageToken && out.length < fetchMaxNew);
+    return out;
+  }
+
+  /* ---------- 업로드 플레이리스트 + 증분/백필 수집 ---------- */
+  async function getUploadsPlaylistId(channelId) {
+    const r = await youtube.channels.list({ part: 'contentDetails', id: channelId });
+    const uploads = r.data?.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
+    if (!uploads) throw new Error('uploads playlist not found');
+    return uploads;
+  }
+
+  /**
+   * listNewVideoIds
+   * @param uploadsId
+   * @param { sinceISO?: string, lastSeenVideoId?: string, backfill?: boolean, signal?, onPage? }
+   *
+   * - backfill=false(기본): lastSeenVideoId를 만나면 중단(증분)
+   * - backfill=true: lastSeenVideoId를 무시하고 sinceISO까지 “뒤로” 탐색(백필)
+   * - onPage({ pages, found }): 페이지마다 진행 상황 콜백 / signal: 작업 취소
+   */
+  async function listNewVideoIds(
+    uploadsId,
+    { sinceISO, lastSeenVideoId, backfill = false, signal, onPage }
+  ) {
+    const out = []; // [{ id, publishedAt }]
+    let pageToken;
+    let stop = false;
+    let pages = 0;
+    const cutoff = sinceISO ? new Date(sinceISO).toISOString() : null;
+
+    do {
+      throwIfCancelled(signal);
+      const r = await youtube.playlistItems.list({
+        part: 'contentDetails',
+        playlistId: uploadsId,
+        maxResults: 50,
+        pageToken,
+      });
+
+      const items = r.data?.items || [];
+      // playlistItems 는 최신 → 과거 순서
+      for (const it of items) {
+        const id = it?.contentDetails?.videoId;
+        const pub = it?.contentDetails?.videoPublishedAt;
+        if (!id) continue;
+
+        // ★ 백필 아닐 때만 lastSeen에서 멈춤(증분)
+        if (!backfill && lastSeenVideoId && id === lastSeenVideoId) {
+          stop = true;
+          break;
+        }
+
+        // 기간 컷(과거로 더 내려가면 중단)
+        if (cutoff && pub && pub < cutoff) {
+          stop = true;
+          break;
+        }
+
+        out.push({ id, publishedAt: pub });
+        if (out.length >= fetchMaxNew) {
+          stop = true;
+          break;
+        }
+      }
+
+      pages += 1;
+      onPage?.({ pages, found: out.length });
+
+      if (stop) break;
+      pageToken = r.data?.nextPageToken || null;
+    } while (pageToken);
+
+    return out.reverse(); // oldest → newest
+  }
+
+  /**
+   * fetchVideoDetails
+   * @param ids
+   * @param { signal?, onBatch?, onError? }
+   *
+   * - onBatch(batchRows, doneCount): 배치(≤50)마다 호출 — 호출자가 바로 저장 가능
+   * - onError(err, batchIds): 지정하면 실패한 배치를 건너뛰고 계속(미지정 시 throw)
+   */
+  async function fetchVideoDetails(ids, { signal, onBatch, onError } = {}) {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += videosBatch) {
+      throwIfCancelled(signal);
+      const batch = ids.slice(i, i + videosBatch); // 50 상한 보장
+      let r;
+      try {
+        r = await youtube.videos.list({
+          part: VIDEO_PARTS,
+          id: batch.join(','),
+        });
+      } catch (e) {
+        if (!onError) throw e;
+        onError(e, batch);
+        continue;
+      }
+      const batchRows = [];
+      for (const v of r.data?.items || []) {
+        batchRows.push({
+          videoId: v.id,
+          title: v.snippet?.title || '',
+          description: v.snippet?.description || '',
+          publishedAt: v.snippet?.publishedAt,
+          channelId: v.snippet?.channelId,
+          channelTitle: v.snippet?.channelTitle,
+          duration: v.contentDetails?.duration,
+          views: Number(v.statistics?.viewCount || 0),
+          likes: Number(v.statistics?.likeCount || 0),
+          comments: Number(v.statistics?.commentCount || 0),
+          tags: v.snippet?.tags || [],
+          categoryId: v.snippet?.categoryId || null,
+          audioLanguage: v.snippet?.defaultAudioLanguage || v.snippet?.defaultLanguage || null,
+          thumbnails: v.snippet?.thumbnails || null,
+          liveBroadcastContent: v.snippet?.liveBroadcastContent || 'none',
+          liveDetails: v.liveStreamingDetails || null,
+          topics: v.topicDetails?.topicCategories || [],
+          privacyStatus: v.status?.privacyStatus || null,
+        });
+      }
+      rows.push(...batchRows);
+      onBatch?.(batchRows, Math.min(ids.length, i + batch.length));
+    }
+    return rows;
+  }
+
+  /* ---------- 댓글 ---------- */
+  const errorReasonsOf = (e) => [
+    ...(e?.errors || []),
+    ...(e?.response?.data?.error?.errors || []),
+  ].map((x) => x?.reason);
+
+  /**
+   * listCommentThreads — 영상의 최상위 댓글(최신순, 페이지당 100개·1유닛)
+   * @param videoId
+   * @param { sinceISO?: 이 시각 이하 댓글을 만나면 중단(증분), max?: 최대 개수, signal? }
+   * 반환: { items: [{ commentId, videoId, author, authorChannelId, text, likeCount, replyCount, publishedAt, updatedAt }], disabled }
+   * - 댓글 사용 중지 영상(403 commentsDisabled)은 오류 대신 disabled: true
+   */
+  async function listCommentThreads(videoId, { sinceISO, max = 200, signal } = {}) {
+    const items = [];
+    let pageToken;
+    do {
+      throwIfCancelled(signal);
+      let r;
+      try {
+        r = await youtube.commentThreads.list({
+          part: 'snippet',
+          videoId,
+          order: 'time',
+          textFormat: 'plainText',
+          maxResults: Math.min(100, max),
+          pageToken,
+        });
+      } catch (e) {
+        if (errorReasonsOf(e).includes('commentsDisabled')) return { items, disabled: true };
+        throw e;
+      }
+      for (const it of r.data?.items || []) {
+        const top = it.snippet?.topLevelComment?.snippet || {};
+        // 최신순이므로 지난번 가장 최근 댓글까지 오면 나머지는 이미 저장됨
+        if (sinceISO && top.publishedAt && top.publishedAt <= sinceISO) return { items, disabled: false };
+        items.push({
+          commentId: it.id,
+          videoId,
+          author: top.authorDisplayName || null,
+          authorChannelId: top.authorChannelId?.value || null,
+          text: top.textOriginal ?? top.textDisplay ?? '',
+          likeCount: Number(top.likeCount || 0),
+          replyCount: Number(it.snippet?.totalReplyCount || 0),
+          publishedAt: top.publishedAt || null,
+          updatedAt: top.updatedAt || null,
+        });
+        if (items.length >= max) return { items, disabled: false };
+      }
+      pageToken = r.data?.nextPageToken || null;
+    } while (pageToken);
+    return { items, disabled: false };
+  }
+
+  /* ---------- 키워드 검색 ---------- */
+
+  /**
+   * searchVideoIds
+   * @param { q: string, publishedAfter?: string, publishedBefore?: string, filters?: object,
+   *          filter?: (snippet) => boolean, canContinue?: () => boolean, signal? }
+   *
+   * - search.list(type=video, order=date)를 searchMaxPages까지 페이지 순회
+   * - filters: normalizeSearchFilters() 결과 중 regionCode/relevanceLanguage/videoDuration/videoCategoryId/channelId
+   * - filter: 검색 결과 스니펫(title/description) 후처리 필터
+   * - canContinue: 다음 페이지 요청 전 확인(false면 중단 → degraded=true). 쿼터 예비분 보호용
+   * 반환: { videoIds, pages, degraded, truncated, oldestPublishedAt }
+   *  - truncated: searchMaxPages에서 멈췄는데 다음 페이지가 남음(기간 앞부분을 못 받음)
+   *  - oldestPublishedAt: 받은 결과(필터 전) 중 가장 이른 게시 시각 — 중간에 멈췄을 때 어디까지 덮었는지
+   */
+  async function searchVideoIds({
+    q, publishedAfter, publishedBefore, filters = {}, filter = () => true, canContinue = () => true, signal,
+  }) {
+    const { regionCode, relevanceLanguage, videoDuration, videoCategoryId, channelId } = filters;
+    const videoIds = [];
+    let pageToken;
+    let pages = 0;
+    let degraded = false;
+    let oldestPublishedAt = null;
+
+    do {
+      throwIfCancelled(signal);
+      if (pages > 0 && !canContinue()) {
+        degraded = true;
+        break;
+      }
+      const r = await youtube.search.list({
+        part: 'snippet',
+        q,
+        type: 'video',
+        order: 'date',
+        maxResults: 50,
+        publishedAfter,
+        publishedBefore,
+        regionCode,
+        relevanceLanguage,
+        videoDuration,
+        videoCategoryId,
+        channelId,
+        pageToken,
+      });
+
+      for (const it of r.data?.items || []) {
+        const id = it?.id?.videoId;
+        if (!id) continue;
+        const pub = it.snippet?.publishedAt;
+        if (pub && (!oldestPublishedAt || pub < oldestPublishedAt)) oldestPublishedAt = pub;
+        if (!filter(it.snippet || {})) continue;
+        videoIds.push(id);
+      }
+
+      pageToken = r.data?.nextPageToken || null;
+      pages += 1;
+    } while (pageToken && pages < searchMaxPages);
+
+    const truncated = !degraded && !!pageToken;
+    return { videoIds, pages, degraded, truncated, oldestPublishedAt };
+  }
+
+  return {
+    lookupChannelId,
+    searchChannels,
+    fetchChannelMeta,
+    getUploadsPlaylistId,
+    fetchPlaylistMeta,
+    listChannelPlaylists,
+    listPlaylistItems,
+    listNewVideoIds,
+    fetchVideoDetails,
+    listCommentThreads,
+    searchVideoIds,
+  };
+}
@@ -2,12 +2,108 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import fs from 'fs';
 import path from 'path';
 import dayjs from 'dayjs';
 import { google } from 'googleapis';
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+  openStore,
+  getChannelMeta,
+  ensureChannel,
+  upsertChannelMeta,
+  upsertVideos,
+  markVideosRemoved,
+  VIDEO_AVAILABILITY,
+  listRefreshCandidates,
+  getVideosByIds,
+  getQuery,
+  getOrCreateQuery,
+  findQuery,
+  listQueries,
+  updateQueryCursor,
+  linkQueryVideos,
+  listQueryRefreshCandidates,
+  deleteQuery,
+  listVideoStats,
+  listChannelStats,
+  listChannelMetaStats,
+  getPlaylist,
+  listPlaylists,
+  upsertPlaylist,
+  syncPlaylistMembers,
+  listPlaylistChanges,
+  listPlaylistRefreshCandidates,
+  deletePlaylist,
+  upsertComments,
+  getCommentState,
+  saveCommentState,
+  listCommentCandidates,
+  listComments,
+  COMMENT_ORDERS,
+  saveCommentAnalysis,
+  listCommentAnalyses,
+  listCommentAnalysisCandidates,
+  saveTranscript,
+  getTranscript,
+  getTranscriptTexts,
+  searchTranscripts,
+  listTranscriptCandidates,
+  deleteTranscript,
+  listPromptTemplates,
+  getPromptTemplate,
+  listPromptTemplateVersions,
+  createPromptTemplate,
+  updatePromptTemplate,
+  deletePromptTemplate,
+  seedPromptTemplates,
+  getChannelAlias,
+  saveChannelAlias,
+  aggregateVideos,
+  listPeerViews,
+  AGG_GRANULARITIES,
+  AGG_GROUPS,
+  AGG_TOP_BY,
+  AGG_ROWS_MAX,
+  getIngestState,
+  saveIngestState,
+  listWatchEntries,
+  getWatchEntry,
+  listDueWatchEntries,
+  createWatchEntry,
+  updateWatchEntry,
+  deleteWatchEntry,
+  startWatchRun,
+  finishWatchRun,
+  listWatchRuns,
+  failStaleWatchRuns,
+  addQuotaUsage,
+  getQuotaUsage,
+  listQuotaDays,
+  addKeyUsage,
+  getKeyUsage,
+  loadKeyStates,
+  saveKeyState,
+} from './store.js';
+import { parseCron, nextRun, startScheduler } from './scheduler.js';
+import { createJobRunner, throwIfCancelled, JobCancelledError } from './jobs.js';
+import { createQuotaMeter, meterYouTube } from './quota.js';
+import { createKeyPool } from './keypool.js';
+import { createYouTubeClient } from './ytclient.js';
+import { createYouTubeApi, normalizeSearchFilters, parseChannelInput, parsePlaylistInput } from './youtube.js';
+import { parseQuery, toSearchQ, formatQuery, matchQuery } from './querylang.js';
+import { buildPeerMedians, deriveVideoMetrics } from './derived.js';
+import { VIDEO_FORMATS, FORMAT_LABELS } from './formats.js';
+import {
+  COMMENT_ANALYSIS_SYSTEM, buildCommentPrompt, parseCommentAnalysis, rollupCommentAnalyses,
+} from './sentiment.js';
+import {
+  createTranscriptFetcher, detectSubtitleFormat, parseSubtitles, cuesToText, videoIdFromFilename, excerptAround,
+} from './transcripts.js';
+import {
+  BUILTIN_TEMPLATES, DEFAULT_TEMPLATE_ID, validateTemplate, validateVariables, buildInsightPrompt,
+  parseInsight, buildInsightRepairPrompt, renderInsightText,
+} from './prompts.js';
 
 /* =========================
    환경변수
@@ -21,9 +117,17 @@ const RAW_ORIGINS =
   'http://localhost:5173';
 const ALLOWED_ORIGINS = RAW_ORIGINS.split(',').map((s) => s.trim()).filter(Boolean);
 
-// API 키
-const YT_API_KEY = (process.env.YT_API_KEY || '').trim();
-if (!YT_API_KEY) console.warn('[warn] YT_API_KEY is empty. YouTube API calls will fail.');
+// API 키(쉼표로 여러 개 → 키 풀로 돌려 씀. YT_API_KEYS도 허용)
+const YT_API_KEYS = (process.env.YT_API_KEYS || process.env.YT_API_KEY || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// YouTube 클라이언트 백엔드: live(기본) | record(응답을 픽스처로 저장) | replay(픽스처만 사용, 오프라인)
+const YT_CLIENT_MODE = (process.env.YT_CLIENT_MODE || 'live').toLowerCase();
+if (!YT_API_KEYS.length && YT_CLIENT_MODE !== 'replay') {
+  console.warn('[warn] YT_API_KEY is empty. YouTube API calls will fail.');
+}
 
 // --- OpenAI ---
 const OPENAI_KEY = (process.env.OPENAI_API_KEY || '').trim();
@@ -34,11 +138,21 @@ const OPENAI_TIMEOUT_MS = Number(process.env.OPENAI_TIMEOUT_MS || 90_000);
 const LLM_PROVIDER = (process.env.LLM_PROVIDER || '').toLowerCase(); // 'openai' | 'gemini' | ''
 const GEMINI_KEY = (process.env.GEMINI_API_KEY || '').trim();
 const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-const GEMINI_MAX_TOKENS = Number(process.env.GEMINI_MAX_TOKENS || 1600);
 const GEMINI_TIMEOUT_MS = Number(process.env.GEMINI_TIMEOUT_MS || 90_000);
 
 // 인사이트에 투입할 최대 행 수
 const INSIGHT_MAX_ROWS = Number(process.env.INSIGHT_MAX_ROWS || 1000);
+// 인사이트 JSON 응답 최대 토큰(공급자 공통 — 예전 GEMINI_MAX_TOKENS도 인식), 스키마에 안 맞을 때 다시 요청하는 횟수
+const INSIGHT_MAX_TOKENS = Math.max(256, Number(process.env.INSIGHT_MAX_TOKENS || process.env.GEMINI_MAX_TOKENS || 2400));
+const INSIGHT_JSON_RETRIES = Math.max(0, Number(process.env.INSIGHT_JSON_RETRIES || 1));
+
+// 인사이트/댓글 분석에 넣는 자막 앞부분(자), 인사이트에서 자막을 붙이는 영상 수(조회 상위)
+const INSIGHT_TRANSCRIPT_CHARS = Math.max(0, Number(process.env.INSIGHT_TRANSCRIPT_CHARS || 600));
+const INSIGHT_TRANSCRIPT_VIDEOS = Math.max(0, Number(process.env.INSIGHT_TRANSCRIPT_VIDEOS || 30));
+
+// 댓글 분석(LLM): 영상당 넣는 댓글 수(좋아요순), 한 작업에서 분석하는 영상 수
+const COMMENT_ANALYSIS_MAX_COMMENTS = Math.max(1, Number(process.env.COMMENT_ANALYSIS_MAX_COMMENTS || 200));
+const COMMENT_ANALYSIS_MAX_VIDEOS = Math.max(1, Number(process.env.COMMENT_ANALYSIS_MAX_VIDEOS || 20));
 
 // 수집 한도/배치 (videos.list 상한 = 50)
 const RAW_FETCH_MAX = Number(process.env.YT_FETCH_MAX_NEW || 2000);
@@ -47,12 +161,51 @@ const YT_FETCH_MAX_NEW = Math.max(1, RAW_FETCH_MAX);
 const RAW_BATCH = Number(process.env.YT_VIDEOS_BATCH || 50);
 const YT_VIDEOS_BATCH = Math.max(1, Math.min(50, RAW_BATCH)); // ★ 50 상한 강제
 
+// 추적 키워드 증분 검색 시 직전 검색 시각에서 되돌아갈 여유(검색 색인 지연 대비, 분)
+const YT_QUERY_OVERLAP_MIN = Math.max(0, Number(process.env.YT_QUERY_OVERLAP_MIN || 60));
+
+// 기존 영상 통계 갱신 주기: "최대나이(일):주기(일)" 쉼표 구분, '*' = 그 외 전부
+// 기본: 30일 미만 영상은 매일, 그보다 오래된 영상은 주 1회
+const YT_REFRESH_TIERS = process.env.YT_REFRESH_TIERS || '30:1,*:7';
+
+// 댓글 수집 상한: 영상당 최상위 댓글 수, 한 번에 훑는 영상 수(영상당 페이지마다 1유닛)
+const YT_COMMENTS_PER_VIDEO = Math.max(1, Number(process.env.YT_COMMENTS_PER_VIDEO || 200));
+const YT_COMMENTS_MAX_VIDEOS = Math.max(1, Number(process.env.YT_COMMENTS_MAX_VIDEOS || 50));
+
 // 키워드 검색 상한(쿼터 보호: 페이지 수 제한)
 const YT_SEARCH_MAX_PAGES = Number(process.env.YT_SEARCH_MAX_PAGES || 20);
 
+// YouTube 일일 유닛 예산 — 키(프로젝트)당(기본 할당량 10,000), 전체 예산 = 키당 × 키 개수
+// - 남은 유닛이 YT_UNIT_RESERVE 아래면 search.list는 거부(키워드 검색은 받은 페이지까지만 반환)
+const YT_UNIT_BUDGET = Math.max(1, Number(process.env.YT_UNIT_BUDGET || 10_000));
+const YT_UNIT_RESERVE = Math.max(0, Number(process.env.YT_UNIT_RESERVE || 1_000));
+
+// 자동 수집 스케줄러(워치리스트) — SCHEDULER_ENABLED=0 으로 끌 수 있음
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== '0';
+const SCHEDULER_TICK_MS = Math.max(10_000, Number(process.env.SCHEDULER_TICK_MS || 60_000));
+
+// 백그라운드 작업 동시 실행 수(기본 1: 쿼터 보호)
+const JOBS_CONCURRENCY = Math.max(1, Number(process.env.JOBS_CONCURRENCY || 1));
+
 // 데이터 저장 디렉터리(환경변수로 재지정 가능: Render persistent disk 경로 등)
 const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
-const DB_FILE = path.join(DATA_DIR, 'yt-store.json');
+const DB_FILE = path.join(DATA_DIR, 'yt.sqlite');
+// 이전 버전의 JSON 저장소(있으면 최초 기동 시 1회 가져옴)
+const LEGACY_JSON_FILE = path.join(DATA_DIR, 'yt-store.json');
+// record/replay 픽스처 위치
+const YT_FIXTURES_DIR = process.env.YT_FIXTURES_DIR || path.join(DATA_DIR, 'fixtures');
+
+// 자막 가져오기: none(기본, 파일 가져오기만) | dir(TRANSCRIPT_DIR의 .vtt/.srt — 예: yt-dlp --write-auto-subs)
+const TRANSCRIPT_FETCHER = (process.env.TRANSCRIPT_FETCHER || 'none').toLowerCase();
+const TRANSCRIPT_DIR = process.env.TRANSCRIPT_DIR || path.join(DATA_DIR, 'transcripts');
+// 같은 영상의 자막이 여러 언어면 앞쪽 언어 우선
+const TRANSCRIPT_LANGS = (process.env.TRANSCRIPT_LANGS || 'ko,en').split(',').map((s) => s.trim()).filter(Boolean);
+
+/* =========================
+   로컬 저장소(SQLite)
+   ========================= */
+openStore({ dataDir: DATA_DIR, dbFile: DB_FILE, legacyJsonFile: LEGACY_JSON_FILE });
+seedPromptTemplates(BUILTIN_TEMPLATES);
 
 // 클라이언트
 const openai = OPENAI_KEY
@@ -61,29 +214,65 @@ const openai = OPENAI_KEY
 
 const genai = GEMINI_KEY ? new GoogleGenerativeAI(GEMINI_KEY) : null;
 
-const youtube = google.youtube({ version: 'v3', auth: YT_API_KEY });
+const transcriptFetcher = createTranscriptFetcher(TRANSCRIPT_FETCHER, { dir: TRANSCRIPT_DIR, langs: TRANSCRIPT_LANGS });
+if (transcriptFetcher) console.log(`[yt] transcript fetcher=${transcriptFetcher.name}`);
 
-/* =========================
-   로컬 저장소(JSON) 유틸
-   ========================= */
-function loadDB() {
-  try {
-    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-    if (!fs.existsSync(DB_FILE))
-      fs.writeFileSync(DB_FILE, JSON.stringify({ channels: {} }, null, 2));
-    return JSON.parse(fs.readFileSync(DB_FILE, 'utf-8'));
-  } catch (e) {
-    console.error('[db] load error:', e);
-    return { channels: {} };
-  }
-}
-function saveDB(db) {
-  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
-}
+const quota = createQuotaMeter({
+  budget: YT_UNIT_BUDGET * Math.max(1, YT_API_KEYS.length),
+  reserve: YT_UNIT_RESERVE,
+  getUsage: getQuotaUsage,
+  addUsage: addQuotaUsage,
+});
+
+// 키 풀: quotaExceeded/rateLimitExceeded 시 다음 키로 넘기고 소진된 키는 쿨다운
+//   키마다 계량 래퍼를 씌워 failover 재시도도 시도마다 전체 쿼터에 과금
+const keyPool = createKeyPool({
+  keys: YT_API_KEYS,
+  makeClient: (key) => meterYouTube(google.youtube({ version: 'v3', auth: key }), quota),
+  perKeyBudget: YT_UNIT_BUDGET,
+  costOf: quota.costOf,
+  getKeyUsage,
+  addKeyUsage,
+  loadKeyStates,
+  saveKeyState,
+});
+
+// ★ YouTube 호출은 전부 키 풀 → 키별 계량 래퍼를 거침(search/channels/playlistItems/videos)
+//   replay 모드에서는 픽스처만 읽으므로 계량/키 풀을 거치지 않음
+const youtube = createYouTubeClient({
+  mode: YT_CLIENT_MODE,
+  fixturesDir: YT_FIXTURES_DIR,
+  live: () => keyPool.client,
+});
+if (YT_CLIENT_MODE !== 'live') console.log(`[yt] client mode=${YT_CLIENT_MODE} fixtures=${YT_FIXTURES_DIR}`);
+
+const {
+  lookupChannelId,
+  searchChannels,
+  fetchChannelMeta,
+  getUploadsPlaylistId,
+  fetchPlaylistMeta,
+  listChannelPlaylists,
+  listPlaylistItems,
+  listNewVideoIds,
+  fetchVideoDetails,
+  listCommentThreads,
+  searchVideoIds,
+} = createYouTubeApi(youtube, {
+  fetchMaxNew: YT_FETCH_MAX_NEW,
+  videosBatch: YT_VIDEOS_BATCH,
+  searchMaxPages: YT_SEARCH_MAX_PAGES,
+});
+
+const jobs = createJobRunner({ concurrency: JOBS_CONCURRENCY });
 
 /* =========================
    Express
    ========================= */
+
+// 오류 → HTTP 상태(쿼터 예산 초과/키 풀 소진은 429, 그 외 500)
+const errorStatus = (e) => e?.status || 500;
+
 const app = express();
 app.use(express.json({ limit: '2mb' }));
 app.use(cors({
@@ -105,165 +294,800 @@ app.get('/healthz', (req, res) => {
 });
 
 /* =========================
-   채널 식별/메타
+   기존 영상 통계 갱신(refresh)
+   ========================= */
+
+/** "30:1,*:7" → [{ maxAgeDays: 30, everyDays: 1 }, { maxAgeDays: Infinity, everyDays: 7 }] */
+function parseRefreshTiers(spec) {
+  const tiers = String(spec || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const [age, every] = s.split(':').map((x) => x.trim());
+      return {
+        maxAgeDays: age === '*' ? Infinity : Number(age),
+        everyDays: Number(every),
+      };
+    })
+    .filter((t) => !Number.isNaN(t.maxAgeDays) && t.everyDays > 0)
+    .sort((a, b) => a.maxAgeDays - b.maxAgeDays);
+  if (!tiers.length) throw new Error(`invalid refresh tiers: ${spec}`);
+  return tiers;
+}
+
+/**
+ * refreshDueVideos
+ * @param candidates [{ videoId, publishedAt, updatedAt }]
+ * @param { tiers?: string, force?: boolean }
+ *
+ * - 저장된 영상 중 나이 구간별 주기가 지난 것만 videos.list로 다시 조회
+ * - force=true: 주기와 상관없이 전부 갱신
+ * - 구간에 해당하지 않는 영상(예: '*' 없이 30일 초과)은 갱신하지 않음
+ * - videos.list 응답에서 빠진 영상 = 삭제/비공개 → removed로 표시(마지막 통계는 유지)
+ *   (업로드 재생목록은 증분으로만 훑으므로 사라짐 판정에는 쓰지 않음)
+ * 반환: { checked, refreshed, removed(새로 removed가 된 수) }
+ */
+async function refreshDueVideos(candidates, { tiers = YT_REFRESH_TIERS, force = false } = {}) {
+  const rules = parseRefreshTiers(tiers);
+  const now = dayjs();
+
+  const due = candidates.filter((v) => {
+    if (force || !v.updatedAt) return true;
+    const age = now.diff(dayjs(v.publishedAt), 'day', true);
+    const rule = rules.find((t) => age < t.maxAgeDays);
+    if (!rule) return false;
+    return now.diff(dayjs(v.updatedAt), 'day', true) >= rule.everyDays;
+  });
+
+  if (!due.length) return { checked: 0, refreshed: 0, removed: 0 };
+  const details = await fetchVideoDetails(due.map((v) => v.videoId));
+  upsertVideos(details);
+  const returned = new Set(details.map((v) => v.videoId));
+  const removed = markVideosRemoved(due.map((v) => v.videoId).filter((id) => !returned.has(id)));
+  if (removed) console.log(`[refresh] ${removed} video(s) removed or made private`);
+  return { checked: due.length, refreshed: details.length, removed };
+}
+
+/** 채널 소속 영상 통계 갱신 */
+function refreshChannelStats(channelId, opts) {
+  return refreshDueVideos(listRefreshCandidates(channelId), opts);
+}
+
+/* =========================
+   메트릭 계산
+   ========================= */
+// 합계 지표 + 합계에서 계산하는 비율/속도 지표(derived.js의 영상별 정의와 같은 의미)
+const AGG_METRICS = [
+  'uploads', 'views', 'likes', 'comments',
+  'engagement', 'likeRate', 'commentRate', 'engagementPer1k', 'viewsPerDay',
+];
+const RATIO_METRICS = {
+  engagement: (r) => (r.views ? (r.likes + r.comments) / r.views : 0),
+  likeRate: (r) => (r.views ? r.likes / r.views : 0),
+  commentRate: (r) => (r.views ? r.comments / r.views : 0),
+  engagementPer1k: (r) => (r.views ? ((r.likes + r.comments) / r.views) * 1000 : 0),
+  viewsPerDay: (r) => (r.uploads ? r.velocity / r.uploads : 0), // 영상별 하루 평균 조회의 평균
+};
+
+/** 집계 행에서 요청한 지표만 남기기(비율/속도는 여기서 계산) */
+function pickMetrics(r, metrics) {
+  const out = {};
+  for (const k of ['bucket', 'group', 'key', 'label']) if (r[k] !== undefined) out[k] = r[k];
+  for (const m of metrics) out[m] = RATIO_METRICS[m] ? RATIO_METRICS[m](r) : r[m] || 0;
+  return out;
+}
+
+/** 영상 행 배열에 파생 지표(비율/속도/채널 중앙값 대비) 추가 */
+function withDerivedMetrics(rows) {
+  if (!rows?.length) return rows || [];
+  const now = Date.now();
+  const channelIds = [...new Set(rows.map((v) => v.channelId).filter(Boolean))];
+  const peerMedian = buildPeerMedians(listPeerViews(channelIds), now);
+  return rows.map((v) => deriveVideoMetrics(v, { now, peerMedian }));
+}
+
+const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+const byDayOf = (series) => Object.fromEntries(series.map((p) => [p.bucket, p.uploads]));
+
+// 메트릭 응답의 영상 행 수(최근 게시순) — 인사이트 입력 상한과 같게
+const METRICS_ROWS = Math.min(AGG_ROWS_MAX, INSIGHT_MAX_ROWS);
+
+/**
+ * makeMetricsFromChannel — 최근 days일 서버 집계(byDay/top/topChannels) + 최근 영상 METRICS_ROWS개
+ * - total은 기간 안 전체 영상 수(rows는 잘릴 수 있음)
+ */
+function makeMetricsFromChannel(channelId, days = 90) {
+  const sinceISO = dayjs().subtract(days, 'day').startOf('day').toISOString();
+  const agg = aggregateVideos({ channelId }, { fromISO: sinceISO, rowLimit: METRICS_ROWS });
+  return {
+    byDay: byDayOf(agg.series),
+    rows: withDerivedMetrics(agg.rows),
+    top: withDerivedMetrics(agg.top),
+    topChannels: agg.topChannels,
+    total: agg.totals.uploads,
+  };
+}
+
+/* =========================
+   통계 히스토리(스냅샷 시계열)
    ========================= */
-async function resolveToChannelId(handleOrId) {
-  if (/^UC[0-9A-Za-z_-]{22}$/.test(handleOrId || '')) return handleOrId;
-  const q = (handleOrId || '').replace(/^@/, '').trim();
-  const r = await youtube.search.list({
-    part: 'snippet',
-    q,
-    type: 'channel',
-    maxResults: 1,
+
+// 직전 포인트 대비 증감(d*) 추가
+function withDeltas(points) {
+  let prev = null;
+  return points.map((p) => {
+    const out = {
+      ...p,
+      dViews: prev ? p.views - prev.views : 0,
+      dLikes: prev ? p.likes - prev.likes : 0,
+      dComments: prev ? p.comments - prev.comments : 0,
+    };
+    prev = p;
+    return out;
+  });
+}
+
+/**
+ * 채널 히스토리: 일자별 합계
+ * - 그날 스냅샷이 없는 영상은 직전 스냅샷 값을 이월(carry-forward)해서 합산
+ *   → 일부 영상만 갱신된 날에도 합계가 튀지 않음
+ */
+function makeChannelHistory(channelId, { from, to } = {}) {
+  const toISO = to ? dayjs(to).endOf('day').toISOString() : null;
+  const snaps = listChannelStats(channelId, { toISO });
+
+  const latest = new Map(); // videoId → { views, likes, comments }
+  const days = [];
+  let i = 0;
+  while (i < snaps.length) {
+    const d = snaps[i].t.slice(0, 10);
+    while (i < snaps.length && snaps[i].t.slice(0, 10) === d) {
+      const s = snaps[i];
+      latest.set(s.videoId, s);
+      i += 1;
+    }
+    let views = 0, likes = 0, comments = 0;
+    for (const s of latest.values()) {
+      views += s.views;
+      likes += s.likes;
+      comments += s.comments;
+    }
+    days.push({ date: d, videos: latest.size, views, likes, comments });
+  }
+
+  const points = withDeltas(days);
+  return from ? points.filter((p) => p.date >= dayjs(from).format('YYYY-MM-DD')) : points;
+}
+
+/**
+ * 채널 성장: 채널 메타 스냅샷의 일자별 마지막 값 + 직전 날 대비 증감
+ * 반환: [{ date, subscribers, videos, views, dSubscribers, dVideos, dViews }]
+ * - 구독자 수가 비공개(NULL)인 날은 dSubscribers = null
+ */
+function makeChannelGrowth(channelId, { from, to } = {}) {
+  const snaps = listChannelMetaStats(channelId, {
+    toISO: to ? dayjs(to).endOf('day').toISOString() : null,
   });
-  const id =
-    r.data?.items?.[0]?.snippet?.channelId ||
-    r.data?.items?.[0]?.id?.channelId ||
-    null;
-  if (!id) throw new Error('cannot resolve channelId');
-  return id;
-}
-async function fetchChannelMeta(channelId) {
-  const r = await youtube.channels.list({
-    part: 'snippet,statistics,contentDetails',
-    id: channelId,
+  const byDate = new Map();
+  for (const s of snaps) byDate.set(s.t.slice(0, 10), s); // 같은 날은 마지막 스냅샷
+
+  let prev = null;
+  const points = [...byDate].map(([date, s]) => {
+    const out = {
+      date,
+      subscribers: s.subscribers,
+      videos: s.videos,
+      views: s.views,
+      dSubscribers: prev && prev.subscribers != null && s.subscribers != null ? s.subscribers - prev.subscribers : null,
+      dVideos: prev ? s.videos - prev.videos : null,
+      dViews: prev ? s.views - prev.views : null,
+    };
+    prev = s;
+    return out;
   });
-  const it = r.data?.items?.[0];
-  if (!it) throw new Error('channel not found');
-  const sn = it.snippet || {};
-  const st = it.statistics || {};
+  return from ? points.filter((p) => p.date >= dayjs(from).format('YYYY-MM-DD')) : points;
+}
+
+/* =========================
+   채널 메타(캐시)
+   ========================= */
+const CHANNEL_META_TTL_HOURS = 24;
+
+/** 채널 메타 — 캐시가 하루 지났으면 새로 받음(받을 때마다 channel_stats에 스냅샷) */
+async function getFreshChannelMeta(channelId) {
+  const cached = getChannelMeta(channelId);
+  if (cached && dayjs().diff(dayjs(cached.fetchedAt), 'hour') < CHANNEL_META_TTL_HOURS) return cached;
+  const meta = await fetchChannelMeta(channelId);
+  upsertChannelMeta(meta);
+  return meta;
+}
+
+/* =========================
+   채널 식별(@핸들, 채널/맞춤/영상 URL, 이름)
+   ========================= */
+const channelNameKey = (x) => String(x || '').toLowerCase().replace(/[\s_.-]/g, '');
+// 핸들/이름은 대소문자 무시, 영상 ID는 대소문자 구분
+const aliasOf = (entry) => `${entry.kind}:${entry.kind === 'video' ? entry.value : entry.value.toLowerCase()}`;
+const LOOKUP_VIA = { handle: 'forHandle', user: 'forUsername', video: 'video' };
+
+// 찾은 채널은 표기 → ID 캐시에 남김(다음부터 호출 없음)
+function resolvedAs(entry, channelId, via, title) {
+  saveChannelAlias(aliasOf(entry), channelId, via);
+  return { status: 'resolved', channelId, via, title: title ?? getChannelMeta(channelId)?.title ?? null };
+}
+
+/**
+ * resolveChannelEntry — parseChannelInput 결과 → { status: resolved|ambiguous|failed, channelId?, via?, title?, candidates?, error? }
+ * 1) 채널 ID: 호출 없음  2) 캐시(channel_aliases)
+ * 3) 1유닛 조회: @핸들 → channels.list forHandle, /user/ → forUsername, 영상 링크 → 영상의 채널,
+ *    /c/ 맞춤 URL → 같은 이름의 핸들
+ * 4) 그래도 없으면 search.list(100유닛) 후보 — 이름이 똑같은 후보가 하나(또는 후보가 하나)일 때만 자동 선택,
+ *    아니면 ambiguous + candidates(썸네일 포함)로 사용자가 고름
+ */
+async function resolveChannelEntry(entry) {
+  if (entry.kind === 'id') {
+    return { status: 'resolved', channelId: entry.value, via: 'id', title: getChannelMeta(entry.value)?.title || null };
+  }
+  if (entry.kind === 'unknown') return { status: 'failed', error: 'not a channel or video URL' };
+
+  const cached = getChannelAlias(aliasOf(entry));
+  if (cached) {
+    return { status: 'resolved', channelId: cached.channelId, via: 'cache', title: getChannelMeta(cached.channelId)?.title || null };
+  }
+
+  if (entry.kind !== 'name') {
+    const lookup = entry.kind === 'custom' ? { kind: 'handle', value: entry.value } : entry;
+    const channelId = await lookupChannelId(lookup);
+    if (channelId) return resolvedAs(entry, channelId, LOOKUP_VIA[lookup.kind]);
+    if (entry.kind === 'video') return { status: 'failed', error: 'video not found' };
+  }
+
+  const found = await searchChannels(entry.value);
+  if (!found.length) return { status: 'failed', error: 'no channel found' };
+  const exact = found.filter((c) => channelNameKey(c.title) === channelNameKey(entry.value));
+  const pick = exact.length === 1 ? exact[0] : found.length === 1 ? found[0] : null;
+  if (pick) return resolvedAs(entry, pick.channelId, 'search', pick.title);
   return {
-    channelId,
-    title: sn.title,
-    description: sn.description,
-    thumbnails: sn.thumbnails,
-    stats: {
-      subscriberCount: Number(st.subscriberCount || 0),
-      videoCount: Number(st.videoCount || 0),
-      viewCount: Number(st.viewCount || 0),
-    },
-    uploadsId: it.contentDetails?.relatedPlaylists?.uploads || null,
-    fetchedAt: new Date().toISOString(),
+    status: 'ambiguous',
+    candidates: found.map((c) => ({
+      channelId: c.channelId,
+      title: c.title,
+      description: c.description.slice(0, 140),
+      thumbnail: c.thumbnails?.default?.url || null,
+    })),
   };
 }
 
+/** 라우트용: 채널 표기 → 채널 ID(후보가 여럿이면 409 + candidates, 못 찾으면 404) */
+async function resolveToChannelId(raw) {
+  const entry = parseChannelInput(raw);
+  if (!entry) throw Object.assign(new Error('channel handle, URL or ID required'), { status: 400 });
+  const r = await resolveChannelEntry(entry);
+  if (r.status === 'resolved') return r.channelId;
+  if (r.status === 'ambiguous') {
+    throw Object.assign(new Error(`ambiguous channel: ${entry.input}`), { status: 409, candidates: r.candidates });
+  }
+  throw Object.assign(new Error(`cannot resolve channel: ${entry.input} (${r.error})`), { status: 404 });
+}
+
 /* =========================
-   업로드 플레이리스트 + 증분/백필 수집
+   채널 일괄 등록(목록/CSV)
    ========================= */
-async function getUploadsPlaylistId(channelId) {
-  const r = await youtube.channels.list({ part: 'contentDetails', id: channelId });
-  const uploads = r.data?.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
-  if (!uploads) throw new Error('uploads playlist not found');
-  return uploads;
+const BULK_MAX_CHANNELS = 100;
+const BULK_HEADER_RE = /^(handle|channel|channel ?id|url|name|핸들|채널|채널 ?id)$/i;
+
+/**
+ * parseChannelList — 줄마다 채널 1개
+ * - CSV 행: 채널처럼 보이는 칸(@핸들/URL/UC…)이 모두면 전부, 아니면 그런 첫 칸, 없으면 첫 칸(이름)
+ * - 첫 줄이 머리글(handle, url, channel id…)이면 건너뜀, 같은 채널 표기는 한 번만
+ */
+function parseChannelList(text) {
+  const out = [];
+  const seen = new Set();
+  String(text || '').split(/\r?\n/).forEach((line, i) => {
+    const cells = line.split(/[,\t;]/).map((c) => c.trim()).filter(Boolean);
+    if (!cells.length || (i === 0 && BULK_HEADER_RE.test(cells[0]))) return;
+    const parsed = cells.map(parseChannelInput).filter(Boolean);
+    const linked = parsed.filter((p) => p.kind !== 'name');
+    const picked = linked.length === parsed.length ? parsed : [linked[0] || parsed[0]];
+    for (const p of picked) {
+      const key = aliasOf(p);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(p);
+    }
+  });
+  return out;
 }
 
+/* =========================
+   키워드 쿼리 매칭(제목 + 설명 + 태그)
+   ========================= */
+// 필드 사이는 '|'로 구분 → 구절이 두 필드에 걸쳐 일치하지 않음('|'는 쿼리에서 OR 기호)
+const matchVideo = (tree, v) => matchQuery(tree, [v.title, v.description, ...(v.tags || [])].join(' | '));
+
+/* =========================
+   수집 실행(라우트/스케줄러 공용)
+   ========================= */
+
 /**
- * listNewVideoIds
- * @param uploadsId
- * @param { sinceISO?: string, lastSeenVideoId?: string, backfill?: boolean }
+ * ingestChannel
+ * @param channelId
+ * @param { since?, backfill?, refresh?, tiers?, signal?, progress? }
+ * 반환: { channelId, added, backfill, refreshed?, errors }
  *
- * - backfill=false(기본): lastSeenVideoId를 만나면 중단(증분)
- * - backfill=true: lastSeenVideoId를 무시하고 sinceISO까지 “뒤로” 탐색(백필)
+ * - 상세 정보는 배치마다 바로 저장(취소돼도 받은 만큼은 남음)
+ * - 실패한 배치는 건너뛰고 errors 로 보고, 이 경우 lastSeen을 올리지 않아 다음 증분에서 다시 시도
+ * - progress(patch): { phase, pagesScanned, idsFound, detailsFetched, detailsTotal, errors, refreshed, removed }
  */
-async function listNewVideoIds(
-  uploadsId,
-  { sinceISO, lastSeenVideoId, backfill = false }
+async function ingestChannel(
+  channelId,
+  { since, backfill = false, refresh = false, tiers, signal, progress = () => {} } = {}
 ) {
-  const out = []; // [{ id, publishedAt }]
-  let pageToken;
-  let stop = false;
-  const cutoff = sinceISO ? new Date(sinceISO).toISOString() : null;
-
-  do {
-    const r = await youtube.playlistItems.list({
-      part: 'contentDetails',
-      playlistId: uploadsId,
-      maxResults: 50,
-      pageToken,
-    });
+  const errors = [];
+  progress({ phase: 'listing', pagesScanned: 0, idsFound: 0 });
+
+  const uploadsId = await getUploadsPlaylistId(channelId);
+  ensureChannel(channelId);
+
+  const state = getIngestState(channelId);
+  const newList = await listNewVideoIds(uploadsId, {
+    sinceISO: since,
+    lastSeenVideoId: state.lastSeenVideoId,
+    backfill, // ★ 백필 모드
+    signal,
+    onPage: ({ pages, found }) => progress({ pagesScanned: pages, idsFound: found }),
+  });
 
-    const items = r.data?.items || [];
-    // playlistItems 는 최신 → 과거 순서
-    for (const it of items) {
-      const id = it?.contentDetails?.videoId;
-      const pub = it?.contentDetails?.videoPublishedAt;
-      if (!id) continue;
-
-      // ★ 백필 아닐 때만 lastSeen에서 멈춤(증분)
-      if (!backfill && lastSeenVideoId && id === lastSeenVideoId) {
-        stop = true;
-        break;
-      }
+  const ids = newList.map((x) => x.id);
+  progress({ phase: 'details', idsFound: ids.length, detailsFetched: 0, detailsTotal: ids.length });
 
-      // 기간 컷(과거로 더 내려가면 중단)
-      if (cutoff && pub && pub < cutoff) {
-        stop = true;
-        break;
-      }
+  let added = 0;
+  await fetchVideoDetails(ids, {
+    signal,
+    onBatch: (rows, done) => {
+      added += upsertVideos(rows);
+      progress({ detailsFetched: done });
+    },
+    onError: (e, batch) => {
+      errors.push(`videos.list(${batch.length}): ${e?.message || e}`);
+      progress({ errors: errors.slice() });
+    },
+  });
 
-      out.push({ id, publishedAt: pub });
-      if (out.length >= YT_FETCH_MAX_NEW) {
-        stop = true;
-        break;
-      }
-    }
+  // ★ 증분 모드일 때만 lastSeen 갱신(백필은 예전 데이터도 긁어오므로 유지)
+  const newest = backfill || errors.length ? null : newList[newList.length - 1];
+  saveIngestState(channelId, {
+    lastSeenVideoId: newest?.id,
+    lastPublishedAt: newest?.publishedAt,
+  });
+
+  // 하루 한 번 메타 스냅샷(예약 수집만으로도 구독자 추이가 쌓이게) — 실패해도 수집 결과는 유지
+  try {
+    await getFreshChannelMeta(channelId);
+  } catch (e) {
+    if (e instanceof JobCancelledError) throw e;
+    errors.push(`channels.list(meta): ${e?.message || e}`);
+    progress({ errors: errors.slice() });
+  }
 
-    if (stop) break;
-    pageToken = r.data?.nextPageToken || null;
-  } while (pageToken);
+  let refreshed;
+  if (refresh) {
+    throwIfCancelled(signal);
+    progress({ phase: 'refresh' });
+    refreshed = await refreshChannelStats(channelId, { tiers });
+    progress({ refreshed: refreshed.refreshed, removed: refreshed.removed });
+  }
 
-  return out.reverse(); // oldest → newest
+  progress({ phase: 'done' });
+  return { channelId, added, backfill, refreshed, errors };
 }
 
-async function fetchVideoDetails(ids) {
-  const rows = [];
-  for (let i = 0; i < ids.length; i += YT_VIDEOS_BATCH) {
-    const batch = ids.slice(i, i + YT_VIDEOS_BATCH); // 50 상한 보장
-    const r = await youtube.videos.list({
-      part: 'snippet,statistics,contentDetails',
-      id: batch.join(','),
-    });
-    for (const v of r.data?.items || []) {
-      rows.push({
-        videoId: v.id,
-        title: v.snippet?.title || '',
-        description: v.snippet?.description || '',
-        publishedAt: v.snippet?.publishedAt,
-        channelId: v.snippet?.channelId,
-        channelTitle: v.snippet?.channelTitle,
-        duration: v.contentDetails?.duration,
-        views: Number(v.statistics?.viewCount || 0),
-        likes: Number(v.statistics?.likeCount || 0),
-        comments: Number(v.statistics?.commentCount || 0),
-      });
+/** 라우트용: 재생목록 표기(ID/URL) → playlistId(형식이 아니면 400) */
+function toPlaylistId(raw) {
+  const playlistId = parsePlaylistInput(raw);
+  if (!playlistId) throw Object.assign(new Error('playlist URL or ID required'), { status: 400 });
+  return playlistId;
+}
+
+/**
+ * ingestPlaylist — 재생목록 수집(추적 소스)
+ * @param playlistId
+ * @param { refresh?, tiers?, signal?, progress? }
+ * 반환: { playlistId, title, members, added, removed, fetched, refreshed?, errors }
+ *
+ * - 재생목록은 순서가 임의라 lastSeen 증분이 안 됨 → 구성은 매번 전체(페이지당 1유닛)
+ * - 상세(videos.list)는 저장소에 없는 영상만, 이미 있는 영상은 refresh 주기로 갱신
+ * - 구성 변화는 syncPlaylistMembers가 기록(added/removed) — 목록이 수집 상한에서 잘리면 빠짐은 판단하지 않음
+ */
+async function ingestPlaylist(playlistId, { refresh = false, tiers, signal, progress = () => {} } = {}) {
+  const errors = [];
+  progress({ phase: 'listing', pagesScanned: 0, idsFound: 0 });
+
+  const meta = upsertPlaylist(await fetchPlaylistMeta(playlistId));
+  const items = await listPlaylistItems(playlistId, {
+    signal,
+    onPage: ({ pages, found }) => progress({ pagesScanned: pages, idsFound: found }),
+  });
+
+  const ids = items.map((it) => it.videoId);
+  const known = getVideosByIds(ids);
+  const missing = ids.filter((id) => !known.has(id));
+  progress({ phase: 'details', idsFound: ids.length, detailsFetched: 0, detailsTotal: missing.length });
+
+  let fetched = 0;
+  await fetchVideoDetails(missing, {
+    signal,
+    onBatch: (rows, done) => {
+      fetched += upsertVideos(rows);
+      progress({ detailsFetched: done });
+    },
+    onError: (e, batch) => {
+      errors.push(`videos.list(${batch.length}): ${e?.message || e}`);
+      progress({ errors: errors.slice() });
+    },
+  });
+
+  throwIfCancelled(signal);
+  const { added, removed } = syncPlaylistMembers(playlistId, items, { complete: items.length < YT_FETCH_MAX_NEW });
+
+  let refreshed;
+  if (refresh) {
+    progress({ phase: 'refresh' });
+    refreshed = await refreshDueVideos(listPlaylistRefreshCandidates(playlistId), { tiers });
+    progress({ refreshed: refreshed.refreshed, removed: refreshed.removed });
+  }
+
+  progress({ phase: 'done' });
+  return {
+    playlistId,
+    title: meta.title,
+    members: items.length,
+    added: added.length,
+    removed: removed.length,
+    fetched,
+    refreshed,
+    errors,
+  };
+}
+
+/**
+ * ingestComments — 영상들의 새 댓글 수집(증분)
+ * @param videos [{ videoId, channelId }]
+ * @param { maxPerVideo?, signal?, progress? }
+ * 반환: { videos, added, disabled, errors }
+ *
+ * - 영상마다 지난번 가장 최근 댓글 이후만 받음(최신순) — 상한(maxPerVideo)을 넘는 오래된 댓글은 받지 않음
+ * - 실패한 영상은 건너뛰고 errors로 보고(커서를 올리지 않아 다음에 다시 시도)
+ * - progress(patch): { phase: 'comments', videosDone, videosTotal, commentsAdded, errors }
+ */
+async function ingestComments(videos, { maxPerVideo = YT_COMMENTS_PER_VIDEO, signal, progress = () => {} } = {}) {
+  const errors = [];
+  let added = 0;
+  let disabled = 0;
+  progress({ phase: 'comments', videosDone: 0, videosTotal: videos.length, commentsAdded: 0 });
+
+  for (const [i, v] of videos.entries()) {
+    throwIfCancelled(signal);
+    try {
+      const { newestAt } = getCommentState(v.videoId);
+      const r = await listCommentThreads(v.videoId, { sinceISO: newestAt, max: maxPerVideo, signal });
+      added += upsertComments(r.items.map((c) => ({ ...c, channelId: v.channelId })));
+      if (r.disabled) disabled += 1;
+      saveCommentState(v.videoId, { newestAt: r.items[0]?.publishedAt, disabled: r.disabled });
+    } catch (e) {
+      if (e instanceof JobCancelledError) throw e;
+      errors.push(`${v.videoId}: ${e?.message || e}`);
     }
+    progress({ videosDone: i + 1, commentsAdded: added, errors: errors.slice() });
   }
-  return rows;
+
+  progress({ phase: 'done' });
+  return { videos: videos.length, added, disabled, errors };
+}
+
+/** 채널의 댓글 수집 대상(최근 days일 영상 중 새 댓글이 있을 만한 것, 최대 maxVideos개) */
+function commentTargetsOf(channelId, { days = 30, maxVideos = YT_COMMENTS_MAX_VIDEOS } = {}) {
+  const sinceISO = dayjs().subtract(days, 'day').startOf('day').toISOString();
+  return listCommentCandidates(channelId, { sinceISO, limit: maxVideos });
 }
 
 /* =========================
-   메트릭 계산
+   자막/대본
    ========================= */
-function makeMetricsFromChannel(db, channelId, days = 90) {
-  const ch = db.channels[channelId];
-  if (!ch) return { byDay: {}, rows: [], top: [], total: 0 };
 
-  // ★ days 필터링 제거: 프론트엔드에서 필터링하므로 서버는 모든 데이터 반환
-  const rows = Object.values(ch.videos || {})
-    .sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+/**
+ * importTranscript — 자막 파일 1개(.vtt/.srt) 저장
+ * @param { name: 파일 이름, content, videoId?: 없으면 파일 이름에서, language? }
+ * 반환: { videoId, language, cues, words, known: 저장된 영상인지 }
+ */
+function importTranscript({ name = '', content = '', videoId, language }) {
+  const fromName = videoIdFromFilename(name);
+  const id = String(videoId || fromName.videoId || '').trim();
+  if (!/^[0-9A-Za-z_-]{11}$/.test(id)) {
+    throw Object.assign(new Error(`videoId required (or a file name like "제목 [VIDEOID].ko.vtt"): ${name}`), { status: 400 });
+  }
+  if (!detectSubtitleFormat(content, name)) {
+    throw Object.assign(new Error(`not a .vtt/.srt subtitle file: ${name || id}`), { status: 400 });
+  }
+  const cues = parseSubtitles(content);
+  if (!cues.length) throw Object.assign(new Error(`no subtitle cues found: ${name || id}`), { status: 400 });
+  const text = cuesToText(cues);
+  const lang = language || fromName.language;
+  saveTranscript({ videoId: id, language: lang, source: `import:${path.basename(name) || 'upload'}`, text, cues });
+  return { videoId: id, language: lang, cues: cues.length, words: getTranscript(id).words, known: getVideosByIds([id]).has(id) };
+}
+
+/**
+ * fetchTranscripts — 설정된 가져오기 방식(TRANSCRIPT_FETCHER)으로 자막 저장
+ * @param videoIds
+ * @param { signal?, progress? }
+ * 반환: { videos, saved, missing, errors }
+ * - progress(patch): { phase: 'transcripts', videosDone, videosTotal, saved, errors }
+ */
+async function fetchTranscripts(videoIds, { signal, progress = () => {} } = {}) {
+  const errors = [];
+  let saved = 0;
+  let missing = 0;
+  progress({ phase: 'transcripts', videosDone: 0, videosTotal: videoIds.length, saved: 0 });
+
+  for (const [i, videoId] of videoIds.entries()) {
+    throwIfCancelled(signal);
+    try {
+      const t = await transcriptFetcher.fetch(videoId);
+      if (t?.cues?.length) {
+        saveTranscript({ videoId, language: t.language, source: t.source, text: cuesToText(t.cues), cues: t.cues });
+        saved += 1;
+      } else {
+        missing += 1;
+      }
+    } catch (e) {
+      errors.push(`${videoId}: ${e?.message || e}`);
+    }
+    progress({ videosDone: i + 1, saved, errors: errors.slice() });
+  }
+
+  progress({ phase: 'done' });
+  return { videos: videoIds.length, saved, missing, errors };
+}
+
+/** 검색어 정규화(추적 쿼리의 키) — 문법 오류면 QueryParseError(400) */
+function normalizeQueryText(q) {
+  const text = String(q || '').trim().replace(/\s+/g, ' ').replace(/ ?, ?/g, ', ');
+  parseQuery(text);
+  return text;
+}
+
+/** 쿼리 해석 결과(UI 표시용): 구문 트리 + 실제 search.list q + 정규화 문자열 */
+function describeQuery(text) {
+  const tree = parseQuery(text);
+  return { parsed: tree, searchQ: toSearchQ(tree), normalized: formatQuery(tree) };
+}
+
+/**
+ * runTrackedQuery — 추적 키워드 검색 실행(증분) 후 결과를 저장
+ * @param query getOrCreateQuery() 결과
+ * @param { days?: number, refresh?: boolean, tiers?: string, signal? }
+ *
+ * - 첫 실행: 최근 days일 전체 검색
+ * - 이후: 마지막 검색 시각(− 여유분) 이후만 검색(채널 수집의 lastSeenVideoId와 같은 역할)
+ *         + days 창이 지금까지 검색한 범위보다 넓어졌으면 그 앞부분만 추가 검색(publishedBefore)
+ * - 쿼리 전체(AND/OR/NOT/구절)는 search.list 결과에 제목·설명·태그 기준 후처리로 적용
+ *   (검색 스니펫에는 태그가 없고 설명이 잘려 있으므로 videos.list 결과로 판정)
+ * - 새로 찾은 영상만 videos.list 조회(일치하는 것만 저장), 이미 저장된 영상은 저장된 행으로 판정
+ *   → 통계는 refresh 주기에 따름
+ * - 쿼터 예비분으로 검색이 중간에 멈추거나(degraded) 페이지 상한에서 잘리면(truncated)
+ *   커서를 받은 데까지만 전진 → 다음 실행에서 이어서
+ * 반환: { queryId, found, matched, newFound, pages, degraded, truncated, refreshed? }
+ */
+async function runTrackedQuery(query, { days = 90, refresh = false, tiers, signal } = {}) {
+  const tree = parseQuery(query.query);
+  const { publishedBefore: until, ...filters } = query.filters || {};
+  const windowStart = dayjs().subtract(days, 'day').startOf('day').toISOString();
+  const startedAt = new Date().toISOString();
+
+  // until(publishedBefore 필터)이 있으면 모든 구간의 상한
+  const ranges = [];
+  if (!query.lastSearchAt) {
+    ranges.push({ kind: 'window', publishedAfter: windowStart, publishedBefore: until });
+  } else {
+    if (query.coveredSince && windowStart < query.coveredSince) {
+      ranges.push({ kind: 'backfill', publishedAfter: windowStart, publishedBefore: query.coveredSince });
+    }
+    const after = dayjs(query.lastSearchAt).subtract(YT_QUERY_OVERLAP_MIN, 'minute').toISOString();
+    if (!until || after < until) ranges.push({ kind: 'incremental', publishedAfter: after, publishedBefore: until });
+  }
+
+  const found = new Set();
+  let pages = 0;
+  let degraded = false;
+  let truncated = false;
+  const cursor = {};
+
+  for (const range of ranges) {
+    const r = await searchVideoIds({
+      q: toSearchQ(tree),
+      publishedAfter: range.publishedAfter,
+      publishedBefore: range.publishedBefore,
+      filters,
+      canContinue: () => YT_CLIENT_MODE === 'replay' || quota.canSpend('search.list'),
+      signal,
+    });
+    r.videoIds.forEach((id) => found.add(id));
+    pages += r.pages;
+    degraded = degraded || r.degraded;
+    truncated = truncated || r.truncated;
+
+    // 어디까지 덮었는지: 끝까지 받았으면 구간 시작, 중간에 멈췄으면 받은 것 중 가장 이른 시각
+    const partial = r.degraded || r.truncated;
+    const reached = partial ? (r.oldestPublishedAt || range.publishedBefore || startedAt) : range.publishedAfter;
+    if (range.kind === 'window') {
+      cursor.coveredSince = reached;
+      cursor.lastSearchAt = startedAt;
+    } else if (range.kind === 'backfill') {
+      cursor.coveredSince = reached;
+    } else if (!partial) {
+      cursor.lastSearchAt = startedAt;
+    }
+  }
+
+  const ids = [...found];
+  const known = getVideosByIds(ids);
+  const fresh = (await fetchVideoDetails(ids.filter((id) => !known.has(id)), { signal }))
+    .filter((v) => matchVideo(tree, v));
+  upsertVideos(fresh);
+  const matched = [...[...known.values()].filter((v) => matchVideo(tree, v)), ...fresh].map((v) => v.videoId);
+  const newFound = linkQueryVideos(query.id, matched);
+  updateQueryCursor(query.id, cursor);
+
+  const refreshed = refresh ? await refreshDueVideos(listQueryRefreshCandidates(query.id), { tiers }) : undefined;
+  return { queryId: query.id, found: ids.length, matched: matched.length, newFound, pages, degraded, truncated, refreshed };
+}
+
+/**
+ * makeMetricsFromQuery — 저장된 쿼리 결과(최근 days일)로 메트릭 구성(YouTube 호출 없음)
+ * 반환: { query, queryId, filters, byDay, rows, top, topChannels, total, parsed, searchQ, normalized, lastSearchAt, coveredSince }
+ */
+function makeMetricsFromQuery(query, days = 90) {
+  const sinceISO = dayjs().subtract(days, 'day').startOf('day').toISOString();
+  const agg = aggregateVideos({ queryId: query.id }, {
+    fromISO: sinceISO,
+    toISO: query.filters?.publishedBefore,
+    rowLimit: METRICS_ROWS,
+  });
+  return {
+    query: query.query,
+    queryId: query.id,
+    filters: query.filters,
+    byDay: byDayOf(agg.series),
+    rows: withDerivedMetrics(agg.rows),
+    top: withDerivedMetrics(agg.top),
+    topChannels: agg.topChannels,
+    total: agg.totals.uploads,
+    ...describeQuery(query.query),
+    lastSearchAt: query.lastSearchAt,
+    coveredSince: query.coveredSince,
+  };
+}
 
-  // 프론트엔드에서 days로 필터링하므로, 여기서는 빈 객체 반환 (사용 안 함)
-  const byDay = {};
-  const top = [];
-  return { byDay, rows, top, total: rows.length };
+/**
+ * searchVideosByQuery — 키워드 쿼리(AND/OR/NOT/구절, querylang.js)에 일치하는 최근 days일 영상
+ * - filters: normalizeSearchFilters() 입력(지역/언어/길이/카테고리/채널/publishedBefore)
+ * - 추적 쿼리(검색어 + 필터)로 저장하고 증분 검색 → 저장소 기준 메트릭 반환
+ * 반환: { query, queryId, byDay, rows, top, total, newFound, pages, degraded, truncated, ... }
+ */
+async function searchVideosByQuery(q, days = 90, { filters = {}, refresh = true, signal } = {}) {
+  const query = getOrCreateQuery(normalizeQueryText(q), normalizeSearchFilters(filters));
+  const run = await runTrackedQuery(query, { days, refresh, signal });
+  return { ...makeMetricsFromQuery(getQuery(query.id), days), ...run };
 }
 
 /* =========================
-   문자열 AND 매칭(키워드 검색용)
+   워치리스트(자동 수집)
    ========================= */
-function isMatchAllKeywords(text, keywords) {
-  const t = (text || '').toLowerCase();
-  return keywords.every((k) => t.includes(k.toLowerCase()));
+const WATCH_KINDS = ['channel', 'query', 'playlist'];
+const DEFAULT_WATCH_SCHEDULE = '0 6 * * *';
+const DEFAULT_WATCH_SINCE_DAYS = 90;
+
+/** 라우트용: 항목 options 검사(객체가 아니면 400) — query의 filters는 검색 필터 정규화(잘못되면 400) */
+function normalizeWatchOptions(kind, options) {
+  const bad = (msg) => Object.assign(new Error(msg), { status: 400 });
+  const opts = options ?? {};
+  if (typeof opts !== 'object' || Array.isArray(opts)) throw bad('options must be an object');
+  if (kind !== 'query' || opts.filters == null) return opts;
+  if (typeof opts.filters !== 'object' || Array.isArray(opts.filters)) throw bad('options.filters must be an object');
+  return { ...opts, filters: normalizeSearchFilters(opts.filters) };
+}
+
+/**
+ * runWatchEntry — 항목 1개 실행 + 결과 기록(작업 큐 안에서 실행 — submitWatchJob)
+ * - channel: 증분 수집(lastSeenVideoId) + 통계 갱신 (+ options.comments면 최근 영상 새 댓글)
+ * - query  : 추적 키워드 증분 검색(options.days, options.filters) + 통계 갱신
+ * - playlist: 재생목록 구성 전체 확인(추가/빠짐 기록) + 통계 갱신
+ * 반환: 실행 결과(watch_runs.result와 같음) — 실패/취소는 기록 후 다시 던짐(작업 상태에 반영)
+ */
+async function runWatchEntry(entry, { signal, progress = () => {} } = {}) {
+  const runId = startWatchRun(entry.id);
+  const opts = entry.options || {};
+  try {
+    let added = 0;
+    let result;
+    if (entry.kind === 'channel') {
+      const sinceDays = Number(opts.sinceDays || DEFAULT_WATCH_SINCE_DAYS);
+      result = await ingestChannel(entry.target, {
+        since: dayjs().subtract(sinceDays, 'day').startOf('day').toISOString(),
+        refresh: opts.refresh !== false,
+        signal,
+        progress,
+      });
+      added = result.added;
+      if (opts.comments) {
+        const { errors, ...comments } = await ingestComments(commentTargetsOf(entry.target, { days: sinceDays }), {
+          signal,
+          progress,
+        });
+        result = { ...result, comments, errors: [...result.errors, ...errors] };
+      }
+    } else if (entry.kind === 'playlist') {
+      result = await ingestPlaylist(entry.target, { refresh: opts.refresh !== false, signal, progress });
+      added = result.added;
+    } else {
+      progress({ phase: 'listing' });
+      const m = await searchVideosByQuery(entry.target, Number(opts.days || 90), {
+        filters: opts.filters,
+        refresh: opts.refresh !== false,
+        signal,
+      });
+      added = m.newFound;
+      result = { query: m.query, queryId: m.queryId, total: m.total, newFound: m.newFound, degraded: m.degraded, truncated: m.truncated };
+      progress({ phase: 'done' });
+    }
+    finishWatchRun(runId, { status: 'ok', added, result });
+    return { watchId: entry.id, added, ...result };
+  } catch (e) {
+    const status = e instanceof JobCancelledError ? 'cancelled' : 'error';
+    finishWatchRun(runId, { status, error: e.message || String(e) });
+    throw e;
+  }
+}
+
+// 항목별 대기/실행 중 작업(같은 항목을 큐에 두 번 넣지 않게)
+const watchJobIds = new Map(); // watchId → jobId
+
+/**
+ * submitWatchJob — 워치리스트 항목 실행을 작업 큐에 등록(스케줄러/지금 실행 공용)
+ * - JOBS_CONCURRENCY와 쿼터 보호를 수동 수집과 같이 받고, /api/yt/jobs에서 보고/취소 가능
+ * - 이미 대기/실행 중이면 그 작업을 그대로 반환
+ * - 실행할 때 항목을 다시 읽음(대기 중 수정은 반영, 삭제됐으면 건너뜀)
+ * - 시작 전에 취소되면 cancelled 실행 기록을 남김
+ * - 다음 실행 시각은 등록할 때 갱신(큐에서 기다리는 동안 다시 등록되지 않게)
+ */
+function submitWatchJob(entry) {
+  const pending = jobs.get(watchJobIds.get(entry.id));
+  if (pending && !jobs.isFinished(pending)) return pending;
+  const job = jobs.submit(
+    'watch',
+    { watchId: entry.id, kind: entry.kind, target: entry.target, label: entry.label },
+    ({ signal, progress }) => {
+      const current = getWatchEntry(entry.id);
+      if (!current) return { watchId: entry.id, skipped: 'deleted' };
+      return runWatchEntry(current, { signal, progress });
+    },
+    { phase: 'queued', errors: [] }
+  );
+  watchJobIds.set(entry.id, job.id);
+  const unsubscribe = jobs.subscribe(job.id, (snap) => {
+    if (!jobs.isFinished(snap)) return;
+    unsubscribe();
+    if (snap.status === 'cancelled' && !snap.startedAt && getWatchEntry(entry.id)) {
+      finishWatchRun(startWatchRun(entry.id), { status: 'cancelled', error: 'cancelled before start' });
+    }
+  });
+  const next = entry.enabled ? nextRun(entry.schedule) : null;
+  updateWatchEntry(entry.id, { nextRunAt: next ? next.toISOString() : null });
+  return job;
 }
 
 /* =========================
@@ -279,313 +1103,1150 @@ function pickProvider() {
   return 'openai';
 }
 
-// OpenAI 호출
-async function callOpenAI(sample, days) {
-  if (!openai) throw new Error('OPENAI_API_KEY not configured');
+// LLM 호출 타임아웃(Gemini SDK는 자체 타임아웃이 없음)
+const withTimeout = (p, ms, label) =>
+  Promise.race([
+    p,
+    new Promise((_, rej) => setTimeout(() => rej(new Error(`${label} timeout`)), ms)),
+  ]);
 
-  const sys = [
-    '당신은 마케팅/콘텐츠 분석가입니다.',
-    '입력 데이터(YouTube 업로드/성과 로그)를 바탕으로 한국어로 상세하고 실무적인 리포트를 작성합니다.',
-    '항상 번호와 불릿을 활용해 가독성을 높이고, 과도한 수사를 피합니다.',
-    '주요 패턴과 예외, 인사이트, 리스크, 실행 제안을 명확히 나눠 주세요.',
-  ].join(' ');
-
-  const usr = [
-    `기간: 최근 ${days}일`,
-    `데이터 샘플(최대 ${INSIGHT_MAX_ROWS}건):`,
-    JSON.stringify(sample, null, 2),
-    '',
-    '아래 형식으로 작성해 주세요:',
-    '',
-    '## 1) 업로드 빈도/요일·시즌 패턴',
-    '- 업로드 양/주기/특이한 급증일(이벤트 여부 추정 포함)',
-    '',
-    '## 2) 메시지/제품/시리즈 변화(추정 근거)',
-    '- 강조 메시지 변화, 제품군/시리즈 비중 변화, 포맷(숏폼/롱폼) 변화',
-    '',
-    '## 3) 성과 TOP 영상 공통점(제목/주제/길이/시기)',
-    '- 공통 키워드/포맷, 조회/참여수(좋아요/댓글) 관점의 특징',
-    '',
-    '## 4) 주요 업로드 컨텐츠 유형 분석',
-    '- 캠페인/USP/리뷰/하우투/행사/기업PR 등 유형별 특징과 성과 비교',
-    '',
-    '## 5) 리스크/모니터링 포인트',
-    '- 과거 대비 하락 지표, 콘텐츠 포맷/메시지 편향 리스크',
-    '',
-    '## 6) 제품 분석',
-    '- 에어컨/공기청정기/HVAC 제품에 대한 영상 제목과 내용 요약',
-    '',
-    '## 7) 종합 의견 및 제안',
-    '- 브랜드/마케팅/콘텐츠 전략에 대한 상세 제안',
-  ].join('\n');
+/* ---------- JSON 응답 호출(인사이트, 댓글 분석) ---------- */
 
+async function completeJsonOpenAI(system, user, maxTokens) {
+  if (!openai) throw new Error('OPENAI_API_KEY not configured');
   const out = await openai.chat.completions.create({
     model: OPENAI_MODEL,
     messages: [
-      { role: 'system', content: sys },
-      { role: 'user', content: usr },
+      { role: 'system', content: system },
+      { role: 'user', content: user },
     ],
     temperature: 0.2,
-    max_tokens: 1400,
+    max_tokens: maxTokens,
+    response_format: { type: 'json_object' },
   });
-
   const text = out.choices?.[0]?.message?.content?.trim();
   if (!text) throw new Error('OpenAI returned empty content');
   return text;
 }
 
-// Gemini 호출
-async function callGemini(sample, days) {
+async function completeJsonGemini(system, user, maxTokens) {
   if (!genai) throw new Error('GEMINI_API_KEY not configured');
-
   const model = genai.getGenerativeModel({
     model: GEMINI_MODEL,
-    generationConfig: {
-      maxOutputTokens: GEMINI_MAX_TOKENS,
-      temperature: 0.2,
-    },
+    generationConfig: { maxOutputTokens: maxTokens, temperature: 0.2, responseMimeType: 'application/json' },
   });
-
-  const prompt = [
-    '당신은 마케팅/콘텐츠 분석가입니다.',
-    '입력 데이터(YouTube 업로드/성과 로그)를 바탕으로 한국어로 상세하고 실무적인 리포트를 작성합니다.',
-    '항상 번호와 불릿을 활용해 가독성을 높이고, 과도한 수사를 피합니다.',
-    '주요 패턴과 예외, 인사이트, 리스크, 실행 제안을 명확히 나눠 주세요.',
-    '',
-    `기간: 최근 ${days}일`,
-    `데이터 샘플(최대 ${INSIGHT_MAX_ROWS}건):`,
-    JSON.stringify(sample, null, 2),
-    '',
-    '아래 형식으로 작성해 주세요:',
-    '',
-    '## 1) 업로드 빈도/요일·시즌 패턴',
-    '- 업로드 양/주기/특이한 급증일(이벤트 여부 추정 포함)',
-    '',
-    '## 2) 메시지/제품/시리즈 변화(추정 근거)',
-    '- 강조 메시지 변화, 제품군/시리즈 비중 변화, 포맷(숏폼/롱폼) 변화',
-    '',
-    '## 3) 성과 TOP 영상 공통점(제목/주제/길이/시기)',
-    '- 공통 키워드/포맷, 조회/참여수(좋아요/댓글) 관점의 특징',
-    '',
-    '## 4) 주요 업로드 컨텐츠 유형 분석',
-    '- 캠페인/USP/리뷰/하우투/행사/기업PR 등 유형별 특징과 성과 비교',
-    '',
-    '## 5) 리스크/모니터링 포인트',
-    '- 과거 대비 하락 지표, 콘텐츠 포맷/메시지 편향 리스크',
-    '',
-    '## 6) 제품 분석',
-    '- 에어컨/공기청정기/HVAC 제품에 대한 영상 제목과 내용 요약',
-    '',
-    '## 7) 종합 의견 및 제안',
-    '- 브랜드/마케팅/콘텐츠 전략에 대한 상세 제안',
-  ].join('\n');
-
-  // 타임아웃 처리
-  const withTimeout = (p, ms) =>
-    Promise.race([
-      p,
-      new Promise((_, rej) => setTimeout(() => rej(new Error('Gemini timeout')), ms)),
-    ]);
-
-  const resp = await withTimeout(model.generateContent([{ text: prompt }]), GEMINI_TIMEOUT_MS);
+  const resp = await withTimeout(model.generateContent([{ text: `${system}\n\n${user}` }]), GEMINI_TIMEOUT_MS, 'Gemini');
   const text = resp?.response?.text?.() || '';
   if (!text) throw new Error('Gemini returned empty content');
   return text;
 }
 
-// 인사이트 텍스트 생성: 공급자 선택 + 폴백
-async function buildInsightText(sample, days) {
-  const want = pickProvider();
-  if (want === 'gemini') {
-    try {
-      return await callGemini(sample, days);
-    } catch (e) {
-      console.warn('[insight] gemini failed, fallback->openai:', e?.message || e);
-      return await callOpenAI(sample, days);
-    }
-  } else {
+/**
+ * completeJson — 공급자 선택 + 폴백(LLM_PROVIDER 우선, 실패하면 다른 공급자)
+ * 반환: { text, provider }
+ */
+async function completeJson(system, user, { maxTokens = 1200, label = 'llm' } = {}) {
+  const order = pickProvider() === 'gemini' ? ['gemini', 'openai'] : ['openai', 'gemini'];
+  const call = (provider) => (provider === 'gemini' ? completeJsonGemini : completeJsonOpenAI)(system, user, maxTokens);
+  try {
+    return { text: await call(order[0]), provider: order[0] };
+  } catch (e) {
+    console.warn(`[${label}] ${order[0]} failed, fallback->${order[1]}:`, e?.message || e);
+    return { text: await call(order[1]), provider: order[1] };
+  }
+}
+
+/**
+ * generateInsight — 구조화 인사이트(JSON) 생성
+ * @param prompt buildInsightPrompt() 결과
+ * @param { videoIds: 샘플 영상 ID(이 밖의 인용은 제거) }
+ * 반환: { insight, provider, attempts }
+ * - 스키마(INSIGHT_SCHEMA)에 안 맞으면 오류 목록을 붙여 최대 INSIGHT_JSON_RETRIES번 다시 요청, 그래도 안 되면 502
+ */
+async function generateInsight(prompt, { videoIds }) {
+  let request = prompt;
+  let errors = [];
+  for (let attempt = 1; attempt <= INSIGHT_JSON_RETRIES + 1; attempt++) {
+    const { text, provider } = await completeJson(request.system, request.user, { maxTokens: INSIGHT_MAX_TOKENS, label: 'insight' });
+    const parsed = parseInsight(text, { videoIds });
+    if (!parsed.errors.length) return { insight: parsed.insight, provider, attempts: attempt };
+    errors = parsed.errors;
+    console.warn(`[insight] schema mismatch (attempt ${attempt}):`, errors.slice(0, 3).join('; '));
+    request = buildInsightRepairPrompt(prompt, text, errors);
+  }
+  throw Object.assign(new Error(`LLM insight did not match the schema: ${errors.slice(0, 3).join('; ')}`), { status: 502 });
+}
+
+/* =========================
+   댓글 분석(LLM)
+   ========================= */
+
+/**
+ * analyzeComments — 영상별로 저장된 댓글(좋아요순 상한)을 LLM에 보내 감성/주제 분석 후 저장
+ * @param videos listCommentAnalysisCandidates() 결과
+ * @param { signal?, progress? }
+ * 반환: { videos, analyzed, errors }
+ * - 영상 1개 = 호출 1회, 실패한 영상은 건너뛰고 errors로 보고
+ * - progress(patch): { phase: 'analyze', videosDone, videosTotal, errors }
+ */
+async function analyzeComments(videos, { signal, progress = () => {} } = {}) {
+  const errors = [];
+  let analyzed = 0;
+  progress({ phase: 'analyze', videosDone: 0, videosTotal: videos.length });
+
+  for (const [i, v] of videos.entries()) {
+    throwIfCancelled(signal);
     try {
-      return await callOpenAI(sample, days);
+      const { items } = listComments({ videoId: v.videoId, order: 'likes', limit: COMMENT_ANALYSIS_MAX_COMMENTS });
+      if (items.length) {
+        const transcript = getTranscriptTexts([v.videoId]).get(v.videoId)?.slice(0, INSIGHT_TRANSCRIPT_CHARS);
+        const prompt = buildCommentPrompt({ ...v, transcript }, items);
+        const { text, provider } = await completeJson(COMMENT_ANALYSIS_SYSTEM, prompt, {
+          label: 'comments',
+        });
+        saveCommentAnalysis({
+          videoId: v.videoId,
+          channelId: v.channelId,
+          provider,
+          commentsUsed: items.length,
+          newestCommentAt: items.reduce((m, c) => (c.publishedAt > m ? c.publishedAt : m), ''),
+          result: parseCommentAnalysis(text),
+        });
+        analyzed += 1;
+      }
     } catch (e) {
-      // OpenAI 429/오류 시 Gemini로 폴백
-      console.warn('[insight] openai failed, fallback->gemini:', e?.message || e);
-      return await callGemini(sample, days);
+      errors.push(`${v.videoId}: ${e?.message || e}`);
     }
+    progress({ videosDone: i + 1, errors: errors.slice() });
   }
+
+  progress({ phase: 'done' });
+  return { videos: videos.length, analyzed, errors };
 }
 
 /* =========================
    라우트
    ========================= */
 
-/** 채널 핸들/ID 확인 */
+/**
+ * 채널 확인 — handle: @핸들, 채널/맞춤(/c/, /user/)/영상 URL, 채널 ID, 이름
+ * - 후보가 여럿이면 200 { ambiguous: true, input, candidates }
+ * - channelId(후보 중 고른 값)를 함께 보내면 그 선택을 handle 표기에 기억
+ */
 app.get('/api/yt/resolve', async (req, res) => {
   try {
-    const { handle = '' } = req.query;
-    const channelId = await resolveToChannelId(handle);
-    const db = loadDB();
-
-    // 메타 캐시(24h)
-    const cached = db.channels[channelId]?.meta;
-    const freshEnough = cached && dayjs().diff(dayjs(cached.fetchedAt), 'hour') < 24;
-    const meta = freshEnough ? cached : await fetchChannelMeta(channelId);
-
-    db.channels[channelId] = db.channels[channelId] || { videos: {} };
-    db.channels[channelId].meta = meta;
-    saveDB(db);
-
-    res.json(meta);
+    const entry = parseChannelInput(String(req.query.handle || ''));
+    const picked = parseChannelInput(String(req.query.channelId || ''));
+    if (picked && picked.kind !== 'id') return res.status(400).json({ error: 'channelId must be a UC… channel ID' });
+    if (!entry && !picked) return res.status(400).json({ error: 'handle or channelId required' });
+
+    let channelId = picked?.value;
+    if (picked) {
+      if (entry && entry.kind !== 'id') saveChannelAlias(aliasOf(entry), channelId, 'pick');
+    } else {
+      const r = await resolveChannelEntry(entry);
+      if (r.status === 'ambiguous') return res.json({ ambiguous: true, input: entry.input, candidates: r.candidates });
+      if (r.status === 'failed') return res.status(404).json({ error: `cannot resolve channel: ${entry.input} (${r.error})` });
+      channelId = r.channelId;
+    }
+    res.json(await getFreshChannelMeta(channelId));
   } catch (e) {
-    res.status(500).json({ error: e.message || String(e) });
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
   }
 });
 
+/** 채널 수집 작업 등록(진행 상황은 jobs에서) */
+function submitIngestJob(channelId, { since, backfill = false, refresh = false, tiers } = {}) {
+  return jobs.submit(
+    'ingest',
+    { channelId, since, backfill, refresh },
+    ({ signal, progress }) => ingestChannel(channelId, { since, backfill, refresh, tiers, signal, progress }),
+    { phase: 'queued', pagesScanned: 0, idsFound: 0, detailsFetched: 0, detailsTotal: 0, errors: [] }
+  );
+}
+
 /**
- * 증분/백필 수집
- * body: { handle?, channelId?, since, backfill?: boolean }
+ * 증분/백필 수집 — 백그라운드 작업으로 등록하고 즉시 jobId 반환(202)
+ * body: { handle?, channelId?, since, backfill?: boolean, refresh?: boolean, tiers?: string }
  * - backfill=false(기본): 최신 → 과거로 가다가 lastSeenVideoId를 만나면 중단(증분)
  * - backfill=true : lastSeenVideoId 무시 + sinceISO까지 끝까지(백필)
+ * - refresh=true  : 신규 수집 후 기존 영상 통계도 주기(tiers)에 따라 갱신
+ * 진행 상황: GET /api/yt/jobs/:id, GET /api/yt/jobs/:id/events(SSE)
  */
 app.post('/api/yt/ingest', async (req, res) => {
-  const { handle, channelId: channelIdIn, since, backfill = false } = req.body || {};
+  const {
+    handle, channelId: channelIdIn, since, backfill = false, refresh = false, tiers,
+  } = req.body || {};
   try {
-    const db = loadDB();
-
+    if (since != null && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ ok: false, error: `invalid since: ${since}` });
+    }
     const channelId = channelIdIn || (handle ? await resolveToChannelId(handle) : null);
     if (!channelId) throw new Error('channelId/handle required');
 
-    const uploadsId = await getUploadsPlaylistId(channelId);
-
-    const ch =
-      db.channels[channelId] || { videos: {}, lastSeenVideoId: null, lastPublishedAt: null };
-
-    const newList = await listNewVideoIds(uploadsId, {
-      sinceISO: since,
-      lastSeenVideoId: ch.lastSeenVideoId,
-      backfill, // ★ 백필 모드
-    });
+    const job = submitIngestJob(channelId, { since, backfill, refresh, tiers });
+    res.status(202).json({ ok: true, jobId: job.id, channelId, backfill, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, error: e.message || String(e) });
+  }
+});
 
-    const ids = newList.map((x) => x.id);
-    if (ids.length === 0) {
-      return res.json({ ok: true, added: 0, channelId, backfill });
+/**
+ * bulkOnboard — 목록 항목을 차례로 확인하고, 확인된 채널마다 첫 수집 작업 등록(dryRun이면 확인만)
+ * - 같은 채널로 풀린 항목은 작업 1개만
+ * - progress(patch): { phase: 'resolve', done, total, results }
+ * 반환: { since, results: [{ input, status, channelId?, title?, candidates?, error?, jobId? }], queued }
+ */
+async function bulkOnboard(entries, { sinceISO, backfill = false, dryRun = false, signal, progress = () => {} }) {
+  const results = [];
+  const queued = new Map(); // channelId → jobId
+  progress({ phase: 'resolve' });
+  for (const entry of entries) {
+    throwIfCancelled(signal);
+    let r;
+    try {
+      r = await resolveChannelEntry(entry);
+    } catch (e) {
+      r = { status: 'failed', error: e.message || String(e) };
     }
-
-    const details = await fetchVideoDetails(ids);
-    for (const v of details) ch.videos[v.videoId] = v;
-
-    // ★ 증분 모드일 때만 lastSeen 갱신(백필은 예전 데이터도 긁어오므로 유지)
-    if (!backfill) {
-      const newest = newList[newList.length - 1];
-      ch.lastSeenVideoId = newest?.id || ch.lastSeenVideoId;
-      ch.lastPublishedAt = newest?.publishedAt || ch.lastPublishedAt;
+    if (r.status === 'resolved' && !dryRun) {
+      if (!queued.has(r.channelId)) {
+        ensureChannel(r.channelId);
+        queued.set(r.channelId, submitIngestJob(r.channelId, { since: sinceISO, backfill }).id);
+      }
+      r.jobId = queued.get(r.channelId);
     }
+    results.push({ input: entry.input, ...r });
+    progress({ done: results.length, results: results.slice() });
+  }
+  return { since: sinceISO, results, queued: queued.size };
+}
 
-    if (!ch.meta) {
-      try {
-        ch.meta = await fetchChannelMeta(channelId);
-      } catch {}
+/**
+ * 채널 일괄 등록 — 목록/CSV(핸들, URL, 채널 ID)를 확인하고 첫 수집 작업을 등록하는 작업을 만들고 즉시 jobId 반환(202)
+ * body: { text?: string(줄마다 1개, CSV 가능), items?: string[], since, backfill?, dryRun?: boolean }
+ * - 항목마다 resolveChannelEntry 순서로 확인:
+ *   채널 ID·이미 확인한 표기(channel_aliases 캐시)는 호출 없음 →
+ *   @핸들(forHandle)·/user/(forUsername)·영상 링크(videos.list)·/c/ 맞춤 URL(핸들로 시도)은 1유닛 →
+ *   이름, 또는 1유닛 조회로 못 찾은 핸들/사용자/맞춤 URL만 search.list(100유닛) 후보(영상 링크는 실패 처리)
+ * - ambiguous: 후보(candidates) 중 하나를 골라 채널 ID로 다시 보내면 됨
+ * - dryRun=true: 확인만(수집 작업 등록 안 함, since 불필요)
+ * - 확인은 항목당 최대 100유닛·수 초라 요청 안에서 하지 않음 → 작업(kind 'bulk')의 result가 bulkOnboard 반환값,
+ *   진행 중에는 progress.results에 확인된 항목이 쌓임(GET /api/yt/jobs/:id, /events)
+ */
+app.post('/api/yt/channels/bulk', async (req, res) => {
+  const { text = '', items = [], since, backfill = false, dryRun = false } = req.body || {};
+  try {
+    const entries = parseChannelList([text, ...(Array.isArray(items) ? items : [])].join('\n'));
+    if (!entries.length) return res.status(400).json({ error: 'no channels in text/items' });
+    if (entries.length > BULK_MAX_CHANNELS) {
+      return res.status(400).json({ error: `too many channels (${entries.length} > ${BULK_MAX_CHANNELS})` });
+    }
+    if (!dryRun && (!since || Number.isNaN(Date.parse(since)))) {
+      return res.status(400).json({ error: 'since (YYYY-MM-DD) required' });
     }
+    const sinceISO = dryRun ? null : dayjs(since).startOf('day').toISOString();
+
+    const job = jobs.submit(
+      'bulk',
+      { channels: entries.length, since: sinceISO, backfill: !!backfill, dryRun: !!dryRun },
+      ({ signal, progress }) => bulkOnboard(entries, { sinceISO, backfill: !!backfill, dryRun: !!dryRun, signal, progress }),
+      { phase: 'queued', done: 0, total: entries.length, results: [] }
+    );
+    res.status(202).json({ ok: true, jobId: job.id, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
 
-    db.channels[channelId] = ch;
-    saveDB(db);
+/**
+ * 기존 영상 통계 갱신(신규 수집 없이)
+ * body: { handle?, channelId?, tiers?: string, force?: boolean }
+ */
+app.post('/api/yt/refresh', async (req, res) => {
+  const { handle, channelId: channelIdIn, tiers, force = false } = req.body || {};
+  try {
+    const channelId = channelIdIn || (handle ? await resolveToChannelId(handle) : null);
+    if (!channelId) throw new Error('channelId/handle required');
+
+    const r = await refreshChannelStats(channelId, { tiers, force });
+    res.json({ ok: true, channelId, ...r });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+/* ---------- 쿼터 ---------- */
 
-    res.json({ ok: true, added: details.length, channelId, backfill });
+/** 오늘(PT) 유닛 사용량/예산 + 최근 일자별 합계 */
+app.get('/api/yt/quota', (req, res) => {
+  try {
+    res.json({ ...quota.status(), history: listQuotaDays({ limit: 14 }), keys: keyPool.status() });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 키 풀 상태(키별 오늘 사용량/쿨다운/마지막 오류) — 키 원문은 노출하지 않음 */
+app.get('/api/yt/keys', (req, res) => {
+  try {
+    const keys = keyPool.status();
+    res.json({ total: keys.length, healthy: keys.filter((k) => k.healthy).length, keys });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message || String(e) });
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
   }
 });
 
+/* ---------- 백그라운드 작업 ---------- */
+
+app.get('/api/yt/jobs', (req, res) => {
+  res.json({ items: jobs.list({ limit: Math.min(100, Number(req.query.limit || 50)) }) });
+});
+
+app.get('/api/yt/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  res.json(job);
+});
+
+/**
+ * 진행 상황 스트림(Server-Sent Events)
+ * - event: progress  data: job 스냅샷(변경 때마다)
+ * - event: done      data: 최종 job 스냅샷 후 연결 종료
+ */
+app.get('/api/yt/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15_000);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  if (jobs.isFinished(job)) {
+    send('done', job);
+    return close();
+  }
+  send('progress', job);
+  unsubscribe = jobs.subscribe(job.id, (snap) => {
+    if (jobs.isFinished(snap)) {
+      send('done', snap);
+      close();
+    } else {
+      send('progress', snap);
+    }
+  });
+  req.on('close', close);
+});
+
+app.post('/api/yt/jobs/:id/cancel', (req, res) => {
+  if (!jobs.get(req.params.id)) return res.status(404).json({ error: 'job not found' });
+  const ok = jobs.cancel(req.params.id);
+  res.json({ ok, job: jobs.get(req.params.id) });
+});
+
 /** 채널 메트릭(저장소에서 계산) */
 app.get('/api/yt/metrics-by-handle', async (req, res) => {
   try {
-    // ★ days 파라미터는 무시: 프론트엔드에서 필터링하므로 서버는 모든 데이터 반환
+    const days = Number(req.query.days || 90);
     const channelIdQ = req.query.channelId ? String(req.query.channelId) : null;
     const handle = req.query.handle ? String(req.query.handle) : null;
 
     const channelId = channelIdQ || (handle ? await resolveToChannelId(handle) : null);
     if (!channelId) return res.json({ byDay: {}, rows: [], top: [], total: 0 });
 
-    const db = loadDB();
-    res.json(makeMetricsFromChannel(db, channelId));
+    res.json(makeMetricsFromChannel(channelId, days));
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 메트릭 집계(저장소 기준, YouTube 호출 없음)
+ * query:
+ *  - 대상: channelId | handle | queryId | playlistId(추적 중인 재생목록의 현재 구성)
+ *  - from, to: YYYY-MM-DD(현지 날짜, to 포함) — 없으면 최근 days일(기본 90)
+ *  - granularity: day | week(월요일 시작) | month
+ *  - metrics: uploads,views,likes,comments,engagement,likeRate,commentRate,engagementPer1k,viewsPerDay
+ *             (쉼표, 기본 전부 — 비율은 합계 기준, viewsPerDay는 영상별 하루 평균 조회의 평균)
+ *  - groupBy: channel | weekday | format | category(categoryId) | language(오디오 언어 2자) | tag(태그별, 상위 30개)
+ *  - format: 포맷 필터(쉼표) — shorts(180초 이하) | short(180초 초과 4분 미만) | mid(4–20분) | long(20분 초과) | live(라이브/프리미어) | unknown
+ *  - availability: 공개 상태 필터(쉼표) — public | unlisted | private | removed(삭제/비공개 전환)
+ *  - top(기본 10), topBy: views | likes | comments | engagement | viewsPerDay
+ *  - top 행에는 영상별 파생 지표(derived.js) 포함
+ *  - tzOffsetMinutes: 날짜 경계용 UTC 오프셋(분 단위 정수, ±840 이내 — 예: KST = 540)
+ *  - rows: 기간 안 영상 행 수(최근 게시순, 최대 AGG_ROWS_MAX — 표/인사이트 입력용), rowsOffset: 건너뛸 행 수(페이지)
+ *          rows 행에도 파생 지표 포함, rowsTotal = 필터를 적용한 기간 안 전체 영상 수
+ * 반환: { scope, from, to, granularity, metrics, groupBy, formats, availability, series, groups?, totals, top, topChannels,
+ *         rows?, rowsTotal? }
+ */
+app.get('/api/yt/metrics', async (req, res) => {
+  try {
+    const q = req.query;
+    const granularity = String(q.granularity || 'day');
+    if (!AGG_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: `granularity must be one of ${AGG_GRANULARITIES.join(', ')}` });
+    }
+    const groupBy = q.groupBy ? String(q.groupBy) : null;
+    if (groupBy && !AGG_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of ${AGG_GROUPS.join(', ')}` });
+    }
+    const topBy = String(q.topBy || 'views');
+    if (!AGG_TOP_BY.includes(topBy)) return res.status(400).json({ error: `topBy must be one of ${AGG_TOP_BY.join(', ')}` });
+    const metrics = q.metrics ? String(q.metrics).split(',').map((m) => m.trim()).filter(Boolean) : AGG_METRICS;
+    const unknown = metrics.filter((m) => !AGG_METRICS.includes(m));
+    if (unknown.length) return res.status(400).json({ error: `unknown metrics: ${unknown.join(', ')}` });
+    const formats = q.format ? String(q.format).split(',').map((f) => f.trim()).filter(Boolean) : null;
+    const badFormats = (formats || []).filter((f) => !VIDEO_FORMATS.includes(f));
+    if (badFormats.length) {
+      return res.status(400).json({ error: `format must be among ${VIDEO_FORMATS.join(', ')}: ${badFormats.join(', ')}` });
+    }
+    const availability = q.availability ? String(q.availability).split(',').map((a) => a.trim()).filter(Boolean) : null;
+    const badAvailability = (availability || []).filter((a) => !VIDEO_AVAILABILITY.includes(a));
+    if (badAvailability.length) {
+      return res.status(400).json({
+        error: `availability must be among ${VIDEO_AVAILABILITY.join(', ')}: ${badAvailability.join(', ')}`,
+      });
+    }
+    const tz = Number(q.tzOffsetMinutes || 0);
+    if (!Number.isInteger(tz) || Math.abs(tz) > 840) {
+      return res.status(400).json({ error: 'tzOffsetMinutes must be an integer between -840 and 840' });
+    }
+    const rowLimit = Number(q.rows || 0);
+    const rowOffset = Number(q.rowsOffset || 0);
+    if (!Number.isInteger(rowLimit) || rowLimit < 0 || rowLimit > AGG_ROWS_MAX) {
+      return res.status(400).json({ error: `rows must be an integer between 0 and ${AGG_ROWS_MAX}` });
+    }
+    if (!Number.isInteger(rowOffset) || rowOffset < 0) {
+      return res.status(400).json({ error: 'rowsOffset must be a non-negative integer' });
+    }
+
+    let scope;
+    if (q.queryId) {
+      const query = getQuery(Number(q.queryId));
+      if (!query) return res.status(404).json({ error: 'query not found' });
+      scope = { queryId: query.id };
+    } else if (q.playlistId) {
+      const playlist = getPlaylist(String(q.playlistId));
+      if (!playlist) return res.status(404).json({ error: 'playlist not found' });
+      scope = { playlistId: playlist.playlistId };
+    } else if (q.channelId || q.handle) {
+      scope = { channelId: q.channelId ? String(q.channelId) : await resolveToChannelId(String(q.handle)) };
+    } else {
+      return res.status(400).json({ error: 'channelId, handle, queryId or playlistId required' });
+    }
+
+    // 현지 날짜 → UTC 경계(to는 다음 날 0시 미만)
+    const from = q.from ? String(q.from) : dayjs().subtract(Number(q.days || 90), 'day').format('YYYY-MM-DD');
+    const to = q.to ? String(q.to) : null;
+    const toUTC = (date, plusDays = 0) => {
+      const t = Date.parse(`${date}T00:00:00Z`);
+      if (Number.isNaN(t)) throw Object.assign(new Error(`invalid date: ${date}`), { status: 400 });
+      return new Date(t + plusDays * 86400000 - tz * 60000).toISOString();
+    };
+
+    const agg = aggregateVideos(scope, {
+      fromISO: toUTC(from),
+      toISO: to ? toUTC(to, 1) : null,
+      granularity,
+      groupBy,
+      formats,
+      availability,
+      topN: Number(q.top || 10),
+      topBy,
+      tzOffsetMinutes: tz,
+      rowLimit,
+      rowOffset,
+    });
+    res.json({
+      scope,
+      from,
+      to,
+      granularity,
+      metrics,
+      groupBy,
+      formats,
+      availability,
+      series: agg.series.map((r) => pickMetrics(r, metrics)),
+      groups: agg.groups?.map((r) => pickMetrics(
+        groupBy === 'weekday' ? { ...r, label: WEEKDAY_LABELS[r.key] }
+          : groupBy === 'format' ? { ...r, label: FORMAT_LABELS[r.key] || r.key }
+            : r,
+        metrics,
+      )),
+      totals: pickMetrics(agg.totals, metrics),
+      top: withDerivedMetrics(agg.top),
+      topChannels: agg.topChannels,
+      ...(agg.rows ? { rows: withDerivedMetrics(agg.rows), rowsTotal: agg.totals.uploads } : {}),
+    });
   } catch (e) {
-    res.status(500).json({ error: e.message || String(e) });
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
   }
 });
 
-/** 키워드 메트릭(검색) — 모든 키워드를 포함(AND) */
+/**
+ * 통계 히스토리(조회/좋아요/댓글 시계열)
+ * query: { videoId } | { channelId | handle }, from?, to? (YYYY-MM-DD)
+ * - videoId : 스냅샷별 포인트 [{ t, views, likes, comments, dViews, dLikes, dComments }]
+ * - channel : 일자별 합계 포인트 [{ date, videos, views, likes, comments, d* }]
+ */
+app.get('/api/yt/history', async (req, res) => {
+  try {
+    const videoId = req.query.videoId ? String(req.query.videoId) : null;
+    const from = req.query.from ? String(req.query.from) : null;
+    const to = req.query.to ? String(req.query.to) : null;
+
+    if (videoId) {
+      const points = listVideoStats(videoId, {
+        fromISO: from ? dayjs(from).startOf('day').toISOString() : null,
+        toISO: to ? dayjs(to).endOf('day').toISOString() : null,
+      });
+      return res.json({ videoId, points: withDeltas(points) });
+    }
+
+    const channelIdQ = req.query.channelId ? String(req.query.channelId) : null;
+    const handle = req.query.handle ? String(req.query.handle) : null;
+    const channelId = channelIdQ || (handle ? await resolveToChannelId(handle) : null);
+    if (!channelId) return res.status(400).json({ error: 'videoId or channelId/handle required' });
+
+    res.json({ channelId, points: makeChannelHistory(channelId, { from, to }) });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 채널 성장(구독자/영상/총 조회 추이) — 채널 메타를 받을 때마다 쌓인 스냅샷 기준
+ * query: channelId | handle, from?, to? (YYYY-MM-DD)
+ * 반환: { channelId, points: [{ date, subscribers, videos, views, dSubscribers, dVideos, dViews }] }
+ */
+app.get('/api/yt/channel-history', async (req, res) => {
+  try {
+    const channelIdQ = req.query.channelId ? String(req.query.channelId) : null;
+    const handle = req.query.handle ? String(req.query.handle) : null;
+    const channelId = channelIdQ || (handle ? await resolveToChannelId(handle) : null);
+    if (!channelId) return res.status(400).json({ error: 'channelId/handle required' });
+
+    const from = req.query.from ? String(req.query.from) : null;
+    const to = req.query.to ? String(req.query.to) : null;
+    res.json({ channelId, points: makeChannelGrowth(channelId, { from, to }) });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+const SEARCH_FILTER_KEYS = ['regionCode', 'relevanceLanguage', 'videoDuration', 'videoCategoryId', 'channelId', 'publishedBefore'];
+const pickSearchFilters = (src = {}) =>
+  Object.fromEntries(SEARCH_FILTER_KEYS.filter((k) => src[k] != null && src[k] !== '').map((k) => [k, src[k]]));
+
+/** 쿼리 해석만(검색 없음) — 입력 중 구문 트리 미리보기용. 문법 오류는 400 */
+app.get('/api/yt/query/parse', (req, res) => {
+  try {
+    res.json(describeQuery(String(req.query.q || '')));
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e), pos: e.pos ?? null });
+  }
+});
+
+/**
+ * 키워드 메트릭(검색) — 쿼리 언어(AND/OR/NOT, "구절", 괄호, 쉼표=AND)
+ * - 추적 쿼리로 저장 후 증분 검색(지난 검색 이후만) → 저장된 결과로 응답
+ * - 필터: regionCode, relevanceLanguage, videoDuration(any|short|medium|long), videoCategoryId,
+ *         channelId(그 채널 안에서만), publishedBefore — 검색어 + 필터 조합마다 따로 추적
+ * - cached=1: 검색 없이 저장된 결과만(쿼터 0) — 추적 중이 아닌 쿼리는 만들지 않고 빈 결과
+ */
 app.get('/api/yt/metrics-by-query', async (req, res) => {
   try {
     const q = String(req.query.q || '').trim();
     const days = Number(req.query.days || 90);
     if (!q) return res.json({ query: null, byDay: {}, rows: [], top: [], total: 0 });
 
-    const keywords = q.split(',').map((s) => s.trim()).filter(Boolean);
-    const publishedAfter = dayjs().subtract(days, 'day').startOf('day').toISOString();
-
-    const videoIds = [];
-    let pageToken;
-    let pages = 0;
-
-    do {
-      const r = await youtube.search.list({
-        part: 'snippet',
-        q: keywords.join(' '),
-        type: 'video',
-        order: 'date',
-        maxResults: 50,
-        publishedAfter,
-        pageToken,
+    const filters = pickSearchFilters(req.query);
+    if (req.query.cached === '1') {
+      const text = normalizeQueryText(q);
+      const normalized = normalizeSearchFilters(filters);
+      const query = findQuery(text, normalized);
+      if (query) return res.json(makeMetricsFromQuery(query, days));
+      return res.json({
+        query: text,
+        queryId: null,
+        filters: normalized,
+        byDay: {},
+        rows: [],
+        top: [],
+        topChannels: [],
+        total: 0,
+        ...describeQuery(text),
+        lastSearchAt: null,
+        coveredSince: null,
       });
+    }
+    res.json(await searchVideosByQuery(q, days, { filters }));
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
 
-      const items = r.data?.items || [];
-      for (const it of items) {
-        const id = it?.id?.videoId;
-        if (!id) continue;
-        const sn = it.snippet || {};
-        const text = `${sn.title || ''}\n${sn.description || ''}`;
-        if (!isMatchAllKeywords(text, keywords)) continue; // ★ 모든 키워드 AND
-        videoIds.push(id);
-      }
+/* ---------- 추적 키워드 ---------- */
+
+/** 저장된 키워드 목록(최근 실행순, 매칭 영상 수 포함) */
+app.get('/api/yt/queries', (req, res) => {
+  try {
+    res.json({ items: listQueries() });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 저장된 결과로 메트릭(검색 없음, 즉시) */
+app.get('/api/yt/queries/:id/metrics', (req, res) => {
+  try {
+    const query = getQuery(Number(req.params.id));
+    if (!query) return res.status(404).json({ error: 'query not found' });
+    res.json(makeMetricsFromQuery(query, Number(req.query.days || 90)));
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 증분 검색 실행 body: { days?: number } */
+app.post('/api/yt/queries/:id/run', async (req, res) => {
+  try {
+    const query = getQuery(Number(req.params.id));
+    if (!query) return res.status(404).json({ error: 'query not found' });
+    const days = Number(req.body?.days || 90);
+    const run = await runTrackedQuery(query, { days, refresh: true });
+    res.json({ ...makeMetricsFromQuery(getQuery(query.id), days), ...run });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+app.delete('/api/yt/queries/:id', (req, res) => {
+  try {
+    if (!deleteQuery(Number(req.params.id))) return res.status(404).json({ error: 'query not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/* ---------- 재생목록(추적 소스) ---------- */
+
+/** 재생목록 수집 작업 등록(진행 상황은 jobs에서) */
+function submitPlaylistJob(playlistId, { refresh = false, tiers } = {}) {
+  return jobs.submit(
+    'playlist-ingest',
+    { playlistId, refresh },
+    ({ signal, progress }) => ingestPlaylist(playlistId, { refresh, tiers, signal, progress }),
+    { phase: 'queued', pagesScanned: 0, idsFound: 0, detailsFetched: 0, detailsTotal: 0, errors: [] }
+  );
+}
+
+/** 추적 중인 재생목록(channelId 주면 그 채널 것만, 현재 구성 영상 수 포함) */
+app.get('/api/yt/playlists', (req, res) => {
+  try {
+    res.json({ items: listPlaylists({ channelId: req.query.channelId ? String(req.query.channelId) : null }) });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 추적 시작 + 첫 수집 작업 등록(202)
+ * body: { playlist: 재생목록 URL(list=…) 또는 ID, refresh?: boolean, tiers?: string }
+ */
+app.post('/api/yt/playlists', (req, res) => {
+  try {
+    const { playlist = '', refresh = false, tiers } = req.body || {};
+    const playlistId = toPlaylistId(playlist);
+    const job = submitPlaylistJob(playlistId, { refresh, tiers });
+    res.status(202).json({ ok: true, jobId: job.id, playlistId, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+/**
+ * 채널의 공개 재생목록(playlists.list, 페이지당 1유닛) + 추적 여부
+ * query: { channelId | handle }
+ */
+app.get('/api/yt/channel-playlists', async (req, res) => {
+  try {
+    const q = req.query;
+    if (!q.channelId && !q.handle) return res.status(400).json({ error: 'channelId or handle required' });
+    const channelId = q.channelId ? String(q.channelId) : await resolveToChannelId(String(q.handle));
+    const tracked = new Set(listPlaylists({ channelId }).map((p) => p.playlistId));
+    const items = (await listChannelPlaylists(channelId)).map((p) => ({ ...p, tracked: tracked.has(p.playlistId) }));
+    res.json({ channelId, items });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
 
-      pageToken = r.data?.nextPageToken || null;
-      pages += 1;
-    } while (pageToken && pages < YT_SEARCH_MAX_PAGES);
+/** 다시 수집(구성 전체 확인) body: { refresh?: boolean, tiers?: string } */
+app.post('/api/yt/playlists/:id/ingest', (req, res) => {
+  try {
+    const playlist = getPlaylist(req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'playlist not found' });
+    const { refresh = true, tiers } = req.body || {};
+    const job = submitPlaylistJob(playlist.playlistId, { refresh, tiers });
+    res.status(202).json({ ok: true, jobId: job.id, playlistId: playlist.playlistId, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, error: e.message || String(e) });
+  }
+});
 
-    const rows = [];
-    for (let i = 0; i < videoIds.length; i += YT_VIDEOS_BATCH) {
-      const batch = videoIds.slice(i, i + YT_VIDEOS_BATCH);
-      const r = await youtube.videos.list({
-        part: 'snippet,statistics,contentDetails',
-        id: batch.join(','),
+/**
+ * 구성 변화 — 최근 days일(기본 30) 안에 들어오거나 빠진 영상
+ * 반환: { playlist, items: [{ videoId, title, change: added|removed, at }] }
+ */
+app.get('/api/yt/playlists/:id/changes', (req, res) => {
+  try {
+    const playlist = getPlaylist(req.params.id);
+    if (!playlist) return res.status(404).json({ error: 'playlist not found' });
+    const sinceISO = dayjs().subtract(Number(req.query.days || 30), 'day').startOf('day').toISOString();
+    res.json({ playlist, items: listPlaylistChanges(playlist.playlistId, { sinceISO }) });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+app.delete('/api/yt/playlists/:id', (req, res) => {
+  try {
+    if (!deletePlaylist(req.params.id)) return res.status(404).json({ error: 'playlist not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/* ---------- 댓글 ---------- */
+
+/**
+ * 댓글 수집 작업 등록(202) — 진행 상황은 jobs에서
+ * body: { videoId? | channelId? | handle?, days?: number(채널: 최근 며칠 영상, 기본 30), maxVideos?, maxPerVideo? }
+ * - videoId: 저장된(수집된) 영상만
+ * - 채널: 새 댓글이 있을 만한 영상만(통계의 댓글 수 기준), 최근 게시순 maxVideos개
+ */
+app.post('/api/yt/comments/ingest', async (req, res) => {
+  const { videoId, channelId: channelIdIn, handle, days = 30, maxVideos, maxPerVideo } = req.body || {};
+  try {
+    let videos;
+    if (videoId) {
+      const v = getVideosByIds([String(videoId)]).get(String(videoId));
+      if (!v) return res.status(404).json({ ok: false, error: 'video not found (ingest its channel first)' });
+      videos = [{ videoId: v.videoId, channelId: v.channelId }];
+    } else {
+      const channelId = channelIdIn || (handle ? await resolveToChannelId(handle) : null);
+      if (!channelId) return res.status(400).json({ ok: false, error: 'videoId, channelId or handle required' });
+      videos = commentTargetsOf(String(channelId), {
+        days: Number(days),
+        maxVideos: Math.max(1, Number(maxVideos || YT_COMMENTS_MAX_VIDEOS)),
       });
-      for (const v of r.data?.items || []) {
-        rows.push({
-          videoId: v.id,
-          title: v.snippet?.title || '',
-          description: v.snippet?.description || '',
-          publishedAt: v.snippet?.publishedAt,
-          channelId: v.snippet?.channelId,
-          channelTitle: v.snippet?.channelTitle,
-          duration: v.contentDetails?.duration,
-          views: Number(v.statistics?.viewCount || 0),
-          likes: Number(v.statistics?.likeCount || 0),
-          comments: Number(v.statistics?.commentCount || 0),
-        });
+    }
+    const perVideo = Math.max(1, Number(maxPerVideo || YT_COMMENTS_PER_VIDEO));
+    const job = jobs.submit(
+      'comments',
+      { videoId, channelId: channelIdIn, handle, days, videos: videos.length },
+      ({ signal, progress }) => ingestComments(videos, { maxPerVideo: perVideo, signal, progress }),
+      { phase: 'queued', videosDone: 0, videosTotal: videos.length, commentsAdded: 0, errors: [] }
+    );
+    res.status(202).json({ ok: true, jobId: job.id, videos: videos.length, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+/**
+ * 저장된 댓글 페이지/검색
+ * query: { videoId | channelId | handle, q?: 본문·작성자 부분 일치, order?: recent|likes|replies, limit?(최대 200), offset? }
+ * 반환: { items, total, limit, offset, order }
+ */
+app.get('/api/yt/comments', async (req, res) => {
+  try {
+    const q = req.query;
+    const order = String(q.order || 'recent');
+    if (!COMMENT_ORDERS.includes(order)) return res.status(400).json({ error: `order must be one of ${COMMENT_ORDERS.join(', ')}` });
+    let scope;
+    if (q.videoId) {
+      scope = { videoId: String(q.videoId) };
+    } else if (q.channelId || q.handle) {
+      scope = { channelId: q.channelId ? String(q.channelId) : await resolveToChannelId(String(q.handle)) };
+    } else {
+      return res.status(400).json({ error: 'videoId, channelId or handle required' });
+    }
+
+    const limit = Math.max(1, Math.min(200, Number(q.limit || 50)));
+    const offset = Math.max(0, Number(q.offset || 0));
+    const { items, total } = listComments({ ...scope, q: q.q ? String(q.q).trim() : null, order, limit, offset });
+    res.json({ ...scope, items, total, limit, offset, order });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 댓글 분석 작업 등록(202) — 저장된 댓글을 영상별로 LLM(OpenAI/Gemini 폴백)에 보냄
+ * body: { videoId? | channelId? | handle?, maxVideos?, force?: boolean(새 댓글이 없어도 다시 분석) }
+ * - 채널: 분석한 적 없거나 그 뒤 새 댓글이 수집된 영상만, 최근 게시순 maxVideos개
+ */
+app.post('/api/yt/comments/analyze', async (req, res) => {
+  const { videoId, channelId: channelIdIn, handle, maxVideos, force = false } = req.body || {};
+  try {
+    if (!openai && !genai) return res.status(400).json({ ok: false, error: 'no LLM provider configured (OPENAI_API_KEY / GEMINI_API_KEY)' });
+    const channelId = videoId ? null : channelIdIn || (handle ? await resolveToChannelId(handle) : null);
+    if (!videoId && !channelId) return res.status(400).json({ ok: false, error: 'videoId, channelId or handle required' });
+
+    const videos = listCommentAnalysisCandidates({
+      videoId: videoId ? String(videoId) : null,
+      channelId,
+      limit: Math.max(1, Number(maxVideos || COMMENT_ANALYSIS_MAX_VIDEOS)),
+      force: !!force || !!videoId,
+    });
+    const job = jobs.submit(
+      'comment-analysis',
+      { videoId, channelId, videos: videos.length },
+      ({ signal, progress }) => analyzeComments(videos, { signal, progress }),
+      { phase: 'queued', videosDone: 0, videosTotal: videos.length, errors: [] }
+    );
+    res.status(202).json({ ok: true, jobId: job.id, videos: videos.length, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+/**
+ * 댓글 분석 결과
+ * query: { videoId | channelId | handle }
+ * 반환: { items: 영상별 [{ videoId, title, provider, commentsUsed, analyzedAt, result }], rollup: 합계(sentiment.js) | null }
+ */
+app.get('/api/yt/comments/analysis', async (req, res) => {
+  try {
+    const q = req.query;
+    let items;
+    if (q.videoId) {
+      items = listCommentAnalyses({ videoIds: [String(q.videoId)] });
+    } else if (q.channelId || q.handle) {
+      items = listCommentAnalyses({ channelId: q.channelId ? String(q.channelId) : await resolveToChannelId(String(q.handle)) });
+    } else {
+      return res.status(400).json({ error: 'videoId, channelId or handle required' });
+    }
+    res.json({ items, rollup: items.length ? rollupCommentAnalyses(items) : null });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/* ---------- 자막/대본 ---------- */
+
+/**
+ * 자막 검색/목록
+ * query: { q?: 본문 부분 일치, channelId? | handle?, limit?(최대 100), offset? }
+ * 반환: { fetcher, items: [{ videoId, title, publishedAt, language, source, words, excerpts: [{ text, at }] }], total }
+ * - q가 없으면 자막이 있는 영상 목록(excerpts = 본문 앞부분)
+ */
+app.get('/api/yt/transcripts', async (req, res) => {
+  try {
+    const q = req.query;
+    const channelId = q.channelId ? String(q.channelId) : q.handle ? await resolveToChannelId(String(q.handle)) : null;
+    const text = q.q ? String(q.q).trim() : '';
+    const limit = Math.max(1, Math.min(100, Number(q.limit || 20)));
+    const offset = Math.max(0, Number(q.offset || 0));
+    const { items, total } = searchTranscripts({ q: text || null, channelId, limit, offset });
+    res.json({
+      fetcher: transcriptFetcher?.name || 'none',
+      items: items.map(({ text: body, ...t }) => ({
+        ...t,
+        excerpts: text ? excerptAround(body, text) : [{ text: body.slice(0, 200), at: 0 }],
+      })),
+      total,
+      limit,
+      offset,
+    });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 영상 1개의 자막(본문 + 큐) */
+app.get('/api/yt/transcripts/:videoId', (req, res) => {
+  try {
+    const t = getTranscript(req.params.videoId);
+    if (!t) return res.status(404).json({ error: 'transcript not found' });
+    res.json(t);
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 자막 파일 가져오기(.vtt/.srt)
+ * body: { files: [{ name, content, videoId?, language? }] } — videoId가 없으면 파일 이름에서("제목 [VIDEOID].ko.vtt")
+ * 반환: { results: [{ name, ok, videoId?, language?, cues?, words?, known?, error? }], saved }
+ */
+app.post('/api/yt/transcripts/import', (req, res) => {
+  try {
+    const files = Array.isArray(req.body?.files) ? req.body.files : [];
+    if (!files.length) return res.status(400).json({ error: 'files required' });
+    const results = files.map((f) => {
+      try {
+        return { name: f?.name, ok: true, ...importTranscript(f || {}) };
+      } catch (e) {
+        return { name: f?.name, ok: false, error: e.message || String(e) };
+      }
+    });
+    res.json({ results, saved: results.filter((r) => r.ok).length });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 자막 가져오기 작업 등록(202) — TRANSCRIPT_FETCHER가 none이면 400
+ * body: { videoId? | channelId? | handle?, maxVideos?(채널: 자막 없는 최근 영상, 기본 50) }
+ */
+app.post('/api/yt/transcripts/fetch', async (req, res) => {
+  const { videoId, channelId: channelIdIn, handle, maxVideos = 50 } = req.body || {};
+  try {
+    if (!transcriptFetcher) {
+      return res.status(400).json({ ok: false, error: 'no transcript fetcher configured (TRANSCRIPT_FETCHER); import .vtt/.srt files instead' });
+    }
+    let videoIds;
+    if (videoId) {
+      videoIds = [String(videoId)];
+    } else {
+      const channelId = channelIdIn || (handle ? await resolveToChannelId(handle) : null);
+      if (!channelId) return res.status(400).json({ ok: false, error: 'videoId, channelId or handle required' });
+      videoIds = listTranscriptCandidates(String(channelId), { limit: Math.max(1, Number(maxVideos)) });
+    }
+    const job = jobs.submit(
+      'transcripts',
+      { videoId, channelId: channelIdIn, handle, videos: videoIds.length },
+      ({ signal, progress }) => fetchTranscripts(videoIds, { signal, progress }),
+      { phase: 'queued', videosDone: 0, videosTotal: videoIds.length, saved: 0, errors: [] }
+    );
+    res.status(202).json({ ok: true, jobId: job.id, videos: videoIds.length, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ ok: false, error: e.message || String(e) });
+  }
+});
+
+app.delete('/api/yt/transcripts/:videoId', (req, res) => {
+  try {
+    if (!deleteTranscript(req.params.videoId)) return res.status(404).json({ error: 'transcript not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/* ---------- 워치리스트 CRUD ---------- */
+
+/** 목록(마지막 실행 결과 + 다음 실행 시각 포함) */
+app.get('/api/yt/watchlist', (req, res) => {
+  try {
+    res.json({ items: listWatchEntries(), schedulerEnabled: SCHEDULER_ENABLED });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 추가
+ * body: { kind: 'channel'|'query'|'playlist', target: handle/channelId/검색어/재생목록 URL·ID, label?, schedule?, options?, enabled? }
+ * - options(channel) : { sinceDays?: number, refresh?: boolean, comments?: boolean(최근 영상 댓글도 수집) }
+ * - options(query)   : { days?: number }
+ * - options(playlist): { refresh?: boolean }
+ */
+app.post('/api/yt/watchlist', async (req, res) => {
+  try {
+    const { kind = 'channel', target = '', label, schedule = DEFAULT_WATCH_SCHEDULE, options = {}, enabled = true } =
+      req.body || {};
+    if (!WATCH_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${WATCH_KINDS.join(', ')}` });
+    if (!String(target).trim()) return res.status(400).json({ error: 'target required' });
+    try {
+      parseCron(schedule);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    let finalTarget = String(target).trim();
+    let finalLabel = label;
+    const finalOptions = normalizeWatchOptions(kind, options);
+    if (kind === 'channel') {
+      finalTarget = await resolveToChannelId(finalTarget);
+      if (!finalLabel) finalLabel = getChannelMeta(finalTarget)?.title || String(target).trim();
+    } else if (kind === 'playlist') {
+      finalTarget = toPlaylistId(finalTarget);
+      if (!finalLabel) finalLabel = getPlaylist(finalTarget)?.title || (await fetchPlaylistMeta(finalTarget)).title;
+    } else {
+      finalTarget = normalizeQueryText(finalTarget); // 문법 오류면 400
+    }
+
+    const entry = createWatchEntry({
+      kind,
+      target: finalTarget,
+      label: finalLabel || finalTarget,
+      schedule,
+      options: finalOptions,
+      enabled,
+      nextRunAt: enabled ? nextRun(schedule)?.toISOString() : null,
+    });
+    res.status(201).json(entry);
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 수정 body: { label?, schedule?, options?, enabled? } */
+app.patch('/api/yt/watchlist/:id', (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const cur = getWatchEntry(id);
+    if (!cur) return res.status(404).json({ error: 'watch entry not found' });
+
+    const patch = {};
+    const { label, schedule, options, enabled } = req.body || {};
+    if (label !== undefined) patch.label = label;
+    if (options !== undefined) patch.options = normalizeWatchOptions(cur.kind, options); // POST와 같은 검사/정규화
+    if (enabled !== undefined) patch.enabled = !!enabled;
+    if (schedule !== undefined) {
+      try {
+        parseCron(schedule);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
       }
+      patch.schedule = schedule;
+    }
+    const next = { ...cur, ...patch };
+    patch.nextRunAt = next.enabled ? nextRun(next.schedule)?.toISOString() : null;
+
+    res.json(updateWatchEntry(id, patch));
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+app.delete('/api/yt/watchlist/:id', (req, res) => {
+  try {
+    if (!deleteWatchEntry(Number(req.params.id))) {
+      return res.status(404).json({ error: 'watch entry not found' });
     }
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 실행 기록(최근순) */
+app.get('/api/yt/watchlist/:id/runs', (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!getWatchEntry(id)) return res.status(404).json({ error: 'watch entry not found' });
+    const limit = Math.min(200, Number(req.query.limit || 20));
+    res.json({ items: listWatchRuns(id, { limit }) });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 지금 실행(일정과 무관) — 작업 큐에 등록하고 즉시 jobId 반환(202) */
+app.post('/api/yt/watchlist/:id/run', (req, res) => {
+  try {
+    const entry = getWatchEntry(Number(req.params.id));
+    if (!entry) return res.status(404).json({ error: 'watch entry not found' });
+    const job = submitWatchJob(entry);
+    res.status(202).json({ ok: true, jobId: job.id, job });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/* ---------- 프롬프트 템플릿 CRUD(AI 인사이트) ---------- */
+
+// 템플릿 ID: 영문 소문자/숫자/-/_ (생략하면 생성)
+const TEMPLATE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+app.get('/api/yt/prompt-templates', (req, res) => {
+  try {
+    res.json({ items: listPromptTemplates(), defaultId: DEFAULT_TEMPLATE_ID });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 템플릿 1개(?version=N 이면 그 버전) + 버전 목록 */
+app.get('/api/yt/prompt-templates/:id', (req, res) => {
+  try {
+    const version = req.query.version ? Number(req.query.version) : undefined;
+    const tpl = getPromptTemplate(req.params.id, { version });
+    if (!tpl) return res.status(404).json({ error: 'prompt template not found' });
+    const versions = listPromptTemplateVersions(tpl.id).map(({ version: v, createdAt }) => ({ version: v, createdAt }));
+    res.json({ ...tpl, versions });
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/**
+ * 추가
+ * body: { id?, name, description?, system, body, variables?: { brand?, productTaxonomy?: string | string[] } }
+ * - 자리표시자: {{period}} {{sample}}(필수) {{brand}} {{productTaxonomy}}
+ */
+app.post('/api/yt/prompt-templates', (req, res) => {
+  try {
+    const { id, description } = req.body || {};
+    const tplId = id ? String(id).trim() : `t${Date.now().toString(36)}`;
+    if (!TEMPLATE_ID_RE.test(tplId)) return res.status(400).json({ error: 'id must match [a-z0-9][a-z0-9_-]{0,39}' });
+    if (getPromptTemplate(tplId)) return res.status(409).json({ error: `prompt template already exists: ${tplId}` });
+    const tpl = validateTemplate(req.body || {});
+    res.status(201).json(createPromptTemplate({ id: tplId, description, ...tpl }));
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
+
+/** 수정 body: { name?, description?, system?, body?, variables? } — 본문/변수가 바뀌면 새 버전 */
+app.patch('/api/yt/prompt-templates/:id', (req, res) => {
+  try {
+    const cur = getPromptTemplate(req.params.id);
+    if (!cur) return res.status(404).json({ error: 'prompt template not found' });
+    const { name, description, system, body, variables } = req.body || {};
+    const next = validateTemplate({
+      name: name ?? cur.name,
+      system: system ?? cur.system,
+      body: body ?? cur.body,
+      // 변수는 준 키만 덮어쓰기(객체가 아니면 validateTemplate이 400)
+      variables: variables?.constructor === Object ? { ...cur.variables, ...variables } : variables ?? cur.variables,
+    });
+    res.json(updatePromptTemplate(cur.id, { ...next, description: description ?? cur.description }));
+  } catch (e) {
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
+  }
+});
 
-    const byDay = {};
-    const filtered = rows
-      .filter((v) => dayjs(v.publishedAt).isAfter(dayjs(publishedAfter)))
-      .sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
-    for (const v of filtered) {
-      const d = v.publishedAt.slice(0, 10);
-      byDay[d] = (byDay[d] || 0) + 1;
+app.delete('/api/yt/prompt-templates/:id', (req, res) => {
+  try {
+    if (req.params.id === DEFAULT_TEMPLATE_ID) {
+      return res.status(400).json({ error: 'the default template cannot be deleted (edit it instead)' });
     }
-    const top = filtered.slice().sort((a, b) => b.views - a.views).slice(0, 10);
-    res.json({ query: q, byDay, rows: filtered, top, total: filtered.length });
+    if (!deletePromptTemplate(req.params.id)) return res.status(404).json({ error: 'prompt template not found' });
+    res.json({ ok: true });
   } catch (e) {
-    res.status(500).json({ error: e.message || String(e) });
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
   }
 });
 
@@ -596,12 +2257,23 @@ app.get('/api/yt/metrics-by-query', async (req, res) => {
  *   rows?: Array<...>  // 또는 metrics.rows
  *   metrics?: { rows: [...] },
  *   handle?: string, channelId?: string // rows 없을 때 DB에서 생성
+ *   templateId?: string, templateVersion?: number // 프롬프트 템플릿(기본 default의 최신 버전)
+ *   variables?: { brand?, productTaxonomy? } // 템플릿 변수 덮어쓰기(이번 요청만)
  * }
  */
 app.post('/api/yt/insight', async (req, res) => {
   try {
     const days = Number(req.body?.days || 90);
 
+    // 0) 프롬프트 템플릿(없는 ID/버전이면 404 — 모델 호출 전에)
+    const templateId = req.body?.templateId ? String(req.body.templateId) : DEFAULT_TEMPLATE_ID;
+    const templateVersion = req.body?.templateVersion ? Number(req.body.templateVersion) : undefined;
+    const template = getPromptTemplate(templateId, { version: templateVersion });
+    if (!template) {
+      return res.status(404).json({ error: `prompt template not found: ${templateId}${templateVersion ? ` v${templateVersion}` : ''}` });
+    }
+    const variables = req.body?.variables === undefined ? undefined : validateVariables(req.body.variables);
+
     // 1) rows 우선
     let rowsInput =
       (req.body?.metrics && Array.isArray(req.body.metrics.rows) ? req.body.metrics.rows : null) ||
@@ -613,10 +2285,7 @@ app.post('/api/yt/insight', async (req, res) => {
       const handle = req.body?.handle ? String(req.body.handle) : null;
       if (channelIdQ || handle) {
         const channelId = channelIdQ || (handle ? await resolveToChannelId(handle) : null);
-        if (channelId) {
-          const db = loadDB();
-          rowsInput = makeMetricsFromChannel(db, channelId, days).rows || [];
-        }
+        if (channelId) rowsInput = makeMetricsFromChannel(channelId, days).rows || [];
       }
     }
 
@@ -626,33 +2295,72 @@ app.post('/api/yt/insight', async (req, res) => {
 
     // 필요한 필드만 정규화
     const normalized = rowsInput.map((v) => ({
+      videoId: v.videoId || null,
       publishedAt: v.publishedAt || v.published_at || v.date || null,
       title: (v.title || '').toString(),
       views: Number(v.views || 0),
       likes: Number(v.likes || 0),
       comments: Number(v.comments || 0),
       channelTitle: v.channelTitle || v.channel_title || '',
+      format: v.format || null,
+      durationSec: v.durationSec ?? null,
+      tags: Array.isArray(v.tags) ? v.tags : [],
     }));
 
+    // 조회 상위 영상의 자막 앞부분(제목만으로는 알 수 없는 실제 내용)
+    const txIds = normalized
+      .filter((v) => v.videoId)
+      .sort((a, b) => b.views - a.views)
+      .slice(0, INSIGHT_TRANSCRIPT_VIDEOS)
+      .map((v) => v.videoId);
+    const transcripts = INSIGHT_TRANSCRIPT_CHARS ? getTranscriptTexts(txIds) : new Map();
+
     // 모델 입력 샘플(최대 INSIGHT_MAX_ROWS)
     const sample = normalized
       .sort((a, b) => (a.publishedAt || '').localeCompare(b.publishedAt || ''))
       .slice(-INSIGHT_MAX_ROWS)
       .map((v) => ({
+        ...(v.videoId ? { id: v.videoId } : {}),
         d: (v.publishedAt || '').slice(0, 10),
         title: (v.title || '').slice(0, 140),
         views: v.views,
         likes: v.likes,
         comments: v.comments,
         ch: v.channelTitle,
+        fmt: v.format,
+        sec: v.durationSec,
+        tags: v.tags.slice(0, 5),
+        ...(transcripts.has(v.videoId) ? { tx: transcripts.get(v.videoId).slice(0, INSIGHT_TRANSCRIPT_CHARS) } : {}),
       }));
 
-    // 공급자 선택 + 폴백 처리
-    const text = await buildInsightText(sample, days);
-    res.json({ text, rowsUsed: sample.length });
+    // 분석해 둔 댓글이 있으면 요약을 함께(모델에 넣는 샘플 중 영상 ID가 있는 행만)
+    const videoIds = sample.map((v) => v.id).filter(Boolean);
+    const analyses = videoIds.length ? listCommentAnalyses({ videoIds }) : [];
+    const rollup = analyses.length ? rollupCommentAnalyses(analyses) : null;
+    const comments = rollup ? { ...rollup, quotes: rollup.quotes.map((q) => q.text) } : null;
+
+    // 템플릿 → 프롬프트(공급자 공통) → JSON 인사이트(스키마 검사/재요청) → 본문 렌더
+    const prompt = buildInsightPrompt(template, {
+      days,
+      sample,
+      maxRows: INSIGHT_MAX_ROWS,
+      comments,
+      variables,
+    });
+    const { insight, provider, attempts } = await generateInsight(prompt, { videoIds });
+    res.json({
+      text: renderInsightText(insight),
+      insight,
+      provider,
+      attempts,
+      rowsUsed: sample.length,
+      commentVideosUsed: analyses.length,
+      transcriptsUsed: transcripts.size,
+      template: { id: template.id, name: template.name, version: template.version },
+    });
   } catch (e) {
     console.error('[insight] error:', e?.response?.data || e);
-    res.status(500).json({ error: e.message || String(e) });
+    res.status(errorStatus(e)).json({ error: e.message || String(e) });
   }
 });
 
@@ -662,3 +2370,13 @@ app.post('/api/yt/insight', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`YT API on http://localhost:${PORT}`);
 });
+
+if (SCHEDULER_ENABLED) {
+  failStaleWatchRuns();
+  startScheduler({
+    tickMs: SCHEDULER_TICK_MS,
+    listDue: listDueWatchEntries,
+    runEntry: submitWatchJob, // 실행은 작업 큐에서(JOBS_CONCURRENCY)
+  });
+  console.log(`[scheduler] watchlist tick every ${SCHEDULER_TICK_MS / 1000}s`);
+}
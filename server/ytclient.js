@@ -0,0 +1,83 @@
+// server/ytclient.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/* =========================
+   YouTube 클라이언트 백엔드
+   - live   : 실제 API(계량·키 풀 래퍼를 그대로 사용)
+   - record : live로 호출하고 응답을 픽스처 파일로 저장
+   - replay : 픽스처 파일만으로 응답(네트워크/키/쿼터 불필요) — 없으면 오류
+   픽스처: <dir>/<resource.fn>/<params 해시>.json = { method, params, data }
+   ========================= */
+export const YT_CLIENT_MODES = ['live', 'record', 'replay'];
+
+// 요청 파라미터 정규화(값 없는 키 제거 + 키 정렬) → 같은 요청은 같은 파일
+function normalizeParams(params = {}) {
+  const out = {};
+  for (const k of Object.keys(params).sort()) {
+    const v = params[k];
+    if (v === undefined || v === null || v === '') continue;
+    if (k === 'auth' || k === 'key') continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+/** 픽스처 파일 경로 */
+export function fixturePath(dir, method, params) {
+  const norm = normalizeParams(params);
+  const hash = crypto.createHash('sha1').update(JSON.stringify(norm)).digest('hex').slice(0, 16);
+  return path.join(dir, method, `${hash}.json`);
+}
+
+/** 픽스처 직접 작성(테스트/수동 준비용) */
+export function writeFixture(dir, method, params, data) {
+  const file = fixturePath(dir, method, params);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ method, params: normalizeParams(params), data }, null, 2));
+  return file;
+}
+
+function readFixture(dir, method, params) {
+  const file = fixturePath(dir, method, params);
+  if (!fs.existsSync(file)) {
+    const err = new Error(`no fixture for ${method} ${JSON.stringify(normalizeParams(params))} (${file})`);
+    err.status = 404;
+    throw err;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// resource.fn(params) 모양의 클라이언트를 call(method, params) 하나로 만들기
+function clientFrom(call) {
+  return new Proxy({}, {
+    get: (_, resource) => new Proxy({}, {
+      get: (__, fn) => (params) => call(`${String(resource)}.${String(fn)}`, params),
+    }),
+  });
+}
+
+/**
+ * createYouTubeClient
+ * @param { mode: 'live'|'record'|'replay', fixturesDir: string, live?: () => 클라이언트 }
+ * - live는 live/record 모드에서만 필요(지연 생성: replay 모드는 키/계량을 건드리지 않음)
+ */
+export function createYouTubeClient({ mode = 'live', fixturesDir, live }) {
+  if (!YT_CLIENT_MODES.includes(mode)) {
+    throw new Error(`YT_CLIENT_MODE must be one of ${YT_CLIENT_MODES.join(', ')}: ${mode}`);
+  }
+  if (mode === 'live') return live();
+
+  if (mode === 'replay') {
+    return clientFrom(async (method, params) => ({ data: readFixture(fixturesDir, method, params).data }));
+  }
+
+  const upstream = live();
+  return clientFrom(async (method, params) => {
+    const [resource, fn] = method.split('.');
+    const r = await upstream[resource][fn](params);
+    writeFixture(fixturesDir, method, params, r.data);
+    return r;
+  });
+}
@@ -0,0 +1,75 @@
+// test/derived.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ageDaysOf, buildPeerMedians, deriveVideoMetrics } from '../server/derived.js';
+
+/* =========================
+   영상 파생 지표(derived.js) — 0으로 나누는 경계와 비교 영상이 모자란 경우
+   ========================= */
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const DAY_MS = 86400000;
+const ago = (days) => new Date(NOW - days * DAY_MS).toISOString();
+const peer = (channelId, days, views) => ({ channelId, publishedAt: ago(days), views });
+
+test('조회 0: 비율은 null(0으로 나누지 않음), 속도는 0', () => {
+  const m = deriveVideoMetrics({ views: 0, likes: 3, comments: 1, publishedAt: ago(10) }, { now: NOW });
+  assert.equal(m.likeRate, null);
+  assert.equal(m.commentRate, null);
+  assert.equal(m.engagementPer1k, null);
+  assert.equal(m.viewsPerDay, 0);
+  assert.equal(m.ageDays, 10);
+
+  const rated = deriveVideoMetrics({ views: 200, likes: 10, comments: 2, publishedAt: ago(10) }, { now: NOW });
+  assert.equal(rated.likeRate, 0.05);
+  assert.equal(rated.commentRate, 0.01);
+  assert.equal(rated.engagementPer1k, 60);
+  assert.equal(rated.viewsPerDay, 20);
+});
+
+test('오늘 게시(나이 1일 미만)와 예약 게시(미래 시각)는 1일로 계산', () => {
+  assert.equal(ageDaysOf(ago(0), NOW), 1);
+  assert.equal(ageDaysOf(ago(1 / 24), NOW), 1);
+  assert.equal(ageDaysOf(ago(-2), NOW), 1);
+
+  const today = deriveVideoMetrics({ views: 500, publishedAt: ago(2 / 24) }, { now: NOW });
+  assert.equal(today.ageDays, 1);
+  assert.equal(today.viewsPerDay, 500);
+  assert.ok(Number.isFinite(today.viewsPerDay));
+
+  // 게시 시각을 모르면 나이/속도 없음
+  const unknown = deriveVideoMetrics({ views: 500, publishedAt: null }, { now: NOW });
+  assert.equal(unknown.ageDays, null);
+  assert.equal(unknown.viewsPerDay, null);
+});
+
+test('같은 나이대 중앙값: 비교 영상이 없거나 MIN_PEERS(3) 미만이면 null', () => {
+  const none = buildPeerMedians([], NOW);
+  assert.equal(none('UCa', 5), null);
+  const alone = deriveVideoMetrics({ channelId: 'UCa', views: 100, publishedAt: ago(5) }, { now: NOW, peerMedian: none });
+  assert.equal(alone.peerMedianViews, null);
+  assert.equal(alone.relativeViews, null);
+
+  const two = buildPeerMedians([peer('UCa', 2, 100), peer('UCa', 3, 300)], NOW);
+  assert.equal(two('UCa', 5), null);
+});
+
+test('같은 나이대 중앙값: 채널·나이대별로 따로, 짝수 개는 가운데 두 값의 평균', () => {
+  const peerMedian = buildPeerMedians([
+    peer('UCa', 1, 100), peer('UCa', 3, 300), peer('UCa', 5, 200), peer('UCa', 6, 1000), // ≤7일
+    peer('UCa', 200, 5), peer('UCb', 2, 9999), peer('UCb', 3, 9999), // 다른 나이대/채널
+  ], NOW);
+  assert.equal(peerMedian('UCa', 4), 250);
+  assert.equal(peerMedian('UCa', 40), null);
+  assert.equal(peerMedian('UCb', 4), null);
+
+  const m = deriveVideoMetrics({ channelId: 'UCa', views: 500, publishedAt: ago(4) }, { now: NOW, peerMedian });
+  assert.equal(m.peerMedianViews, 250);
+  assert.equal(m.relativeViews, 2);
+
+  // 중앙값이 0이면 배수 없음(0으로 나누지 않음)
+  const zero = buildPeerMedians([peer('UCz', 1, 0), peer('UCz', 2, 0), peer('UCz', 3, 0)], NOW);
+  const z = deriveVideoMetrics({ channelId: 'UCz', views: 10, publishedAt: ago(2) }, { now: NOW, peerMedian: zero });
+  assert.equal(z.peerMedianViews, 0);
+  assert.equal(z.relativeViews, null);
+});
@@ -0,0 +1,46 @@
+// test/formats.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIsoDuration, classifyFormat, SHORTS_MAX_SEC } from '../server/formats.js';
+
+/* =========================
+   영상 길이/포맷 분류(formats.js)
+   ========================= */
+
+test('parseIsoDuration: 시/분/초, 일·주 단위, 소수 초는 반올림', () => {
+  assert.equal(parseIsoDuration('PT1H2M3S'), 3723);
+  assert.equal(parseIsoDuration('PT15M'), 900);
+  assert.equal(parseIsoDuration('P1DT2H'), 93600);
+  assert.equal(parseIsoDuration('P1W'), 604800);
+  assert.equal(parseIsoDuration('PT1.5S'), 2);
+  assert.equal(parseIsoDuration('PT59.4S'), 59);
+  assert.equal(parseIsoDuration('PT2M0.6S'), 121);
+  // 라이브/예정 방송의 길이
+  assert.equal(parseIsoDuration('P0D'), 0);
+});
+
+test('parseIsoDuration: 단위 없는 P/PT, 형식이 아닌 값은 null', () => {
+  for (const iso of ['P', 'PT', '', null, undefined, 'PT1H2X', '1H2M', 'PT-5S', 'pt5m']) {
+    assert.equal(parseIsoDuration(iso), null, String(iso));
+  }
+});
+
+test('classifyFormat: 180/240/1200초 경계', () => {
+  const f = (durationSec) => classifyFormat({ durationSec, liveBroadcastContent: 'none' });
+  assert.equal(SHORTS_MAX_SEC, 180);
+  assert.equal(f(1), 'shorts');
+  assert.equal(f(180), 'shorts');
+  assert.equal(f(181), 'short');
+  assert.equal(f(239), 'short');
+  assert.equal(f(240), 'mid');
+  assert.equal(f(1200), 'mid');
+  assert.equal(f(1201), 'long');
+});
+
+test('classifyFormat: 라이브/예정/지난 라이브는 길이보다 먼저, 길이를 모르면 unknown', () => {
+  assert.equal(classifyFormat({ durationSec: parseIsoDuration('P0D'), liveBroadcastContent: 'upcoming' }), 'live');
+  assert.equal(classifyFormat({ durationSec: 0, liveBroadcastContent: 'live' }), 'live');
+  assert.equal(classifyFormat({ durationSec: 90, liveBroadcastContent: 'none', wasLive: true }), 'live');
+  assert.equal(classifyFormat({ durationSec: parseIsoDuration('P0D'), liveBroadcastContent: 'none' }), 'unknown');
+  assert.equal(classifyFormat({ durationSec: parseIsoDuration('PT') }), 'unknown');
+});
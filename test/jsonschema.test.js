@@ -0,0 +1,24 @@
+// test/jsonschema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJson } from '../server/jsonschema.js';
+import { parseInsight } from '../server/prompts.js';
+
+/* =========================
+   LLM JSON 응답 추출/보정
+   ========================= */
+
+test('extractJson: 코드 블록/앞뒤 설명 속 객체와 최상위 배열', () => {
+  assert.deepEqual(extractJson('결과:\n```json\n{"a": [1, 2]}\n```'), { a: [1, 2] });
+  assert.deepEqual(extractJson('```json\n[{"a": {"b": 1}}]\n```'), [{ a: { b: 1 } }]);
+  // 설명 속 괄호가 먼저 나와도 실제 JSON을 찾음
+  assert.deepEqual(extractJson('[참고] 아래와 같습니다 {"a": 1}'), { a: 1 });
+  assert.equal(extractJson('JSON 없음'), null);
+});
+
+test('parseInsight: 섹션 배열만 온 응답도 { sections }로 보정', () => {
+  const text = '[{"title": "요약", "bullets": [{"text": "조회가 늘었다", "videoIds": ["v1", "zz"], "confidence": "high"}]}]';
+  const { insight, errors } = parseInsight(text, { videoIds: ['v1'] });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(insight.sections[0].bullets[0], { text: '조회가 늘었다', videoIds: ['v1'], confidence: 'high' });
+});
@@ -0,0 +1,104 @@
+// test/keypool.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeyPool, keyIdOf, KeyPoolExhaustedError } from '../server/keypool.js';
+import { nextQuotaReset, YT_UNIT_COSTS } from '../server/quota.js';
+
+/* =========================
+   키 풀(keypool.js) — 가짜 클라이언트로 키 전환/휴식 확인
+   - failing: 이 키로 부르면 주어진 reason의 403(문자열) 또는 그 오류 객체를 던짐
+   - calls: 실제로 호출된 키 순서
+   ========================= */
+
+function quotaError(reason) {
+  return Object.assign(new Error(reason), { status: 403, errors: [{ reason }] });
+}
+
+function makePool({ keys = ['key-a', 'key-b'], failing = {}, states = {} } = {}) {
+  const calls = [];
+  const usage = {};
+  const saved = {};
+  const pool = createKeyPool({
+    keys,
+    makeClient: (key) => ({
+      videos: {
+        list: async () => {
+          calls.push(key);
+          const f = failing[key];
+          if (f) throw typeof f === 'string' ? quotaError(f) : f;
+          return { data: { items: [], key } };
+        },
+      },
+    }),
+    perKeyBudget: 10_000,
+    costOf: (method) => YT_UNIT_COSTS[method] ?? 1,
+    getKeyUsage: () => usage,
+    addKeyUsage: (day, id, units) => {
+      usage[id] = { units: (usage[id]?.units || 0) + units, calls: (usage[id]?.calls || 0) + 1 };
+    },
+    loadKeyStates: () => states,
+    saveKeyState: (id, state) => { saved[id] = state; },
+  });
+  return { pool, calls, saved };
+}
+
+test('quotaExceeded: 같은 호출 안에서 다음 키로 넘어가 성공', async () => {
+  const { pool, calls } = makePool({ failing: { 'key-a': 'quotaExceeded' } });
+  const r = await pool.client.videos.list({ id: 'x' });
+  assert.equal(r.data.key, 'key-b');
+  assert.deepEqual(calls, ['key-a', 'key-b']);
+});
+
+test('quotaExceeded: 그 키는 다음 PT 자정까지 쉬고, 이후 호출은 바로 다음 키로', async () => {
+  const { pool, calls, saved } = makePool({ failing: { 'key-a': 'quotaExceeded' } });
+  await pool.client.videos.list({});
+  const reset = nextQuotaReset();
+
+  const a = pool.status().find((k) => k.label === 'key #1');
+  assert.equal(a.healthy, false);
+  assert.equal(a.cooldownReason, 'quotaExceeded');
+  assert.equal(a.cooldownUntil, reset);
+  assert.equal(saved[keyIdOf('key-a')].cooldownUntil, reset);
+
+  calls.length = 0;
+  await pool.client.videos.list({});
+  assert.deepEqual(calls, ['key-b']);
+});
+
+test('저장된 휴식: 리셋 전이면 건너뛰고, 지났으면 다시 사용', async () => {
+  const cooling = (until) => ({
+    [keyIdOf('key-a')]: { cooldownUntil: until, cooldownReason: 'quotaExceeded', lastError: 'q', lastErrorAt: null },
+  });
+
+  const resting = makePool({ keys: ['key-a'], states: cooling(nextQuotaReset()) });
+  await assert.rejects(resting.pool.client.videos.list({}), KeyPoolExhaustedError);
+  assert.deepEqual(resting.calls, []);
+
+  const rested = makePool({ keys: ['key-a'], states: cooling(new Date(Date.now() - 1000).toISOString()) });
+  const r = await rested.pool.client.videos.list({});
+  assert.equal(r.data.key, 'key-a');
+});
+
+test('모든 키가 쉬는 중이면 KeyPoolExhaustedError(429) + 키 상태', async () => {
+  const { pool, calls } = makePool({ failing: { 'key-a': 'quotaExceeded', 'key-b': 'rateLimitExceeded' } });
+  await assert.rejects(pool.client.videos.list({}), (e) => {
+    assert.ok(e instanceof KeyPoolExhaustedError);
+    assert.equal(e.status, 429);
+    assert.match(e.message, /videos\.list/);
+    assert.deepEqual(e.keys.map((k) => k.cooldownReason), ['quotaExceeded', 'rateLimitExceeded']);
+    return true;
+  });
+  assert.deepEqual(calls, ['key-a', 'key-b']);
+
+  // 이미 둘 다 쉬는 중 → 호출 없이 바로 실패
+  calls.length = 0;
+  await assert.rejects(pool.client.videos.list({}), KeyPoolExhaustedError);
+  assert.deepEqual(calls, []);
+});
+
+test('쿼터와 무관한 오류는 키를 바꾸지 않고 그대로 던짐', async () => {
+  const { pool, calls } = makePool({ failing: { 'key-a': Object.assign(new Error('bad'), { status: 400 }) } });
+  await assert.rejects(pool.client.videos.list({}), /bad/);
+  assert.deepEqual(calls, ['key-a']);
+  assert.ok(pool.status().every((k) => k.healthy));
+});
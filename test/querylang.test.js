@@ -0,0 +1,79 @@
+// test/querylang.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, toSearchQ, formatQuery, matchQuery, QueryParseError } from '../server/querylang.js';
+
+/* =========================
+   키워드 검색 쿼리 언어(querylang.js)
+   - 후처리 텍스트는 yt.js matchVideo와 같이 제목/설명/태그를 ' | '로 이어 붙임
+   ========================= */
+
+const term = (value) => ({ type: 'term', value });
+const phrase = (value) => ({ type: 'phrase', value });
+const videoText = (v) => [v.title, v.description, ...(v.tags || [])].join(' | ');
+
+test('parseQuery: OR는 AND보다 느슨하고, 괄호/NOT/나란히 쓴 항목이 AND로 묶임', () => {
+  const tree = parseQuery('(LG OR Samsung) AND "air conditioner" NOT repair');
+  assert.deepEqual(tree, {
+    type: 'and',
+    children: [
+      { type: 'or', children: [term('LG'), term('Samsung')] },
+      phrase('air conditioner'),
+      { type: 'not', child: term('repair') },
+    ],
+  });
+  assert.equal(formatQuery(tree), '(LG OR Samsung) AND "air conditioner" AND NOT repair');
+
+  // 괄호가 없으면 AND가 먼저
+  assert.deepEqual(parseQuery('LG OR Samsung aircon'), {
+    type: 'or',
+    children: [term('LG'), { type: 'and', children: [term('Samsung'), term('aircon')] }],
+  });
+  // 기호 형식은 같은 트리
+  assert.deepEqual(parseQuery('(LG | Samsung) "air conditioner" -repair'), tree);
+  // 쉼표 형식: 쉼표 사이 맨 단어들은 한 구절
+  assert.deepEqual(parseQuery('LG, air conditioner'), { type: 'and', children: [term('LG'), phrase('air conditioner')] });
+});
+
+test('parseQuery: 괄호 불균형, 끝나지 않은 연산자, 부정만 있는 쿼리는 400', () => {
+  const cases = {
+    '(LG OR Samsung': /missing \)/,
+    'LG OR Samsung)': /unexpected \)/,
+    'LG AND': /unexpected end/,
+    'LG OR': /unexpected end/,
+    'OR LG': /unexpected OR/,
+    'LG NOT': /unexpected end/,
+    '"air conditioner': /unclosed quote/,
+    'NOT repair': /not negated/,
+    '   ': /empty query/,
+  };
+  for (const [src, re] of Object.entries(cases)) {
+    assert.throws(() => parseQuery(src), (e) => {
+      assert.ok(e instanceof QueryParseError, src);
+      assert.equal(e.status, 400, src);
+      assert.match(e.message, re, src);
+      return true;
+    });
+  }
+});
+
+test('toSearchQ: | / -단어 / "구절"로 넓게, 복합 NOT은 후처리에만', () => {
+  const q = (src) => toSearchQ(parseQuery(src));
+  assert.equal(q('(LG OR Samsung) AND "air conditioner" NOT repair'), '(LG | Samsung) "air conditioner" -repair');
+  assert.equal(q('LG OR Samsung'), 'LG | Samsung');
+  assert.equal(q('aircon NOT "how to"'), 'aircon -"how to"');
+  assert.equal(q('aircon NOT (repair OR fix)'), 'aircon');
+});
+
+test('matchQuery: 제목/설명/태그 어디에 있어도 일치(대소문자 무시), NOT은 전체 텍스트 기준', () => {
+  const tree = parseQuery('(LG OR Samsung) AND "air conditioner" NOT repair');
+  const match = (v) => matchQuery(tree, videoText(v));
+
+  assert.equal(match({ title: 'LG 신제품 리뷰', description: 'Air  Conditioner 사용기', tags: [] }), true);
+  assert.equal(match({ title: '여름 가전', description: '', tags: ['samsung', 'air conditioner'] }), true);
+  assert.equal(match({ title: 'Samsung air conditioner', description: '', tags: ['Repair'] }), false);
+  assert.equal(match({ title: 'Daikin air conditioner', description: '', tags: [] }), false);
+
+  // 구절은 필드 경계를 넘어 이어지지 않음
+  assert.equal(match({ title: 'LG air', description: 'conditioner', tags: [] }), false);
+});
@@ -0,0 +1,337 @@
+// test/replay.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dayjs from 'dayjs';
+import { writeFixture } from '../server/ytclient.js';
+import { parseQuery, toSearchQ } from '../server/querylang.js';
+
+/* =========================
+   픽스처 재생(YT_CLIENT_MODE=replay)으로 수집/백필/키워드 검색 — 네트워크·키 없이 실행
+   - 임시 DATA_DIR/픽스처 폴더에 서버를 띄우고 HTTP로 호출
+   ========================= */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VIDEO_PARTS = 'snippet,statistics,contentDetails,status,liveStreamingDetails,topicDetails';
+const CHANNEL_ID = 'UCtesttesttesttesttest01';
+const UPLOADS_ID = 'UUtesttesttesttesttest01';
+
+const daysAgo = (n) => dayjs().subtract(n, 'day').toISOString();
+
+// 업로드 목록(최신 → 과거): 1페이지 v3~v1(최근), 2페이지 v0(40일 전)
+const UPLOADS = [
+  { id: 'v3', publishedAt: daysAgo(1), title: 'LG aircon install guide' },
+  { id: 'v2', publishedAt: daysAgo(3), title: 'Fridge unboxing' },
+  { id: 'v1', publishedAt: daysAgo(5), title: 'Aircon cleaning tips' },
+  { id: 'v0', publishedAt: daysAgo(40), title: 'Old aircon review' },
+];
+
+const videoItem = (v, i) => ({
+  id: v.id,
+  snippet: {
+    title: v.title,
+    description: '',
+    tags: [],
+    publishedAt: v.publishedAt,
+    channelId: CHANNEL_ID,
+    channelTitle: 'Test Channel',
+  },
+  contentDetails: { duration: 'PT5M' },
+  statistics: { viewCount: String(100 * (i + 1)), likeCount: '10', commentCount: '1' },
+  status: { privacyStatus: 'public' },
+});
+
+// fetchVideoDetails는 오래된 → 최신 순서로 ID를 묶음
+const videosFixture = (dir, list) =>
+  writeFixture(dir, 'videos.list', { part: VIDEO_PARTS, id: list.map((v) => v.id).join(',') }, {
+    items: list.map(videoItem),
+  });
+
+function writeChannelFixtures(dir) {
+  writeFixture(dir, 'channels.list', { part: 'contentDetails', id: CHANNEL_ID }, {
+    items: [{ id: CHANNEL_ID, contentDetails: { relatedPlaylists: { uploads: UPLOADS_ID } } }],
+  });
+  writeFixture(dir, 'channels.list', { part: 'snippet,statistics,contentDetails', id: CHANNEL_ID }, {
+    items: [{
+      id: CHANNEL_ID,
+      snippet: { title: 'Test Channel' },
+      statistics: { subscriberCount: '1000', videoCount: '4', viewCount: '5000' },
+      contentDetails: { relatedPlaylists: { uploads: UPLOADS_ID } },
+    }],
+  });
+  const page = (list) => list.map((v) => ({ contentDetails: { videoId: v.id, videoPublishedAt: v.publishedAt } }));
+  writeFixture(dir, 'playlistItems.list', { part: 'contentDetails', playlistId: UPLOADS_ID, maxResults: 50 }, {
+    items: page(UPLOADS.slice(0, 3)),
+    nextPageToken: 'P2',
+  });
+  writeFixture(dir, 'playlistItems.list', { part: 'contentDetails', playlistId: UPLOADS_ID, maxResults: 50, pageToken: 'P2' }, {
+    items: page(UPLOADS.slice(3)),
+  });
+  videosFixture(dir, UPLOADS.slice(0, 3).reverse()); // 증분: v1,v2,v3
+  videosFixture(dir, UPLOADS.slice().reverse()); // 백필: v0,v1,v2,v3
+}
+
+// 검색 결과는 스니펫 기준 후보 → videos.list 제목/설명/태그로 다시 판정(k2는 'fridge'라 제외)
+const SEARCH_QUERY = 'aircon -fridge';
+const SEARCH_DAYS = 30;
+const SEARCH_HITS = [
+  { id: 'k1', publishedAt: daysAgo(2), title: 'Best aircon 2026' },
+  { id: 'k2', publishedAt: daysAgo(4), title: 'Aircon vs fridge noise' },
+];
+
+// 서버는 YT_SEARCH_MAX_PAGES=1 → 다음 페이지가 남은 검색은 잘림(truncated)
+const TRUNCATED_QUERY = 'heatpump';
+const TRUNCATED_HITS = [
+  { id: 'h1', publishedAt: daysAgo(2), title: 'Heatpump basics' },
+  { id: 'h2', publishedAt: daysAgo(6), title: 'Heatpump in winter' },
+];
+
+function writeSearchFixture(dir, q, hits, nextPageToken) {
+  writeFixture(dir, 'search.list', {
+    part: 'snippet',
+    q: toSearchQ(parseQuery(q)),
+    type: 'video',
+    order: 'date',
+    maxResults: 50,
+    publishedAfter: dayjs().subtract(SEARCH_DAYS, 'day').startOf('day').toISOString(),
+  }, {
+    items: hits.map((v) => ({ id: { videoId: v.id }, snippet: { title: v.title, publishedAt: v.publishedAt } })),
+    nextPageToken,
+  });
+  videosFixture(dir, hits);
+}
+
+function writeSearchFixtures(dir) {
+  writeSearchFixture(dir, SEARCH_QUERY, SEARCH_HITS);
+  writeSearchFixture(dir, TRUNCATED_QUERY, TRUNCATED_HITS, 'S2');
+}
+
+/* ---------- 서버 ---------- */
+const freePort = () => new Promise((resolve, reject) => {
+  const srv = net.createServer();
+  srv.on('error', reject);
+  srv.listen(0, () => {
+    const { port } = srv.address();
+    srv.close(() => resolve(port));
+  });
+});
+
+let tmp;
+let server;
+let base;
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-replay-'));
+  const fixturesDir = path.join(tmp, 'fixtures');
+  writeChannelFixtures(fixturesDir);
+  writeSearchFixtures(fixturesDir);
+
+  const port = await freePort();
+  base = `http://localhost:${port}`;
+  server = spawn(process.execPath, ['server/yt.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: path.join(tmp, 'data'),
+      YT_CLIENT_MODE: 'replay',
+      YT_FIXTURES_DIR: fixturesDir,
+      SCHEDULER_ENABLED: '0',
+      YT_SEARCH_MAX_PAGES: '1',
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let log = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 15_000);
+    const onData = (chunk) => {
+      log += chunk;
+      if (log.includes('YT API on')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    server.stdout.on('data', onData);
+    server.stderr.on('data', onData);
+    server.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code}):\n${log}`));
+    });
+  });
+});
+
+after(() => {
+  server?.kill();
+  if (tmp) fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function api(method, url, body) {
+  const r = await fetch(base + url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: r.status, body: await r.json() };
+}
+
+// 작업이 끝날 때까지 폴링
+async function waitJob(jobId, timeoutMs = 10_000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const { body: job } = await api('GET', `/api/yt/jobs/${jobId}`);
+    if (['done', 'error', 'cancelled'].includes(job.status)) return job;
+    if (Date.now() > until) throw new Error(`job ${jobId} did not finish: ${JSON.stringify(job)}`);
+    await new Promise((r) => setTimeout(r, 50));
+  }
+}
+
+async function ingest(body) {
+  const r = await api('POST', '/api/yt/ingest', { channelId: CHANNEL_ID, ...body });
+  assert.equal(r.status, 202, JSON.stringify(r.body));
+  const job = await waitJob(r.body.jobId);
+  assert.equal(job.status, 'done', JSON.stringify(job));
+  return job.result;
+}
+
+const channelUploads = async () => {
+  const r = await api('GET', `/api/yt/metrics?channelId=${CHANNEL_ID}&days=90`);
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  return r.body.totals.uploads;
+};
+
+/* ---------- 수집/백필 ---------- */
+test('ingest: 기간 안의 새 영상만 저장하고 다음 증분은 lastSeen에서 멈춘다', async () => {
+  const first = await ingest({ since: daysAgo(30) });
+  assert.deepEqual(first.errors, []);
+  assert.equal(first.added, 3);
+  assert.equal(await channelUploads(), 3);
+
+  // lastSeen(v3)을 바로 만나므로 videos.list 호출 없이 0건
+  const second = await ingest({ since: daysAgo(30) });
+  assert.equal(second.added, 0);
+  assert.deepEqual(second.errors, []);
+});
+
+test('ingest: 날짜로 읽을 수 없는 since는 작업 없이 400', async () => {
+  const r = await api('POST', '/api/yt/ingest', { channelId: CHANNEL_ID, since: 'last week' });
+  assert.equal(r.status, 400, JSON.stringify(r.body));
+  assert.equal(r.body.jobId, undefined);
+});
+
+test('backfill: lastSeen을 무시하고 since까지 다음 페이지도 훑는다', async () => {
+  const r = await ingest({ since: daysAgo(60), backfill: true });
+  assert.equal(r.backfill, true);
+  assert.deepEqual(r.errors, []);
+  assert.equal(await channelUploads(), 4);
+
+  // 백필은 lastSeen을 올리지 않음 → 증분은 여전히 v3에서 멈춤
+  const again = await ingest({ since: daysAgo(60) });
+  assert.equal(again.added, 0);
+});
+
+test('metrics: rows/rowsOffset는 기간 안 영상을 최근 게시순으로 페이지, rowsTotal은 전체 수', async () => {
+  const page = (qs) => api('GET', `/api/yt/metrics?channelId=${CHANNEL_ID}&days=90&${qs}`);
+  const first = await page('rows=3');
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.rowsTotal, 4);
+  assert.equal(first.body.rows.length, 3);
+  const dates = first.body.rows.map((v) => v.publishedAt);
+  assert.deepEqual(dates, [...dates].sort().reverse());
+
+  const rest = await page('rows=3&rowsOffset=3');
+  assert.equal(rest.body.rows.length, 1);
+  assert.ok(!first.body.rows.some((v) => v.videoId === rest.body.rows[0].videoId));
+
+  // 기간 밖(30일 전보다 오래된) 영상은 빠짐
+  const recent = await api('GET', `/api/yt/metrics?channelId=${CHANNEL_ID}&days=30&rows=10`);
+  assert.equal(recent.body.rowsTotal, 3);
+
+  // rows 없으면 행도 없음
+  assert.equal((await page('')).body.rows, undefined);
+  for (const qs of ['rows=-1', 'rows=1001', 'rows=2.5', 'rows=1&rowsOffset=-1']) {
+    assert.equal((await page(qs)).status, 400, qs);
+  }
+});
+
+/* ---------- 키워드 검색 ---------- */
+test('keyword search: 검색 후보를 쿼리(NOT 포함)로 다시 판정해 일치하는 영상만 저장', async () => {
+  const q = encodeURIComponent(SEARCH_QUERY);
+  const r = await api('GET', `/api/yt/metrics-by-query?q=${q}&days=${SEARCH_DAYS}`);
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.found, 2);
+  assert.equal(r.body.matched, 1);
+  assert.equal(r.body.degraded, false);
+  assert.deepEqual(r.body.rows.map((v) => v.videoId), ['k1']);
+
+  const { body: list } = await api('GET', '/api/yt/queries');
+  assert.ok(list.items.some((x) => x.id === r.body.queryId && x.query === SEARCH_QUERY));
+});
+
+test('keyword search: 페이지 상한에서 잘리면 truncated + 받은 것 중 가장 이른 시각까지만 덮은 것으로 기록', async () => {
+  const r = await api('GET', `/api/yt/metrics-by-query?q=${TRUNCATED_QUERY}&days=${SEARCH_DAYS}`);
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.truncated, true);
+  assert.equal(r.body.degraded, false);
+  assert.equal(r.body.matched, 2);
+  assert.equal(r.body.coveredSince, TRUNCATED_HITS[1].publishedAt);
+});
+
+test('keyword search: cached=1은 추적 중이 아닌 쿼리를 만들지 않고 빈 결과', async () => {
+  const r = await api('GET', '/api/yt/metrics-by-query?q=untracked&cached=1');
+  assert.equal(r.status, 200, JSON.stringify(r.body));
+  assert.equal(r.body.queryId, null);
+  assert.equal(r.body.total, 0);
+
+  const { body: list } = await api('GET', '/api/yt/queries');
+  assert.ok(!list.items.some((x) => x.query === 'untracked'));
+
+  // 추적 중인 쿼리는 저장된 결과
+  const cached = await api('GET', `/api/yt/metrics-by-query?q=${encodeURIComponent(SEARCH_QUERY)}&days=${SEARCH_DAYS}&cached=1`);
+  assert.deepEqual(cached.body.rows.map((v) => v.videoId), ['k1']);
+});
+
+test('metrics: tzOffsetMinutes는 ±840 이내 정수만(그 밖은 400)', async () => {
+  for (const tz of ['abc', '90.5', '841', '-900']) {
+    const r = await api('GET', `/api/yt/metrics?channelId=${CHANNEL_ID}&tzOffsetMinutes=${tz}`);
+    assert.equal(r.status, 400, `${tz}: ${JSON.stringify(r.body)}`);
+  }
+  const ok = await api('GET', `/api/yt/metrics?channelId=${CHANNEL_ID}&tzOffsetMinutes=-480`);
+  assert.equal(ok.status, 200, JSON.stringify(ok.body));
+});
+
+test('channels/bulk: 확인은 작업으로(202 + jobId), 결과에 채널별 수집 작업', async () => {
+  const missingSince = await api('POST', '/api/yt/channels/bulk', { text: CHANNEL_ID });
+  assert.equal(missingSince.status, 400, JSON.stringify(missingSince.body));
+
+  const dry = await api('POST', '/api/yt/channels/bulk', { text: CHANNEL_ID, dryRun: true });
+  assert.equal(dry.status, 202, JSON.stringify(dry.body));
+  const checked = await waitJob(dry.body.jobId);
+  assert.equal(checked.kind, 'bulk');
+  assert.equal(checked.status, 'done', JSON.stringify(checked));
+  assert.equal(checked.result.queued, 0);
+  assert.deepEqual(checked.result.results.map((r) => [r.status, r.channelId, r.jobId]), [['resolved', CHANNEL_ID, undefined]]);
+  assert.equal(checked.progress.done, 1);
+
+  const r = await api('POST', '/api/yt/channels/bulk', { items: [CHANNEL_ID], since: daysAgo(30) });
+  assert.equal(r.status, 202, JSON.stringify(r.body));
+  const { result } = await waitJob(r.body.jobId);
+  assert.equal(result.queued, 1);
+  const ingestJob = await waitJob(result.results[0].jobId);
+  assert.equal(ingestJob.kind, 'ingest');
+  assert.equal(ingestJob.status, 'done', JSON.stringify(ingestJob));
+});
+
+test('insight: variables가 객체가 아니면 모델 호출 전에 400', async () => {
+  const rows = [{ videoId: 'v1', title: 't', views: 1, publishedAt: daysAgo(1) }];
+  for (const variables of [['brand'], 'LG', null, 3]) {
+    const r = await api('POST', '/api/yt/insight', { rows, variables });
+    assert.equal(r.status, 400, JSON.stringify(variables));
+    assert.match(r.body.error, /variables must be an object/);
+  }
+});
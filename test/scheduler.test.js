@@ -0,0 +1,59 @@
+// test/scheduler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextRun } from '../server/scheduler.js';
+
+/* =========================
+   cron 해석 / 다음 실행 시각 — 서버 로컬 시간 기준이라 기대값도 로컬 Date로 만듦
+   (2026-01-05는 월요일)
+   ========================= */
+
+const at = (month, day, hour = 0, minute = 0) => new Date(2026, month - 1, day, hour, minute);
+
+test('parseCron: 목록, 범위, 간격, 요일 7 = 일요일', () => {
+  const c = parseCron('0,30 9-11 */10 1-12/3 1,7');
+  assert.deepEqual([...c.minute], [0, 30]);
+  assert.deepEqual([...c.hour], [9, 10, 11]);
+  assert.deepEqual([...c.dayOfMonth], [1, 11, 21, 31]);
+  assert.deepEqual([...c.month], [1, 4, 7, 10]);
+  assert.deepEqual([...c.dayOfWeek].sort(), [0, 1]);
+  assert.equal(c.domAny, false);
+  assert.equal(c.dowAny, false);
+
+  // a/n: a부터 끝까지 n 간격
+  assert.deepEqual([...parseCron('50/5 * * * *').minute], [50, 55]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('parseCron: 잘못된 표현식은 오류', () => {
+  for (const expr of ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *',
+    '* * * * 8', '5-1 * * * *', '*/0 * * * *', 'a * * * *', '1,,2 * * * *', '@yearly']) {
+    assert.throws(() => parseCron(expr), /cron/, expr);
+  }
+});
+
+test('nextRun: 기준 시각 "이후"의 첫 실행', () => {
+  assert.deepEqual(nextRun('0,30 9 * * *', at(1, 5, 9, 10)), at(1, 5, 9, 30));
+  // 정각이 기준이면 그 다음
+  assert.deepEqual(nextRun('30 9 * * *', at(1, 5, 9, 30)), at(1, 6, 9, 30));
+  // 범위 끝을 지나면 다음 날 범위 시작
+  assert.deepEqual(nextRun('0 9-11 * * *', at(1, 5, 11, 0)), at(1, 6, 9, 0));
+  assert.deepEqual(nextRun('*/15 * * * *', at(1, 5, 10, 7)), at(1, 5, 10, 15));
+  assert.deepEqual(nextRun('0 0-12/6 * * *', at(1, 5, 6, 0)), at(1, 5, 12, 0));
+  // 월이 바뀌고 해가 넘어감
+  assert.deepEqual(nextRun('0 0 1 * *', at(12, 15)), new Date(2027, 0, 1, 0, 0));
+  assert.deepEqual(nextRun('0 0 * * 7', at(1, 5)), at(1, 11));
+});
+
+test('nextRun: 일과 요일이 둘 다 제한되면 둘 중 하나만 맞아도 실행(OR)', () => {
+  // 13일 또는 금요일
+  assert.deepEqual(nextRun('0 8 13 * 5', at(1, 5)), at(1, 9, 8, 0));
+  assert.deepEqual(nextRun('0 8 13 * 5', at(1, 10)), at(1, 13, 8, 0));
+  // 한쪽이 *이면 다른 쪽만
+  assert.deepEqual(nextRun('0 8 13 * *', at(1, 5)), at(1, 13, 8, 0));
+  assert.deepEqual(nextRun('0 8 * * 5', at(1, 10)), at(1, 16, 8, 0));
+});
+
+test('nextRun: 없는 날짜(2월 31일)는 null', () => {
+  assert.equal(nextRun('0 0 31 2 *', at(1, 5)), null);
+});
@@ -0,0 +1,109 @@
+// test/store.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import {
+  openStore, getDB, getOrCreateQuery, listQueryVideos,
+  upsertVideos, upsertComments, saveCommentState, listCommentCandidates,
+} from '../server/store.js';
+
+/* =========================
+   저장소(store.js) — 임시 DB 파일 1개를 순서대로 씀
+   - 먼저 예전 스키마로 만든 파일을 openStore로 열어 마이그레이션 확인, 이후 테스트는 같은 DB 사용
+   ========================= */
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-store-'));
+const dbFile = path.join(tmp, 'old.sqlite');
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('queries: 예전 UNIQUE(query) 테이블을 UNIQUE(query, filters)로 다시 만들고 연결은 유지', () => {
+  const old = new Database(dbFile);
+  old.exec(`
+    CREATE TABLE queries (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      query          TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      created_at     TEXT NOT NULL,
+      covered_since  TEXT,
+      last_search_at TEXT,
+      last_run_at    TEXT
+    );
+    CREATE TABLE query_videos (
+      query_id   INTEGER NOT NULL,
+      video_id   TEXT NOT NULL,
+      matched_at TEXT NOT NULL,
+      PRIMARY KEY (query_id, video_id)
+    );
+    INSERT INTO queries (id, query, created_at) VALUES (7, 'aircon', '2026-01-01T00:00:00.000Z');
+    INSERT INTO query_videos (query_id, video_id, matched_at) VALUES (7, 'x1', '2026-01-01T00:00:00.000Z');
+  `);
+  old.close();
+
+  openStore({ dataDir: tmp, dbFile });
+
+  const plain = getOrCreateQuery('aircon', {});
+  assert.equal(plain.id, 7);
+  assert.equal(plain.videoCount, 1);
+
+  const filtered = getOrCreateQuery('aircon', { regionCode: 'KR' });
+  assert.ok(filtered, 'same query with different filters must be created');
+  assert.notEqual(filtered.id, 7);
+  assert.equal(getOrCreateQuery('AIRCON', { regionCode: 'KR' }).id, filtered.id);
+  assert.deepEqual(listQueryVideos(filtered.id), []);
+});
+
+test('comments: 영상별 상한까지 받은 영상은 댓글 수가 늘기 전까지 후보에서 빠짐', () => {
+  const channelId = 'UCtesttesttesttesttest02';
+  const video = (comments) => ({
+    videoId: 'c1',
+    channelId,
+    title: 'popular',
+    publishedAt: new Date().toISOString(),
+    duration: 'PT5M',
+    views: 10000,
+    likes: 100,
+    comments,
+    privacyStatus: 'public',
+  });
+  const candidates = () => listCommentCandidates(channelId).map((c) => c.videoId);
+
+  upsertVideos([video(500)]);
+  assert.deepEqual(candidates(), ['c1']);
+
+  // 상한 2개만 받음 → 저장 2 < 통계 500이어도 다시 후보가 되지 않음
+  upsertComments([1, 2].map((n) => ({
+    commentId: `cm${n}`, videoId: 'c1', channelId, text: 'hi', replyCount: 0, publishedAt: new Date().toISOString(),
+  })));
+  saveCommentState('c1', { newestAt: new Date().toISOString() });
+  assert.deepEqual(candidates(), []);
+
+  // 통계 갱신으로 댓글 수가 늘면 다시 후보
+  upsertVideos([video(501)]);
+  assert.deepEqual(candidates(), ['c1']);
+});
+
+test('formats: 다시 열 때 포맷 없는 영상은 라이브 이력까지 보고 분류, 예전 short(≤180초)는 shorts로', () => {
+  const base = {
+    channelId: 'UCtesttesttesttesttest03',
+    title: 'f',
+    publishedAt: new Date().toISOString(),
+    views: 1,
+    privacyStatus: 'public',
+  };
+  upsertVideos([
+    { ...base, videoId: 'f1', duration: 'PT2M', liveBroadcastContent: 'none', liveDetails: { actualStartTime: base.publishedAt } },
+    { ...base, videoId: 'f2', duration: 'PT2M30S', liveBroadcastContent: 'none' },
+    { ...base, videoId: 'f3', duration: 'PT3M30S', liveBroadcastContent: 'none' },
+  ]);
+  // 포맷 컬럼 이전 행 / 쇼츠 상한이 60초였을 때의 분류로 되돌림
+  getDB().prepare("UPDATE videos SET format = NULL WHERE video_id = 'f1'").run();
+  getDB().prepare("UPDATE videos SET format = 'short' WHERE video_id IN ('f2', 'f3')").run();
+
+  openStore({ dataDir: tmp, dbFile });
+  const formats = Object.fromEntries(
+    getDB().prepare("SELECT video_id, format FROM videos WHERE video_id LIKE 'f_'").all().map((r) => [r.video_id, r.format])
+  );
+  assert.deepEqual(formats, { f1: 'live', f2: 'shorts', f3: 'short' });
+});
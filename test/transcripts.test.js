@@ -0,0 +1,78 @@
+// test/transcripts.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSubtitles, videoIdFromFilename } from '../server/transcripts.js';
+
+/* =========================
+   자막 파싱/파일 이름(transcripts.js)
+   ========================= */
+
+test('parseSubtitles: 자동 자막(롤링) — 앞 큐에 있던 줄은 다시 넣지 않고, 단어별 시각 태그는 제거', () => {
+  const vtt = [
+    'WEBVTT',
+    'Kind: captions',
+    'Language: ko',
+    '',
+    '00:00:00.000 --> 00:00:02.500 align:start position:0%',
+    '안녕하세요<00:00:00.500><c> 여러분</c>',
+    '',
+    '00:00:02.500 --> 00:00:02.510 align:start position:0%',
+    '안녕하세요 여러분',
+    ' ',
+    '',
+    '00:00:02.510 --> 00:00:05.000 align:start position:0%',
+    '안녕하세요 여러분',
+    '오늘은<00:00:03.000><c> 에어컨</c>',
+    '',
+    '00:00:05.000 --> 00:00:05.010 align:start position:0%',
+    '오늘은 에어컨',
+    ' ',
+    '',
+  ].join('\n');
+  assert.deepEqual(parseSubtitles(vtt), [
+    { start: 0, end: 2.5, text: '안녕하세요 여러분' },
+    { start: 2.51, end: 5, text: '오늘은 에어컨' },
+  ]);
+});
+
+test('parseSubtitles: SRT 쉼표 밀리초, 번호 줄, CRLF/BOM, 서식 태그', () => {
+  const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:02,500\r\nHello <i>world</i> &amp; co\r\n\r\n'
+    + '2\r\n01:01:02,05 --> 01:01:04,000\r\nsecond\r\nline\r\n';
+  assert.deepEqual(parseSubtitles(srt), [
+    { start: 1, end: 2.5, text: 'Hello world & co' },
+    { start: 3662.05, end: 3664, text: 'second line' },
+  ]);
+});
+
+test('parseSubtitles: VTT 큐 설정·식별자·짧은 시각(mm:ss.ttt), NOTE/STYLE 블록은 건너뜀', () => {
+  const vtt = [
+    'WEBVTT',
+    '',
+    'STYLE',
+    '::cue { color: yellow }',
+    '',
+    'NOTE 번역: 자원봉사자',
+    '',
+    'intro',
+    '00:01.000 --> 00:02.000 line:0 position:20% size:60% align:start',
+    '{\\an8}첫 줄',
+    '',
+    '00:02.000 --> 00:03.500 vertical:rl',
+    '<v 진행자>둘째 줄</v>',
+    '',
+  ].join('\n');
+  assert.deepEqual(parseSubtitles(vtt), [
+    { start: 1, end: 2, text: '첫 줄' },
+    { start: 2, end: 3.5, text: '둘째 줄' },
+  ]);
+  assert.deepEqual(parseSubtitles(''), []);
+  assert.deepEqual(parseSubtitles('WEBVTT\n\nnot a cue'), []);
+});
+
+test('videoIdFromFilename: yt-dlp "제목 [ID].언어.vtt"와 "ID.언어.srt"', () => {
+  assert.deepEqual(videoIdFromFilename('LG 휘센 [공식] 리뷰 [dQw4w9WgXcQ].ko.vtt'), { videoId: 'dQw4w9WgXcQ', language: 'ko' });
+  assert.deepEqual(videoIdFromFilename('/subs/Review [a-b_c1234XY].en-US.vtt'), { videoId: 'a-b_c1234XY', language: 'en-US' });
+  assert.deepEqual(videoIdFromFilename('dQw4w9WgXcQ.ja.srt'), { videoId: 'dQw4w9WgXcQ', language: 'ja' });
+  assert.deepEqual(videoIdFromFilename('dQw4w9WgXcQ.vtt'), { videoId: 'dQw4w9WgXcQ', language: null });
+  assert.deepEqual(videoIdFromFilename('notes.ko.vtt'), { videoId: null, language: 'ko' });
+});